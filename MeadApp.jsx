@@ -1,22 +1,4 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
-import { initializeApp } from 'firebase/app';
-import { 
-  getAuth, 
-  signInAnonymously, 
-  onAuthStateChanged,
-  signInWithCustomToken
-} from 'firebase/auth';
-import { 
-  getFirestore, 
-  collection, 
-  addDoc, 
-  onSnapshot, 
-  deleteDoc, 
-  doc, 
-  updateDoc,
-  serverTimestamp,
-  setLogLevel
-} from 'firebase/firestore';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import { 
   Beaker, 
   Save, 
@@ -31,30 +13,194 @@ import {
   Wine,
   Scale,
   Pencil,
-  Wand2
+  Wand2,
+  SlidersHorizontal,
+  CheckCircle2,
+  Circle,
+  Download,
+  Upload,
+  Cloud,
+  CloudOff,
+  RefreshCw,
+  AlertTriangle,
+  UserCircle,
+  LogOut,
+  Users,
+  Share2,
+  UserPlus,
+  UserMinus,
+  X
 } from 'lucide-react';
+import {
+  safeNum,
+  sgToAbv,
+  calculateRecipe,
+  honeyPpg,
+  normalizeHoneys,
+  totalHoneyKg,
+  UNIT_SYSTEMS,
+  DEFAULT_UNIT_SYSTEM,
+  getUnitSystem,
+  roundTo,
+  volumeToDisplay,
+  volumeFromDisplay,
+  massToDisplay,
+  massFromDisplay,
+  formatVolume,
+  formatMass,
+  formatTemperature,
+  sweetnessLevel,
+  SWEETNESS_LEVELS,
+  daysBetween,
+  ABV_FORMULAS,
+  DEFAULT_ABV_FORMULA,
+  buildFermentationCurve,
+  analyzeFermentation,
+  FERMENTATION_DEFAULTS,
+  DEFAULT_WORT_CORRECTION_FACTOR,
+  correctRefractometerReading,
+  DEFAULT_HYDROMETER_CALIBRATION_TEMP,
+  correctHydrometerTemperature,
+  temperatureToDisplay,
+  temperatureFromDisplay
+} from './brewMath';
+import {
+  LOG_SCHEMA_VERSION,
+  createLogEntry,
+  needsLogMigration,
+  migrateBatch,
+  getReadings,
+  getBatchProgress,
+  getEffectiveOgAt,
+  feedGravityJump,
+  dateFromInput,
+  toDateInputValue,
+  createStatusChange,
+  compareByDate,
+  getStatusHistory,
+  getBatchAges,
+  createNutrientPlan,
+  getNutrientPlanStatus,
+  TASK_TYPES,
+  createTask,
+  getOpenTasks,
+  taskUrgency,
+  BOTTLE_SIZES,
+  CARBONATION_LEVELS,
+  BOTTLE_REMOVAL_REASONS,
+  createBottleRow,
+  createBottleRemoval,
+  getBottleInventory,
+  LOG_ENTRY_TYPES,
+  ADDITION_CATEGORIES,
+  ADDITION_UNITS
+} from './batchLog';
+import {
+  createRecipeSnapshot,
+  getRecipeVersion,
+  getRecipeVersions,
+  diffRecipes,
+  getActualIngredients,
+  actualRecipeFields
+} from './recipeHistory';
+import {
+  BACKUP_COLLECTIONS,
+  createBackup,
+  backupFileName,
+  validateBackup,
+  reviveTimestamps,
+  findConflicts,
+  countConflicts,
+  describeBackup,
+  planImport
+} from './backup';
+import {
+  CSV_DATE_FORMATS,
+  DEFAULT_CSV_DATE_FORMAT,
+  batchLogCsv,
+  batchSummaryCsv,
+  csvFileName
+} from './csvExport';
+import {
+  toBeerXml,
+  toBeerJson,
+  exchangeFileName,
+  parseRecipeFile
+} from './recipeExchange';
+import {
+  createLocalStorage,
+  createMemoryStorage,
+  applyListEdits,
+  resolveStorageBackend
+} from './storage';
+import { createFirestoreStorage } from './firestoreStorage';
+import { createOfflineStorage } from './offlineStorage';
+import {
+  countCellar,
+  describeAccountError,
+  isCredentialInUse,
+  planCellarMerge,
+  readCellar,
+  validateCredentials
+} from './account';
+import {
+  CELLAR_ROLES,
+  DEFAULT_INVITE_ROLE,
+  getCellarAccess,
+  getInvitation,
+  createCellarRecord,
+  validateInvite,
+  inviteToCellar,
+  cancelInvite,
+  acceptInvite,
+  setMemberRole,
+  removeMember,
+  logAuthor,
+  tagWithCellar
+} from './cellars';
 
-// Setting log level to error to avoid excessive console output, but you can change this to 'debug'
-// if you need to troubleshoot Firestore connection issues.
-setLogLevel('error');
-
-// --- Firebase Configuration ---
-const firebaseConfig = JSON.parse(__firebase_config);
-const app = initializeApp(firebaseConfig);
-const auth = getAuth(app);
-const db = getFirestore(app);
-const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-
-// --- Constants & Math Helpers ---
-const HONEY_PPG = 35; // Points per Pound per Gallon
-const SUCROSE_PPG = 46; // Pure sugar PPG (used to calc fruit contribution)
+// --- Storage Configuration ---
+// Chosen once at startup: ?storage=firestore|local|memory in the URL, otherwise Firestore when the
+// host provides a Firebase config and this device's localStorage when it doesn't (see storage.js).
+// Firestore is wrapped in an offline cache and write queue (see offlineStorage.js).
+// Add ?emulators (or ?emulators=<host>) to use the local Auth and Firestore emulators.
+const createAppStorage = () => {
+  const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+  const hasFirebase = typeof __firebase_config !== 'undefined' && Boolean(__firebase_config);
+  const params = new URLSearchParams(window.location.search);
+  const requested = params.get('storage');
 
-// Conversion Factors
-const LITERS_TO_GAL = 0.264172;
-const KG_TO_LBS = 2.20462;
+  switch (resolveStorageBackend(requested, { hasFirebase })) {
+    case 'firestore':
+      return createOfflineStorage(
+        createFirestoreStorage({
+          config: JSON.parse(__firebase_config),
+          appId,
+          initialAuthToken: typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null,
+          emulatorHost: params.has('emulators') ? params.get('emulators') || '127.0.0.1' : null,
+        }),
+        { key: `golden-drop-offline/${appId}` }
+      );
+    case 'memory':
+      return createMemoryStorage();
+    default:
+      return createLocalStorage({ key: `golden-drop/${appId}` });
+  }
+};
 
-const sgToAbv = (og, fg) => ((og - fg) * 131.25).toFixed(1);
-const abvToOg = (abv) => (1 + (abv / 131.25));
+// Installable, offline-capable app shell: the manifest and service worker sit next to this file
+const registerOfflineApp = () => {
+  if (!document.querySelector('link[rel="manifest"]')) {
+    const link = document.createElement('link');
+    link.rel = 'manifest';
+    link.href = 'manifest.webmanifest';
+    document.head.appendChild(link);
+  }
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('service-worker.js')
+      .catch(e => console.error("Service worker registration failed:", e));
+  }
+};
 
 // Helper function for safely converting Firestore Timestamp, Date object, or ISO string to Date
 const safeGetDate = (timestamp) => {
@@ -77,8 +223,21 @@ const safeGetDate = (timestamp) => {
 // Format Date for display and input default
 const formatDate = (date) => {
     const d = safeGetDate(date);
-    // Format to YYYY-MM-DD for input type="date"
-    return d.toISOString().split('T')[0];
+    // Format to YYYY-MM-DD for input type="date", in local time like the input itself
+    return toDateInputValue(d);
+};
+
+// Whole days for batch ages; null means a stage date is unknown
+const formatDays = (days) => (days === null ? '—' : `${Math.floor(days)}d`);
+
+// Saves generated text as a file through a temporary link
+const downloadFile = (content, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
 };
 
 // Approximate Sugar content by weight (Brixish)
@@ -108,6 +267,42 @@ const FRUIT_DATA = [
   { name: 'Custom', sugar: 10 },
 ];
 
+// Approximate sugar and moisture content by weight; sugar drives the PPG (80% = the classic 35 PPG)
+const HONEY_DATA = [
+  { name: 'Wildflower', sugar: 80, moisture: 17.2, notes: 'Varies by season; floral, balanced' },
+  { name: 'Acacia', sugar: 81, moisture: 16.5, notes: 'Very light, delicate, slow to crystallize' },
+  { name: 'Avocado', sugar: 79, moisture: 17, notes: 'Dark, buttery, molasses hints' },
+  { name: 'Blueberry', sugar: 80, moisture: 17, notes: 'Light amber, fruity, slightly tart' },
+  { name: 'Buckwheat', sugar: 78, moisture: 18, notes: 'Very dark, malty, earthy; can dominate' },
+  { name: 'Clover', sugar: 80, moisture: 17.5, notes: 'Mild, sweet, clean' },
+  { name: 'Heather', sugar: 77, moisture: 21, notes: 'Thixotropic, aromatic, bittersweet' },
+  { name: 'Manuka', sugar: 79, moisture: 18, notes: 'Earthy, medicinal, herbal' },
+  { name: 'Meadowfoam', sugar: 80, moisture: 17, notes: 'Marshmallow and vanilla notes' },
+  { name: 'Orange Blossom', sugar: 81, moisture: 17, notes: 'Citrus aroma, fresh, fruity' },
+  { name: 'Sage', sugar: 80, moisture: 16.5, notes: 'Light, mild, herbal' },
+  { name: 'Tupelo', sugar: 78, moisture: 17, notes: 'Buttery, high fructose, floral' },
+  { name: 'Raw Comb', sugar: 74, moisture: 18, notes: 'Includes wax; less sugar per kg of comb' },
+  { name: 'Local (High Moisture)', sugar: 76, moisture: 20, notes: 'Unripened or humid harvest; ferments readily' },
+  { name: 'Custom', sugar: 80, moisture: 17 },
+];
+const DEFAULT_HONEY = HONEY_DATA[0];
+
+// Approximate manufacturer figures: tolerance in % ABV, apparent attenuation in %, temperatures in °C
+const YEAST_DATA = [
+  { name: 'Lalvin 71B', tolerance: 14, attenuation: 100, tempMin: 15, tempMax: 30, nutrientNeeds: 'medium' },
+  { name: 'Lalvin D47', tolerance: 15, attenuation: 100, tempMin: 10, tempMax: 20, nutrientNeeds: 'medium' },
+  { name: 'Lalvin EC-1118', tolerance: 18, attenuation: 102, tempMin: 10, tempMax: 30, nutrientNeeds: 'low' },
+  { name: 'Lalvin K1-V1116', tolerance: 18, attenuation: 102, tempMin: 10, tempMax: 35, nutrientNeeds: 'low' },
+  { name: 'Lalvin QA23', tolerance: 16, attenuation: 100, tempMin: 15, tempMax: 32, nutrientNeeds: 'low' },
+  { name: 'Red Star Premier Cuvée', tolerance: 18, attenuation: 102, tempMin: 7, tempMax: 35, nutrientNeeds: 'low' },
+  { name: 'Red Star Côte des Blancs', tolerance: 13, attenuation: 95, tempMin: 18, tempMax: 30, nutrientNeeds: 'high' },
+  { name: 'Mangrove Jack\'s M05 Mead', tolerance: 18, attenuation: 100, tempMin: 15, tempMax: 30, nutrientNeeds: 'medium' },
+  { name: 'Wyeast 4184 Sweet Mead', tolerance: 11, attenuation: 85, tempMin: 18, tempMax: 24, nutrientNeeds: 'high' },
+  { name: 'Wyeast 4632 Dry Mead', tolerance: 18, attenuation: 100, tempMin: 13, tempMax: 24, nutrientNeeds: 'high' },
+  { name: 'White Labs WLP720 Sweet Mead/Wine', tolerance: 15, attenuation: 80, tempMin: 21, tempMax: 24, nutrientNeeds: 'high' },
+  { name: 'Custom', tolerance: 14, attenuation: 100, tempMin: 15, tempMax: 25, nutrientNeeds: 'medium' },
+];
+
 // --- Status Configuration ---
 const BATCH_STATUSES = {
     brewing: { label: 'Primary Fermentation (Brewing)', color: 'bg-red-50 text-red-800 border-red-200', icon: Beaker },
@@ -117,102 +312,175 @@ const BATCH_STATUSES = {
 };
 const BATCH_STATUS_OPTIONS = Object.keys(BATCH_STATUSES);
 
+// --- User Settings ---
+// Stored per user as the settings/preferences document
+const DEFAULT_SETTINGS = {
+    units: DEFAULT_UNIT_SYSTEM,
+    abvMethod: DEFAULT_ABV_FORMULA,
+    stableWindowDays: FERMENTATION_DEFAULTS.stableWindowDays,
+    wortCorrectionFactor: DEFAULT_WORT_CORRECTION_FACTOR,
+    hydrometerCalibrationTemp: DEFAULT_HYDROMETER_CALIBRATION_TEMP, // °C
+};
+
+// Instruments a gravity reading can be taken with
+const LOG_INSTRUMENTS = {
+    hydrometer: { label: 'Hydrometer', unit: 'SG' },
+    refractometer: { label: 'Refractometer', unit: '°Bx' },
+};
+
 
 // --- Components ---
 
 // 1. Calculator View
-const Calculator = ({ onSave, onStartBatch, initialData = null, isStartingBatch = false, onBackToFavorites }) => {
+const Calculator = ({ onSave, onSaveVersion, onStartBatch, initialData = null, isStartingBatch = false, onBackToFavorites, units = DEFAULT_UNIT_SYSTEM, customHoneys = [], abvMethod = DEFAULT_ABV_FORMULA }) => {
+  // Volume and weights are held in the user's display units; generateRecipeData converts back to liters/kg
   const [mode, setMode] = useState('target'); // 'target' or 'ingredients'
-  const [volume, setVolume] = useState(5); // Liters
+  const [volume, setVolume] = useState(() => roundTo(volumeToDisplay(5, units))); // Display volume unit
   const [targetAbv, setTargetAbv] = useState(12);
-  const [honeyAmount, setHoneyAmount] = useState(1.5); // kg
+  const [honeys, setHoneys] = useState([]); // [{ id, name, amount, sugarPercent, moisturePercent }], amount in display mass unit
   const [fruits, setFruits] = useState([]); 
   const [recipeName, setRecipeName] = useState('');
   const [recipeId, setRecipeId] = useState(null); // State to hold the ID if loaded from favorites
+  const [recipeVersion, setRecipeVersion] = useState(null); // Version of the favorite that was loaded
+  const [yeast, setYeast] = useState(null); // Selected strain from YEAST_DATA (or a custom one); null = assume dry
+  const unitLabels = getUnitSystem(units);
 
-  // Helper for unique IDs for fruit entries
-  const getNewFruitId = () => Date.now() + Math.random();
+  // Built-in varieties plus the user's own, with 'Custom' kept last
+  const honeyCatalog = useMemo(() => [
+    ...HONEY_DATA.filter(h => h.name !== 'Custom'),
+    ...customHoneys,
+    HONEY_DATA.find(h => h.name === 'Custom'),
+  ], [customHoneys]);
+
+  // Helper for unique IDs for honey and fruit entries
+  const getNewEntryId = () => Date.now() + Math.random();
+
+  // Helpers to convert stored (metric) values into the current display units, keeping '' for cleared fields
+  const toDisplayVolume = (liters) => (liters === '' ? '' : roundTo(volumeToDisplay(liters, units), 3));
+  const toDisplayMass = (kg) => (kg === '' ? '' : roundTo(massToDisplay(kg, units), 3));
+
+  const newHoneyEntry = (amountKg, variety = DEFAULT_HONEY) => ({
+    id: getNewEntryId(),
+    name: variety.name,
+    amount: toDisplayMass(amountKg),
+    sugarPercent: variety.sugar,
+    moisturePercent: variety.moisture,
+  });
 
   // Reset or Load initial data
   useEffect(() => {
     if (initialData) {
       setMode(initialData.mode || 'ingredients');
-      setVolume(initialData.volume || 5);
+      setVolume(toDisplayVolume(initialData.volume || 5));
       setTargetAbv(initialData.targetAbv || 12);
-      setHoneyAmount(initialData.honeyAmount || 1.5);
+      // Recipes saved before honey varieties only carry honeyAmount, which loads as the default variety
+      setHoneys(initialData.honeys?.length
+        ? initialData.honeys.map(h => ({ ...h, amount: toDisplayMass(h.amount), id: h.id || getNewEntryId() }))
+        : [newHoneyEntry(initialData.honeyAmount || 1.5)]);
       // Ensure fruits have a unique ID for React keys and manipulation
-      setFruits(initialData.fruits?.map(f => ({ ...f, id: f.id || getNewFruitId() })) || []);
+      setFruits(initialData.fruits?.map(f => ({ ...f, amount: toDisplayMass(f.amount), id: f.id || getNewEntryId() })) || []);
       setRecipeName(initialData.name || '');
       setRecipeId(initialData.id || null); // <--- Store the original recipe ID
+      setRecipeVersion(initialData.id ? getRecipeVersion(initialData) : null);
+      setYeast(initialData.yeast || null);
     } else {
       // Initialize a fresh calculator
       setMode('target');
-      setVolume(5);
+      setVolume(roundTo(volumeToDisplay(5, units)));
       setTargetAbv(12);
-      setHoneyAmount(1.5);
+      setHoneys([newHoneyEntry(1.5)]);
       setFruits([]);
       setRecipeName('');
       setRecipeId(null); // <--- Reset ID for new recipes
+      setRecipeVersion(null);
+      setYeast(null);
     }
   }, [initialData]);
 
-  // Calculations
-  const calculations = useMemo(() => {
-    // Helper to safely get numeric values from state strings/numbers
-    const safeNum = (val) => (val === '' ? 0 : parseFloat(val) || 0);
+  // Re-express the values being edited when the user switches unit systems
+  const previousUnits = useRef(units);
+  useEffect(() => {
+    const fromUnits = previousUnits.current;
+    previousUnits.current = units;
+    if (fromUnits === units) return;
 
-    // Convert inputs to US units for PPG math
-    const volLiters = safeNum(volume);
-    const volGal = volLiters * LITERS_TO_GAL;
-    
-    if (mode === 'target') {
-      // Logic: Have Volume + Target ABV -> Need Honey
-      const targetAbvNum = safeNum(targetAbv);
-      const targetOg = abvToOg(targetAbvNum);
-      const totalPointsNeeded = (targetOg - 1) * 1000 * volGal;
-      
-      const honeyLbsNeeded = totalPointsNeeded / HONEY_PPG;
-      const honeyKgNeeded = honeyLbsNeeded / KG_TO_LBS;
+    const convertVolume = (v) => (v === '' ? '' : roundTo(volumeToDisplay(volumeFromDisplay(v, fromUnits), units), 3));
+    const convertMass = (m) => (m === '' ? '' : roundTo(massToDisplay(massFromDisplay(m, fromUnits), units), 3));
+    setVolume(convertVolume);
+    setHoneys(current => current.map(h => ({ ...h, amount: convertMass(h.amount) })));
+    setFruits(current => current.map(f => ({ ...f, amount: convertMass(f.amount) })));
+  }, [units]);
 
-      return {
-        og: targetOg.toFixed(3),
-        honeyNeeded: Math.max(0, honeyKgNeeded).toFixed(2), // Returns kg
-        totalPoints: totalPointsNeeded
-      };
-    } else {
-      // Logic: Have Volume + Ingredients -> Need ABV/OG
-      const honeyKg = safeNum(honeyAmount);
-      const honeyLbs = honeyKg * KG_TO_LBS;
-      const honeyPoints = honeyLbs * HONEY_PPG;
-      
-      // Calculate Fruit Points based on Sugar %
-      const fruitPoints = fruits.reduce((acc, f) => {
-        const fruitKg = safeNum(f.amount);
-        const fruitLbs = fruitKg * KG_TO_LBS;
-        const sugarPct = safeNum(f.sugarPercent) / 100;
-        
-        // Logic: Total Fruit Weight * Sugar % = Pure Sugar Weight
-        // Pure Sugar Weight * 46 (PPG of sucrose) = Points
-        const ppgContribution = SUCROSE_PPG * sugarPct; 
-        
-        return acc + (fruitLbs * ppgContribution);
-      }, 0);
-      
-      const totalPoints = honeyPoints + fruitPoints;
-      // Points per Gallon = Total Points / Gallons
-      const gravityPoints = volGal > 0 ? totalPoints / volGal : 0;
-      const estimatedOg = 1 + (gravityPoints / 1000);
-      const estimatedAbv = sgToAbv(estimatedOg, 1.000); // Assuming fermentation to dry
-      
-      return {
-        og: estimatedOg.toFixed(3),
-        abv: estimatedAbv
-      };
+  // Calculations (always in liters/kg)
+  const calculations = useMemo(() => (
+    calculateRecipe({
+      mode,
+      volume: volumeFromDisplay(volume, units),
+      targetAbv,
+      honeys: honeys.map(h => ({ ...h, amount: massFromDisplay(h.amount, units) })),
+      fruits: fruits.map(f => ({ ...f, amount: massFromDisplay(f.amount, units) })),
+      yeast,
+      abvMethod,
+    })
+  ), [mode, volume, targetAbv, honeys, fruits, yeast, units, abvMethod]);
+
+  const handleAddHoney = () => {
+    setHoneys([...honeys, newHoneyEntry(0)]);
+  };
+
+  const handleRemoveHoney = (id) => {
+    setHoneys(honeys.filter(h => h.id !== id));
+  };
+
+  const handleHoneyChange = (id, field, value) => {
+    setHoneys(honeys.map(h => {
+      if (h.id !== id) return h;
+      // Ensure numeric fields can accept empty strings for better UX
+      if (field === 'amount' || field === 'sugarPercent' || field === 'moisturePercent') {
+        return { ...h, [field]: value === '' ? '' : parseFloat(value) };
+      }
+      return { ...h, [field]: value };
+    }));
+  };
+
+  // Special handler for the variety dropdown
+  const handleHoneyPresetSelect = (id, presetName) => {
+    const preset = honeyCatalog.find(p => p.name === presetName);
+    if (preset) {
+      setHoneys(honeys.map(h => {
+        if (h.id !== id) return h;
+        return { ...h, name: presetName === 'Custom' ? '' : presetName, sugarPercent: preset.sugar, moisturePercent: preset.moisture };
+      }));
+    }
+  };
+
+  // Target mode solves for the first honey in the list
+  const primaryHoney = honeys[0] || newHoneyEntry(0);
+
+  const handlePrimaryHoneySelect = (presetName) => {
+    if (honeys.length === 0) {
+      const preset = honeyCatalog.find(p => p.name === presetName) || DEFAULT_HONEY;
+      setHoneys([{ ...newHoneyEntry(0, preset), name: presetName === 'Custom' ? '' : presetName }]);
+      return;
+    }
+    handleHoneyPresetSelect(honeys[0].id, presetName);
+  };
+
+  const handleYeastSelect = (yeastName) => {
+    if (!yeastName) {
+      setYeast(null);
+      return;
     }
-  }, [mode, volume, targetAbv, honeyAmount, fruits]);
+    const preset = YEAST_DATA.find(y => y.name === yeastName);
+    if (preset) setYeast({ ...preset });
+  };
+
+  const handleYeastChange = (field, value) => {
+    setYeast({ ...yeast, [field]: value === '' ? '' : parseFloat(value) });
+  };
 
   const handleAddFruit = () => {
-    setFruits([...fruits, { id: getNewFruitId(), name: '', amount: 0, sugarPercent: 10 }]);
+    setFruits([...fruits, { id: getNewEntryId(), name: '', amount: 0, sugarPercent: 10 }]);
   };
 
   const handleRemoveFruit = (id) => {
@@ -243,22 +511,37 @@ const Calculator = ({ onSave, onStartBatch, initialData = null, isStartingBatch
 
   const generateRecipeData = () => {
     const calculatedOg = calculations.og;
-    const calculatedAbv = mode === 'ingredients' ? calculations.abv : targetAbv;
+    // In target mode the yeast's tolerance can stop short of the requested ABV; record what it will reach
+    const calculatedAbv = mode === 'ingredients' ? calculations.abv : calculations.predictedAbv;
+
+    // Filter out fruits with no name; amounts are stored in kg regardless of display units
+    const finalFruits = fruits
+      .filter(f => f.name.trim() !== '')
+      .map(f => ({ ...f, amount: massFromDisplay(f.amount, units) }));
 
-    // Filter out fruits with no name
-    const finalFruits = fruits.filter(f => f.name.trim() !== '');
+    // In target mode the primary honey carries the calculated amount needed
+    const finalHoneys = mode === 'target'
+      ? [primaryHoney].map(h => ({ ...h, name: h.name.trim() || 'Honey', amount: parseFloat(calculations.honeyNeeded) }))
+      : honeys
+          .filter(h => safeNum(h.amount) > 0)
+          .map(h => ({ ...h, name: h.name.trim() || 'Honey', amount: massFromDisplay(h.amount, units) }));
 
     const data = {
       name: recipeName,
       mode,
-      volume: parseFloat(volume) || 0,
+      volume: volumeFromDisplay(volume, units), // Liters
       targetAbv: parseFloat(targetAbv) || 0,
-      honeyAmount: parseFloat(honeyAmount) || 0,
+      honeys: finalHoneys,
+      honeyAmount: totalHoneyKg(finalHoneys), // kg, total across varieties
       fruits: finalFruits,
       calculatedOg: calculatedOg,
       calculatedAbv: calculatedAbv,
-      // Pass the original recipe ID if it exists (for batch tracking)
-      ...(recipeId && { id: recipeId }), 
+      yeast: yeast,
+      // Expected finish for the chosen yeast, carried into the batch
+      predictedFg: calculations.fg,
+      abvMethod: abvMethod,
+      // Pass the original recipe ID and version if they exist (for batch tracking)
+      ...(recipeId && { id: recipeId, recipeVersion }), 
     };
 
     return data;
@@ -270,10 +553,11 @@ const Calculator = ({ onSave, onStartBatch, initialData = null, isStartingBatch
       alert("Please name your recipe before saving."); 
       return;
     }
-    const recipeData = { ...generateRecipeData(), timestamp: serverTimestamp() };
+    const recipeData = generateRecipeData();
     
     // Ensure we delete the ID if we are saving a *new* recipe, since generateRecipeData might include it.
     delete recipeData.id; 
+    delete recipeData.recipeVersion;
     
     onSave(recipeData);
     if (!isStartingBatch) {
@@ -281,6 +565,18 @@ const Calculator = ({ onSave, onStartBatch, initialData = null, isStartingBatch
     }
   };
   
+  // Editing a favorite: save the changes as its next version
+  const isEditingRecipe = Boolean(recipeId) && !isStartingBatch;
+
+  const handleSaveVersion = () => {
+    if (!recipeName.trim()) {
+      // IMPORTANT: Custom modal UI should be used here instead of alert()
+      alert("Please name your recipe before saving."); 
+      return;
+    }
+    onSaveVersion(generateRecipeData());
+  };
+
   const handleStartBatch = () => {
       if (!recipeName.trim()) {
         // IMPORTANT: Custom modal UI should be used here instead of alert()
@@ -301,8 +597,233 @@ const Calculator = ({ onSave, onStartBatch, initialData = null, isStartingBatch
     }
   };
 
-  const isSaveDisabled = !recipeName.trim() || !volume || (mode === 'target' && !targetAbv) || (mode === 'ingredients' && !honeyAmount);
+  const isSaveDisabled = !recipeName.trim() || !volume || (mode === 'target' && !targetAbv) || (mode === 'ingredients' && !honeys.some(h => safeNum(h.amount) > 0));
+
+
+  // Honey varieties list (ingredients mode); sugar % drives each honey's PPG
+  const honeyInputs = (
+    <div className="space-y-3">
+      <div className="flex justify-between items-center">
+        <label className="block text-sm font-semibold text-amber-800">Honey</label>
+        <button type="button" onClick={handleAddHoney} className="text-amber-600 hover:bg-amber-100 p-1 rounded">
+          <Plus className="w-5 h-5" />
+        </button>
+      </div>
+
+      {honeys.map(honey => {
+        const variety = honeyCatalog.find(d => d.name === honey.name);
+        return (
+          <div key={honey.id} className="bg-white p-3 rounded-lg border border-amber-200 shadow-sm grid grid-cols-[1fr_9rem] gap-2 items-center">
+
+              {/* Top Left: Variety Dropdown */}
+              <select 
+                onChange={(e) => handleHoneyPresetSelect(honey.id, e.target.value)}
+                className="w-full p-2 border border-amber-300 rounded-lg text-sm bg-amber-50/50"
+                value={variety ? honey.name : 'Custom'}
+              >
+                <option value="Custom">Custom Honey...</option>
+                {honeyCatalog.filter(h => h.name !== 'Custom').map(h => (
+                  <option key={h.name} value={h.name}>{h.name}</option>
+                ))}
+              </select>
+
+              {/* Top Right: Weight + Delete */}
+              <div className="flex gap-2 items-center justify-end w-full">
+                  <div className="relative flex-1">
+                      <input 
+                        type="number" 
+                        placeholder="0" 
+                        value={honey.amount === '' ? '' : honey.amount}
+                        onChange={(e) => handleHoneyChange(honey.id, 'amount', e.target.value)}
+                        className="w-full p-2 border border-amber-300 rounded-lg text-sm text-right pr-8"
+                        step="0.1"
+                      />
+                      <span className="absolute right-2 top-2 text-xs text-gray-500">{unitLabels.mass}</span>
+                  </div>
+
+                  <button type="button" onClick={() => handleRemoveHoney(honey.id)} className="text-red-400 hover:text-red-600 px-1 min-w-[20px]">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+              </div>
+
+              {/* Bottom Left: Name */}
+              <input 
+                type="text" 
+                placeholder="Name (e.g. Linden)" 
+                value={honey.name}
+                onChange={(e) => handleHoneyChange(honey.id, 'name', e.target.value)}
+                className="w-full p-1 px-2 border border-gray-200 rounded text-sm text-gray-700 placeholder:text-gray-300 h-9"
+              />
+
+              {/* Bottom Right: Sugar % */}
+              <div className="flex items-center gap-1 bg-amber-50 px-2 rounded border border-amber-100 h-9 w-full" title="Sugar percentage by weight">
+                <span className="text-xs text-amber-600 font-bold whitespace-nowrap">Sugar</span>
+                <input 
+                  type="number" 
+                  value={honey.sugarPercent === '' ? '' : honey.sugarPercent}
+                  onChange={(e) => handleHoneyChange(honey.id, 'sugarPercent', e.target.value)}
+                  className="flex-1 min-w-0 p-1 bg-transparent text-right text-sm font-mono border-b border-amber-300 focus:outline-none"
+                />
+                <span className="text-xs text-amber-600">%</span>
+              </div>
+
+              {/* Footer: Moisture + Notes */}
+              <div className="col-span-2 flex items-center gap-2 text-xs text-gray-500">
+                <div className="flex items-center gap-1 bg-gray-50 px-2 rounded border border-gray-100 h-8 w-32" title="Moisture percentage by weight">
+                  <span className="font-bold whitespace-nowrap">Moisture</span>
+                  <input 
+                    type="number" 
+                    value={honey.moisturePercent === '' || honey.moisturePercent === undefined ? '' : honey.moisturePercent}
+                    onChange={(e) => handleHoneyChange(honey.id, 'moisturePercent', e.target.value)}
+                    className="flex-1 min-w-0 p-1 bg-transparent text-right font-mono border-b border-gray-300 focus:outline-none"
+                  />
+                  <span>%</span>
+                </div>
+                <span className="flex-1 truncate">{variety?.notes || `${roundTo(honeyPpg(honey.sugarPercent), 1)} PPG`}</span>
+              </div>
+
+          </div>
+        );
+      })}
+    </div>
+  );
+
+  // Yeast selection is shared by both modes and drives the predicted final gravity
+  const yeastInputs = (
+    <div>
+      <label className="block text-sm font-semibold text-amber-800 mb-1">Yeast</label>
+      <select 
+        onChange={(e) => handleYeastSelect(e.target.value)}
+        className="w-full p-3 border border-amber-300 rounded-lg focus:ring-2 focus:ring-amber-500 outline-none bg-white"
+        value={yeast ? (YEAST_DATA.some(y => y.name === yeast.name) ? yeast.name : 'Custom') : ''}
+      >
+        <option value="">None selected (assume dry)</option>
+        {YEAST_DATA.filter(y => y.name !== 'Custom').map(y => (
+          <option key={y.name} value={y.name}>{y.name}</option>
+        ))}
+        <option value="Custom">Custom Yeast...</option>
+      </select>
+      {yeast && yeast.name === 'Custom' && (
+        <div className="grid grid-cols-2 gap-2 mt-2">
+          <label className="flex items-center gap-1 text-xs text-amber-700 font-bold">
+            Tolerance %
+            <input 
+              type="number" 
+              value={yeast.tolerance === '' ? '' : yeast.tolerance}
+              onChange={(e) => handleYeastChange('tolerance', e.target.value)}
+              className="flex-1 min-w-0 p-2 border border-amber-300 rounded-lg text-sm font-mono bg-white"
+            />
+          </label>
+          <label className="flex items-center gap-1 text-xs text-amber-700 font-bold">
+            Attenuation %
+            <input 
+              type="number" 
+              value={yeast.attenuation === '' ? '' : yeast.attenuation}
+              onChange={(e) => handleYeastChange('attenuation', e.target.value)}
+              className="flex-1 min-w-0 p-2 border border-amber-300 rounded-lg text-sm font-mono bg-white"
+            />
+          </label>
+        </div>
+      )}
+      {yeast && (
+        <p className="text-xs text-amber-700 mt-1">
+          {yeast.tolerance}% tolerance • {yeast.attenuation}% attenuation • {formatTemperature(yeast.tempMin, units)}–{formatTemperature(yeast.tempMax, units)} • {yeast.nutrientNeeds} nutrient needs
+        </p>
+      )}
+    </div>
+  );
+
+  // Predicted finish for the selected yeast
+  const yeastResults = yeast && (
+    <>
+      <div className="grid grid-cols-2 gap-4 mt-4">
+        <div className="p-3 bg-amber-50 rounded text-center">
+          <div className="text-2xl font-bold text-amber-900">{calculations.fg}</div>
+          <div className="text-xs text-amber-700">Predicted FG</div>
+        </div>
+        <div className="p-3 bg-amber-50 rounded text-center">
+          <div className="text-2xl font-bold text-amber-900">{calculations.sweetness}</div>
+          <div className="text-xs text-amber-700">Predicted Sweetness</div>
+        </div>
+      </div>
+      {calculations.toleranceExceeded && (
+        <div className="mt-3 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+          {yeast.name} tolerates about {yeast.tolerance}% ABV. Fermentation will likely stop around <strong>{calculations.fg}</strong>
+          {mode === 'target' ? `, giving ${calculations.predictedAbv}% ABV instead of your ${targetAbv}% target` : ''}, leaving residual sugar.
+        </div>
+      )}
+    </>
+  );
+
+  // Fruit list is shared by both modes: it adds points in 'ingredients' and offsets honey in 'target'
+  const fruitInputs = (
+    <div className="space-y-3">
+      <div className="flex justify-between items-center">
+        <label className="block text-sm font-semibold text-amber-800">Fruits & Additions</label>
+        <button type="button" onClick={handleAddFruit} className="text-amber-600 hover:bg-amber-100 p-1 rounded">
+          <Plus className="w-5 h-5" />
+        </button>
+      </div>
+      
+      {fruits.map((fruit, idx) => (
+        <div key={fruit.id} className="bg-white p-3 rounded-lg border border-amber-200 shadow-sm grid grid-cols-[1fr_9rem] gap-2 items-center">
+            
+            {/* Top Left: Dropdown */}
+            <select 
+              onChange={(e) => handleFruitPresetSelect(fruit.id, e.target.value)}
+              className="w-full p-2 border border-amber-300 rounded-lg text-sm bg-amber-50/50"
+              value={FRUIT_DATA.some(d => d.name === fruit.name) ? fruit.name : 'Custom'}
+            >
+              <option value="Custom">Custom Fruit...</option>
+              {FRUIT_DATA.filter(f => f.name !== 'Custom').map(f => (
+                <option key={f.name} value={f.name}>{f.name}</option>
+              ))}
+            </select>
+            
+            {/* Top Right: Weight + Delete */}
+            <div className="flex gap-2 items-center justify-end w-full">
+                <div className="relative flex-1">
+                    <input 
+                      type="number" 
+                      placeholder="0" 
+                      value={fruit.amount === '' ? '' : fruit.amount}
+                      onChange={(e) => handleFruitChange(fruit.id, 'amount', e.target.value)}
+                      className="w-full p-2 border border-amber-300 rounded-lg text-sm text-right pr-8"
+                      step="0.1"
+                    />
+                    <span className="absolute right-2 top-2 text-xs text-gray-500">{unitLabels.mass}</span>
+                </div>
+
+                <button type="button" onClick={() => handleRemoveFruit(fruit.id)} className="text-red-400 hover:text-red-600 px-1 min-w-[20px]">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+            </div>
+
+            {/* Bottom Left: Name */}
+            <input 
+              type="text" 
+              placeholder="Name (e.g. Mulberry)" 
+              value={fruit.name}
+              onChange={(e) => handleFruitChange(fruit.id, 'name', e.target.value)}
+              className="w-full p-1 px-2 border border-gray-200 rounded text-sm text-gray-700 placeholder:text-gray-300 h-9"
+            />
+            
+            {/* Bottom Right: Sugar % */}
+            <div className="flex items-center gap-1 bg-amber-50 px-2 rounded border border-amber-100 h-9 w-full" title="Sugar percentage by weight">
+              <span className="text-xs text-amber-600 font-bold whitespace-nowrap">Sugar</span>
+              <input 
+                type="number" 
+                value={fruit.sugarPercent === '' ? '' : fruit.sugarPercent}
+                onChange={(e) => handleFruitChange(fruit.id, 'sugarPercent', e.target.value)}
+                className="flex-1 min-w-0 p-1 bg-transparent text-right text-sm font-mono border-b border-amber-300 focus:outline-none"
+              />
+              <span className="text-xs text-amber-600">%</span>
+            </div>
 
+        </div>
+      ))}
+    </div>
+  );
 
   return (
     <div className="space-y-6 pb-24">
@@ -314,11 +835,19 @@ const Calculator = ({ onSave, onStartBatch, initialData = null, isStartingBatch
             <h2 className="text-lg font-semibold text-amber-900">Adjust Recipe Before Batching</h2>
         </div>
       )}
+      {isEditingRecipe && (
+        <div className="flex items-center gap-3 mb-6 bg-amber-100 p-3 rounded-xl border border-amber-200">
+            <button type="button" onClick={onBackToFavorites} className="p-2 bg-amber-200 rounded-full text-amber-800 hover:bg-amber-300">
+                <ArrowLeft className="w-5 h-5" />
+            </button>
+            <h2 className="text-lg font-semibold text-amber-900">Editing Recipe (v{recipeVersion})</h2>
+        </div>
+      )}
 
       <div className="bg-amber-50 p-4 rounded-xl border border-amber-200 shadow-sm">
         <h2 className="text-xl font-bold text-amber-900 mb-4 flex items-center">
           <Scale className="w-5 h-5 mr-2" />
-          {isStartingBatch ? `Recipe: ${recipeName}` : 'Mead Calculator (Metric)'}
+          {isStartingBatch ? `Recipe: ${recipeName}` : `Mead Calculator (${unitLabels.name})`}
         </h2>
         
         {/* Toggle Path */}
@@ -351,7 +880,7 @@ const Calculator = ({ onSave, onStartBatch, initialData = null, isStartingBatch
 
         {/* Common Inputs */}
         <div className="mb-4">
-          <label className="block text-sm font-semibold text-amber-800 mb-1">Batch Volume (Liters)</label>
+          <label className="block text-sm font-semibold text-amber-800 mb-1">Batch Volume ({unitLabels.volume})</label>
           <input 
             type="number" 
             // Fix: Cast to string or use 0 if state is '' for React's value prop 
@@ -374,12 +903,39 @@ const Calculator = ({ onSave, onStartBatch, initialData = null, isStartingBatch
                 className="w-full p-3 border border-amber-300 rounded-lg focus:ring-2 focus:ring-amber-500 outline-none bg-white"
               />
             </div>
+
+            <div>
+              <label className="block text-sm font-semibold text-amber-800 mb-1">Honey Variety</label>
+              <select 
+                onChange={(e) => handlePrimaryHoneySelect(e.target.value)}
+                className="w-full p-3 border border-amber-300 rounded-lg focus:ring-2 focus:ring-amber-500 outline-none bg-white"
+                value={honeyCatalog.some(d => d.name === primaryHoney.name) ? primaryHoney.name : 'Custom'}
+              >
+                <option value="Custom">Custom Honey...</option>
+                {honeyCatalog.filter(h => h.name !== 'Custom').map(h => (
+                  <option key={h.name} value={h.name}>{h.name}</option>
+                ))}
+              </select>
+              <p className="text-xs text-amber-700 mt-1">
+                {primaryHoney.sugarPercent}% sugar • {primaryHoney.moisturePercent}% moisture • {roundTo(honeyPpg(primaryHoney.sugarPercent), 1)} PPG
+              </p>
+            </div>
+
+            {fruitInputs}
+
+            {yeastInputs}
             
+            {calculations.fruitOvershoot && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+                Fruit alone reaches <strong>{calculations.fruitOg}</strong> SG ({sgToAbv(calculations.fruitOg, 1.000, abvMethod)}% ABV), above your target. No honey is needed; reduce the fruit or raise the target ABV.
+              </div>
+            )}
+
             <div className="mt-6 bg-white p-4 rounded-lg border border-amber-200">
               <h3 className="text-sm font-bold text-amber-600 uppercase tracking-wider mb-2">Results</h3>
               <div className="grid grid-cols-2 gap-4">
                 <div className="p-3 bg-amber-50 rounded text-center">
-                  <div className="text-2xl font-bold text-amber-900">{calculations.honeyNeeded} kg</div>
+                  <div className="text-2xl font-bold text-amber-900">{formatMass(calculations.honeyNeeded, units)}</div>
                   <div className="text-xs text-amber-700">Honey Needed</div>
                 </div>
                 <div className="p-3 bg-amber-50 rounded text-center">
@@ -387,87 +943,16 @@ const Calculator = ({ onSave, onStartBatch, initialData = null, isStartingBatch
                   <div className="text-xs text-amber-700">Target SG</div>
                 </div>
               </div>
+              {yeastResults}
             </div>
           </div>
         ) : (
           <div className="space-y-4 animate-fadeIn">
-            <div>
-              <label className="block text-sm font-semibold text-amber-800 mb-1">Honey Amount (kg)</label>
-              <input 
-                type="number" 
-                value={honeyAmount === '' ? '' : honeyAmount} 
-                onChange={handleNumericChange(setHoneyAmount)}
-                className="w-full p-3 border border-amber-300 rounded-lg focus:ring-2 focus:ring-amber-500 outline-none bg-white"
-                step="0.1"
-              />
-            </div>
-
-            <div className="space-y-3">
-              <div className="flex justify-between items-center">
-                <label className="block text-sm font-semibold text-amber-800">Fruits & Additions</label>
-                <button type="button" onClick={handleAddFruit} className="text-amber-600 hover:bg-amber-100 p-1 rounded">
-                  <Plus className="w-5 h-5" />
-                </button>
-              </div>
-              
-              {fruits.map((fruit, idx) => (
-                <div key={fruit.id} className="bg-white p-3 rounded-lg border border-amber-200 shadow-sm grid grid-cols-[1fr_9rem] gap-2 items-center">
-                    
-                    {/* Top Left: Dropdown */}
-                    <select 
-                      onChange={(e) => handleFruitPresetSelect(fruit.id, e.target.value)}
-                      className="w-full p-2 border border-amber-300 rounded-lg text-sm bg-amber-50/50"
-                      value={FRUIT_DATA.some(d => d.name === fruit.name) ? fruit.name : 'Custom'}
-                    >
-                      <option value="Custom">Custom Fruit...</option>
-                      {FRUIT_DATA.filter(f => f.name !== 'Custom').map(f => (
-                        <option key={f.name} value={f.name}>{f.name}</option>
-                      ))}
-                    </select>
-                    
-                    {/* Top Right: Weight + Delete */}
-                    <div className="flex gap-2 items-center justify-end w-full">
-                        <div className="relative flex-1">
-                            <input 
-                              type="number" 
-                              placeholder="0" 
-                              value={fruit.amount === '' ? '' : fruit.amount}
-                              onChange={(e) => handleFruitChange(fruit.id, 'amount', e.target.value)}
-                              className="w-full p-2 border border-amber-300 rounded-lg text-sm text-right pr-8"
-                              step="0.1"
-                            />
-                            <span className="absolute right-2 top-2 text-xs text-gray-500">kg</span>
-                        </div>
-
-                        <button type="button" onClick={() => handleRemoveFruit(fruit.id)} className="text-red-400 hover:text-red-600 px-1 min-w-[20px]">
-                          <Trash2 className="w-4 h-4" />
-                        </button>
-                    </div>
+            {honeyInputs}
 
-                    {/* Bottom Left: Name */}
-                    <input 
-                      type="text" 
-                      placeholder="Name (e.g. Mulberry)" 
-                      value={fruit.name}
-                      onChange={(e) => handleFruitChange(fruit.id, 'name', e.target.value)}
-                      className="w-full p-1 px-2 border border-gray-200 rounded text-sm text-gray-700 placeholder:text-gray-300 h-9"
-                    />
-                    
-                    {/* Bottom Right: Sugar % */}
-                    <div className="flex items-center gap-1 bg-amber-50 px-2 rounded border border-amber-100 h-9 w-full" title="Sugar percentage by weight">
-                      <span className="text-xs text-amber-600 font-bold whitespace-nowrap">Sugar</span>
-                      <input 
-                        type="number" 
-                        value={fruit.sugarPercent === '' ? '' : fruit.sugarPercent}
-                        onChange={(e) => handleFruitChange(fruit.id, 'sugarPercent', e.target.value)}
-                        className="flex-1 min-w-0 p-1 bg-transparent text-right text-sm font-mono border-b border-amber-300 focus:outline-none"
-                      />
-                      <span className="text-xs text-amber-600">%</span>
-                    </div>
+            {fruitInputs}
 
-                </div>
-              ))}
-            </div>
+            {yeastInputs}
 
             <div className="mt-6 bg-white p-4 rounded-lg border border-amber-200">
               <h3 className="text-sm font-bold text-amber-600 uppercase tracking-wider mb-2">Estimates</h3>
@@ -481,21 +966,34 @@ const Calculator = ({ onSave, onStartBatch, initialData = null, isStartingBatch
                   <div className="text-xs text-amber-700">Est. OG</div>
                 </div>
               </div>
+              {yeastResults}
             </div>
           </div>
         )}
 
         {/* Action Section */}
         <div className="mt-6 pt-6 border-t border-amber-200 flex flex-col gap-3">
+          {isEditingRecipe && (
+            <button 
+                type="button"
+                onClick={handleSaveVersion}
+                disabled={isSaveDisabled}
+                className="w-full bg-amber-600 text-white py-3 rounded-lg font-semibold hover:bg-amber-700 transition flex items-center justify-center gap-2 disabled:opacity-50"
+            >
+                <Save className="w-5 h-5" />
+                Save as Version {recipeVersion + 1}
+            </button>
+          )}
+
           {!isStartingBatch && (
             <button 
                 type="button"
                 onClick={handleSave}
                 disabled={isSaveDisabled}
-                className="w-full bg-amber-600 text-white py-3 rounded-lg font-semibold hover:bg-amber-700 transition flex items-center justify-center gap-2 disabled:opacity-50"
+                className={`w-full py-3 rounded-lg font-semibold transition flex items-center justify-center gap-2 disabled:opacity-50 ${isEditingRecipe ? 'bg-white text-amber-800 border border-amber-300 hover:bg-amber-50' : 'bg-amber-600 text-white hover:bg-amber-700'}`}
             >
                 <Save className="w-5 h-5" />
-                Save to Favorites (Planning)
+                {isEditingRecipe ? 'Save as New Recipe' : 'Save to Favorites (Planning)'}
             </button>
           )}
 
@@ -517,50 +1015,231 @@ const Calculator = ({ onSave, onStartBatch, initialData = null, isStartingBatch
 };
 
 // 2. Favorites List
-const Favorites = ({ favorites, onDelete, onStartBatch }) => {
-  if (favorites.length === 0) {
-    return (
-      <div className="text-center py-12 text-amber-800 opacity-60">
-        <BookOpen className="w-12 h-12 mx-auto mb-2" />
-        <p>No saved recipes yet (Planning stage).</p>
-      </div>
-    );
+
+const RECIPE_MODE_LABELS = { target: 'Target ABV', ingredients: 'Ingredients' };
+
+// One line per change between two recipe versions (see diffRecipes)
+const describeRecipeChange = (change, units) => {
+  const arrow = (before, after) => `${before} → ${after}`;
+  switch (change.field) {
+    case 'volume': return `Volume ${arrow(formatVolume(change.before, units), formatVolume(change.after, units))}`;
+    case 'mode': return `Mode ${arrow(RECIPE_MODE_LABELS[change.before] || change.before, RECIPE_MODE_LABELS[change.after] || change.after)}`;
+    case 'targetAbv': return `Target ${arrow(`${change.before}%`, `${change.after}%`)}`;
+    case 'yeast': return `Yeast ${arrow(change.before || 'None', change.after || 'None')}`;
+    case 'calculatedOg': return `OG ${arrow(change.before, change.after)}`;
+    case 'name': return `Renamed ${arrow(change.before, change.after)}`;
+    case 'honeys':
+    case 'fruits':
+      return change.items.map(item => {
+        const name = item.name || 'Honey';
+        if (item.before === null) return `+ ${formatMass(item.after, units)} ${name}`;
+        if (item.after === null) return `− ${name}`;
+        return `${name} ${arrow(formatMass(item.before, units), formatMass(item.after, units))}`;
+      }).join(', ');
+    default: return change.field;
   }
+};
+
+// Expandable list of a favorite's versions, newest first, each with what changed from the one before
+const RecipeHistory = ({ recipe, units }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const versions = getRecipeVersions(recipe, safeGetDate(recipe.updatedAt || recipe.timestamp).toISOString());
+  if (versions.length < 2) return null;
+
+  return (
+    <div className="text-xs">
+      <button type="button" onClick={() => setIsOpen(!isOpen)} className="font-bold text-amber-600 flex items-center">
+        <ChevronRight className={`w-4 h-4 transition-transform ${isOpen ? 'rotate-90' : ''}`} />
+        Version History ({versions.length})
+      </button>
+      {isOpen && (
+        <ul className="mt-2 space-y-2 border-l-2 border-amber-200 pl-3">
+          {versions.map((version, i) => ({ version, previous: versions[i - 1] })).reverse().map(({ version, previous }) => (
+            <li key={version.version}>
+              <div className="font-semibold text-amber-900">
+                v{version.version} <span className="font-normal text-gray-500">• {safeGetDate(version.savedAt).toLocaleDateString()}</span>
+              </div>
+              {previous ? (
+                <ul className="text-gray-600">
+                  {diffRecipes(previous, version).map(change => <li key={change.field}>{describeRecipeChange(change, units)}</li>)}
+                </ul>
+              ) : (
+                <p className="text-gray-500">Original recipe</p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// BeerXML / BeerJSON downloads for one recipe or the whole cellar
+const EXCHANGE_FORMATS = {
+  beerxml: { label: 'BeerXML', build: toBeerXml, type: 'application/xml' },
+  beerjson: { label: 'BeerJSON', build: toBeerJson, type: 'application/json' },
+};
+
+const exportRecipes = (recipes, format) => {
+  const { build, type } = EXCHANGE_FORMATS[format];
+  downloadFile(build(recipes), exchangeFileName(recipes, format), type);
+};
+
+// Picks a shared cellar (from the ones the user can edit) to copy or move something into
+const ShareToCellar = ({ cellars, onShare, label }) => (
+  <label className="flex items-center gap-2 text-xs text-amber-700">
+    <Share2 className="w-3 h-3 flex-shrink-0" />
+    <select
+      value=""
+      onChange={(e) => e.target.value && onShare(e.target.value)}
+      className="flex-1 p-1 border border-amber-300 rounded-lg bg-white text-amber-800"
+    >
+      <option value="">{label}</option>
+      {cellars.map(cellar => <option key={cellar.id} value={cellar.id}>{cellar.name}</option>)}
+    </select>
+  </label>
+);
+
+// `cellars` are the shared cellars the user belongs to, { id, name, access }; recipes from them carry a cellarId
+const Favorites = ({ favorites, onDelete, onStartBatch, onEdit, onImportRecipes, onShare, cellars = [], units = DEFAULT_UNIT_SYSTEM, customHoneys = [] }) => {
+  const [importErrors, setImportErrors] = useState([]);
+  const fileInput = useRef(null);
+  const shareTargets = cellars.filter(cellar => cellar.access.canEdit);
+
+  // Imported names are matched against the same catalogs the Calculator offers
+  const catalogs = useMemo(() => ({
+    honeys: [...HONEY_DATA, ...customHoneys],
+    fruits: FRUIT_DATA,
+    yeasts: YEAST_DATA,
+  }), [customHoneys]);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow picking the same file again
+    if (!file) return;
+    try {
+      const recipes = parseRecipeFile(await file.text(), catalogs);
+      setImportErrors([]);
+      await onImportRecipes(recipes);
+    } catch (error) {
+      setImportErrors([`${file.name}: ${error.message}`]);
+    }
+  };
 
   return (
     <div className="space-y-4 pb-24">
-      <h2 className="text-xl font-bold text-amber-900 mb-4 flex items-center">
-        <BookOpen className="w-5 h-5 mr-2" />
-        Recipe Cellar (Planning)
-      </h2>
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold text-amber-900 flex items-center">
+          <BookOpen className="w-5 h-5 mr-2" />
+          Recipe Cellar (Planning)
+        </h2>
+        <div className="flex gap-1">
+          {favorites.length > 0 && Object.entries(EXCHANGE_FORMATS).map(([format, { label }]) => (
+            <button
+              key={format}
+              type="button"
+              onClick={() => exportRecipes(favorites, format)}
+              className="text-xs px-2 py-1 bg-amber-50 text-amber-800 border border-amber-300 rounded-lg font-semibold flex items-center gap-1"
+              title={`Export all recipes as ${label}`}
+            >
+              <Download className="w-3 h-3" />
+              {label}
+            </button>
+          ))}
+          <button
+            type="button"
+            onClick={() => fileInput.current?.click()}
+            className="text-xs px-2 py-1 bg-amber-600 text-white rounded-lg font-semibold flex items-center gap-1"
+            title="Import BeerXML or BeerJSON recipes"
+          >
+            <Upload className="w-3 h-3" />
+            Import
+          </button>
+          <input ref={fileInput} type="file" accept=".xml,.json,application/xml,text/xml,application/json" onChange={handleFileChange} className="hidden" />
+        </div>
+      </div>
+
+      {importErrors.length > 0 && (
+        <ul className="text-xs text-red-700 bg-red-50 p-2 rounded-lg list-disc list-inside">
+          {importErrors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+
+      {favorites.length === 0 && (
+        <div className="text-center py-12 text-amber-800 opacity-60">
+          <BookOpen className="w-12 h-12 mx-auto mb-2" />
+          <p>No saved recipes yet (Planning stage).</p>
+        </div>
+      )}
+
       {favorites.map(recipe => {
         
         // NEW: Format fruit list for display
         const fruitSummary = recipe.fruits && recipe.fruits.length > 0
-          ? recipe.fruits.map(f => `${f.amount} kg ${f.name}`).join(', ')
+          ? recipe.fruits.map(f => `${formatMass(f.amount, units)} ${f.name}`).join(', ')
           : null;
+        const honeySummary = normalizeHoneys(recipe)
+          .map(h => `${formatMass(h.amount, units)} ${h.name || 'Honey'}`)
+          .join(' + ');
+        // Shared recipes can only be changed by the cellar's admins
+        const cellar = recipe.cellarId ? cellars.find(c => c.id === recipe.cellarId) : null;
+        const canChange = !cellar || cellar.access.canEdit;
 
         return (
           <div key={recipe.id} className="bg-white p-4 rounded-xl shadow-sm border border-amber-100 flex flex-col gap-3">
             <div className="flex justify-between items-start">
               <div>
-                <h3 className="font-bold text-lg text-amber-900">{recipe.name}</h3>
+                <h3 className="font-bold text-lg text-amber-900">
+                  {recipe.name}
+                  <span className="ml-2 text-xs font-semibold text-amber-500 bg-amber-50 px-1.5 py-0.5 rounded">v{getRecipeVersion(recipe)}</span>
+                </h3>
+                {cellar && (
+                  <p className="text-xs text-amber-700 font-semibold flex items-center gap-1">
+                    <Users className="w-3 h-3" />
+                    {cellar.name}
+                  </p>
+                )}
                 <p className="text-xs text-amber-600 uppercase tracking-wide">
-                  {recipe.volume} L • {recipe.calculatedAbv}% ABV • {recipe.calculatedOg} SG
+                  {formatVolume(recipe.volume, units)} • {recipe.calculatedAbv}% ABV • {recipe.calculatedOg} SG
+                </p>
+                {recipe.yeast && (
+                  <p className="text-xs text-gray-500 mt-1">Yeast: {recipe.yeast.name}</p>
+                )}
+                <p className="text-xs text-gray-400 mt-1 flex items-center gap-2">
+                  <Download className="w-3 h-3" />
+                  {Object.entries(EXCHANGE_FORMATS).map(([format, { label }]) => (
+                    <button key={format} type="button" onClick={() => exportRecipes([recipe], format)} className="hover:text-amber-600 underline">
+                      {label}
+                    </button>
+                  ))}
                 </p>
               </div>
-              <button type="button" onClick={() => onDelete(recipe.id)} className="text-gray-400 hover:text-red-500">
-                <Trash2 className="w-5 h-5" />
-              </button>
+              {canChange && (
+                <div className="flex gap-2">
+                  <button type="button" onClick={() => onEdit(recipe)} className="text-gray-400 hover:text-amber-600" title="Edit recipe">
+                    <Pencil className="w-5 h-5" />
+                  </button>
+                  <button type="button" onClick={() => onDelete(recipe.id)} className="text-gray-400 hover:text-red-500">
+                    <Trash2 className="w-5 h-5" />
+                  </button>
+                </div>
+              )}
             </div>
             
             <div className="text-sm text-gray-600 bg-amber-50 p-2 rounded">
               {recipe.mode === 'target' ? (
                 // This is a rough display summary; the true calculated value is stored
-                <span>Targeting <strong>{recipe.targetAbv}% ABV</strong>, {recipe.volume} L.</span>
+                <span>
+                  Targeting <strong>{recipe.targetAbv}% ABV</strong>, {formatVolume(recipe.volume, units)}.
+                  {fruitSummary && 
+                    <span className="ml-1">
+                      With {fruitSummary}
+                    </span>
+                  }
+                </span>
               ) : (
                 <span>
-                  <strong>{recipe.honeyAmount} kg</strong> Honey
+                  <strong>{honeySummary}</strong>
                   {fruitSummary && 
                     <span className="ml-1">
                       + {fruitSummary}
@@ -579,6 +1258,12 @@ const Favorites = ({ favorites, onDelete, onStartBatch }) => {
               <Droplet className="w-4 h-4" />
               Start Batch (Brewing)
             </button>
+
+            {!recipe.cellarId && shareTargets.length > 0 && (
+              <ShareToCellar cellars={shareTargets} onShare={(cellarId) => onShare(recipe, cellarId)} label="Share a copy with..." />
+            )}
+
+            <RecipeHistory recipe={recipe} units={units} />
           </div>
         )})}
     </div>
@@ -586,35 +1271,126 @@ const Favorites = ({ favorites, onDelete, onStartBatch }) => {
 };
 
 // 3. Batches List & Detail
-const Batches = ({ batches, onOpenBatch }) => {
-  if (batches.length === 0) {
-    return (
-      <div className="text-center py-12 text-amber-800 opacity-60">
-        <Activity className="w-12 h-12 mx-auto mb-2" />
-        <p>No batches active. Start one from your Cellar!</p>
-      </div>
-    );
-  }
 
+const BATCH_STATUS_LABELS = Object.fromEntries(Object.entries(BATCH_STATUSES).map(([key, { label }]) => [key, label]));
+
+// The byte order mark lets spreadsheet apps detect UTF-8 (°, →, accented names)
+const downloadCsv = (csv, fileName) => downloadFile(`\uFEFF${csv}`, fileName, 'text/csv;charset=utf-8');
+
+// Date format picker plus download button; onExport receives a CSV_DATE_FORMATS key
+const CsvExport = ({ onExport, title }) => {
+  const [dateFormat, setDateFormat] = useState(DEFAULT_CSV_DATE_FORMAT);
   return (
-    <div className="space-y-4 pb-24">
-      <h2 className="text-xl font-bold text-amber-900 mb-4 flex items-center">
-        <Activity className="w-5 h-5 mr-2" />
-        Batch Tracking
-      </h2>
+    <div className="flex items-center gap-1">
+      <select
+        value={dateFormat}
+        onChange={(e) => setDateFormat(e.target.value)}
+        className="text-xs p-1 border border-amber-300 rounded-lg bg-white text-amber-800"
+        title="Date format"
+      >
+        {Object.entries(CSV_DATE_FORMATS).map(([key, { label }]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+      <button
+        type="button"
+        onClick={() => onExport(dateFormat)}
+        className="text-xs px-2 py-1 bg-amber-50 text-amber-800 border border-amber-300 rounded-lg font-semibold flex items-center gap-1"
+        title={title}
+      >
+        <Download className="w-3 h-3" />
+        CSV
+      </button>
+    </div>
+  );
+};
+
+// Cellar-wide bottle count: bottles on hand per batch, oldest bottling first
+const BottleCellar = ({ batches, onOpenBatch }) => {
+  const stock = batches
+    .filter(batch => batch.bottling)
+    .map(batch => ({ batch, inventory: getBottleInventory(batch), bottledOn: safeGetDate(batch.bottling.date) }))
+    .filter(({ inventory }) => inventory.onHand > 0)
+    .sort((a, b) => a.bottledOn.getTime() - b.bottledOn.getTime());
+
+  if (stock.length === 0) return null;
+
+  const totalBottles = stock.reduce((total, { inventory }) => total + inventory.onHand, 0);
+  const totalLiters = stock.reduce((total, { inventory }) => total + inventory.onHandLiters, 0);
+
+  return (
+    <div className="bg-white p-4 rounded-xl shadow-sm border border-green-200">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-sm font-bold text-green-700 uppercase flex items-center">
+          <Wine className="w-4 h-4 mr-1" />
+          Bottle Cellar
+        </h3>
+        <span className="text-sm font-bold text-green-900">{totalBottles} bottles • {roundTo(totalLiters, 1)} L</span>
+      </div>
+      <ul className="space-y-1">
+        {stock.map(({ batch, inventory, bottledOn }) => (
+          <li key={batch.id} onClick={() => onOpenBatch(batch)} className="flex items-center text-sm cursor-pointer hover:bg-green-50 rounded px-1">
+            <span className="flex-1 truncate text-amber-900">{batch.name}</span>
+            <span className="text-xs text-gray-500 mr-3">
+              {inventory.bySize.filter(row => row.onHand > 0).map(row => `${row.onHand}×${row.sizeMl}`).join(', ')}
+            </span>
+            <span className="text-xs font-mono text-green-700 text-right">{formatDays(daysBetween(bottledOn, new Date()))} in bottle</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+const Batches = ({ batches, favorites = [], cellars = [], onOpenBatch, units = DEFAULT_UNIT_SYSTEM }) => {
+  if (batches.length === 0) {
+    return (
+      <div className="text-center py-12 text-amber-800 opacity-60">
+        <Activity className="w-12 h-12 mx-auto mb-2" />
+        <p>No batches active. Start one from your Cellar!</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4 pb-24">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold text-amber-900 flex items-center">
+          <Activity className="w-5 h-5 mr-2" />
+          Batch Tracking
+        </h2>
+        <CsvExport
+          title="Export a summary of every batch"
+          onExport={(dateFormat) => downloadCsv(
+            batchSummaryCsv(batches, {
+              startDateOf: (batch) => safeGetDate(batch.startDate),
+              statusLabels: BATCH_STATUS_LABELS,
+              favorites,
+              dateFormat,
+              units,
+            }),
+            csvFileName('golden-drop-batches'),
+          )}
+        />
+      </div>
+      <BottleCellar batches={batches} onOpenBatch={onOpenBatch} />
       {batches
         .sort((a, b) => safeGetDate(b.startDate).getTime() - safeGetDate(a.startDate).getTime()) // Sort newest first
         .map(batch => {
-        const logs = batch.logs || [];
-        const lastLog = logs.length > 0 ? logs[logs.length - 1] : null;
-        const currentSG = lastLog ? lastLog.sg : batch.calculatedOg;
-        const currentABV = sgToAbv(batch.calculatedOg, currentSG);
+        // Current gravity, volume and ABV account for additions, rackings and step feeds.
+        // Batches keep the ABV formula they were started with (older batches used 'simple')
+        const progress = getBatchProgress(batch);
+        const { currentVolume } = progress;
+        const currentSG = progress.currentSg.toFixed(3);
+        const currentABV = progress.abv.toFixed(1);
         
         // Safely get the start date, preventing the initial error
         const startDate = safeGetDate(batch.startDate);
+        const ages = getBatchAges(getStatusHistory(batch, startDate), startDate);
         const status = batch.status || 'brewing';
         const statusConfig = BATCH_STATUSES[status] || BATCH_STATUSES.brewing;
         const StatusIcon = statusConfig.icon;
+        const cellarName = batch.cellarId && cellars.find(cellar => cellar.id === batch.cellarId)?.name;
 
 
         return (
@@ -633,11 +1409,20 @@ const Batches = ({ batches, onOpenBatch }) => {
                 <StatusIcon className="w-3 h-3 mr-1" />
                 {statusConfig.label}
             </div>
+            {batch.bottling && (
+              <span className="ml-2 text-xs text-green-700 font-semibold">{getBottleInventory(batch).onHand} bottles on hand</span>
+            )}
+            {cellarName && (
+              <span className="ml-2 text-xs text-amber-700 font-semibold inline-flex items-center gap-1">
+                <Users className="w-3 h-3" />
+                {cellarName}
+              </span>
+            )}
             
             <div className="flex gap-4 text-sm mb-3">
               <div className="flex-1 bg-amber-50 p-2 rounded text-center">
                 <span className="block text-xs text-amber-600 uppercase">Original SG</span>
-                <span className="font-mono font-bold text-amber-900">{batch.calculatedOg}</span>
+                <span className="font-mono font-bold text-amber-900">{batch.measuredOg || batch.calculatedOg}</span>
               </div>
               <div className="flex-1 bg-green-50 p-2 rounded text-center">
                 <span className="block text-xs text-green-600 uppercase">Current SG</span>
@@ -651,7 +1436,10 @@ const Batches = ({ batches, onOpenBatch }) => {
 
             <div className="flex items-center text-xs text-gray-500">
               <Calendar className="w-3 h-3 mr-1" />
-              Started: {startDate.toLocaleDateString()}
+              Started: {startDate.toLocaleDateString()} • {formatVolume(currentVolume, units)}
+              <span className="ml-auto font-mono">
+                {formatDays(ages.totalDays)} old • {formatDays(ages.primaryDays)} primary{ages.agingDays !== 0 && ` • ${formatDays(ages.agingDays)} aging`}
+              </span>
             </div>
           </div>
         );
@@ -660,116 +1448,884 @@ const Batches = ({ batches, onOpenBatch }) => {
   );
 };
 
-const BatchDetail = ({ batch, userId, onBack, onUpdateBatch }) => {
+// Chart series for the fermentation curve
+const CHART_METRICS = {
+    sg: { label: 'SG', color: '#d97706', format: (v) => v.toFixed(3) },
+    abv: { label: 'ABV %', color: '#9333ea', format: (v) => v.toFixed(1) },
+    attenuation: { label: 'Attenuation %', color: '#16a34a', format: (v) => v.toFixed(0) },
+};
+
+const FERMENTATION_STATUS_STYLES = {
+    waiting: 'bg-gray-50 text-gray-700 border-gray-200',
+    active: 'bg-amber-50 text-amber-800 border-amber-200',
+    stalled: 'bg-red-50 text-red-800 border-red-200',
+    stable: 'bg-green-50 text-green-800 border-green-200',
+};
+
+// Plain SVG line chart of a fermentation curve (points from buildFermentationCurve)
+const FermentationChart = ({ points, metric = 'sg', expectedFg = null }) => {
+  const width = 300;
+  const height = 160;
+  const pad = { top: 10, right: 10, bottom: 22, left: 40 };
+  const config = CHART_METRICS[metric];
+
+  const values = points.map(p => p[metric]);
+  // Show the expected FG as a reference line on the SG chart
+  const reference = metric === 'sg' && expectedFg ? parseFloat(expectedFg) : null;
+  const allValues = reference !== null ? [...values, reference] : values;
+  let minY = Math.min(...allValues);
+  let maxY = Math.max(...allValues);
+  if (maxY - minY < 1e-6) {
+    minY -= metric === 'sg' ? 0.005 : 1;
+    maxY += metric === 'sg' ? 0.005 : 1;
+  }
+  const maxX = Math.max(1, ...points.map(p => p.day));
+
+  const x = (day) => pad.left + (day / maxX) * (width - pad.left - pad.right);
+  const y = (value) => pad.top + ((maxY - value) / (maxY - minY)) * (height - pad.top - pad.bottom);
+  const path = points.map(p => `${x(p.day).toFixed(1)},${y(p[metric]).toFixed(1)}`).join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto">
+      {/* Axes */}
+      <line x1={pad.left} y1={pad.top} x2={pad.left} y2={height - pad.bottom} stroke="#fcd34d" />
+      <line x1={pad.left} y1={height - pad.bottom} x2={width - pad.right} y2={height - pad.bottom} stroke="#fcd34d" />
+      <text x={pad.left - 4} y={pad.top + 4} textAnchor="end" fontSize="9" fill="#92400e">{config.format(maxY)}</text>
+      <text x={pad.left - 4} y={height - pad.bottom} textAnchor="end" fontSize="9" fill="#92400e">{config.format(minY)}</text>
+      <text x={pad.left} y={height - 6} fontSize="9" fill="#92400e">Day 0</text>
+      <text x={width - pad.right} y={height - 6} textAnchor="end" fontSize="9" fill="#92400e">Day {Math.round(maxX)}</text>
+
+      {reference !== null && (
+        <line x1={pad.left} y1={y(reference)} x2={width - pad.right} y2={y(reference)} stroke="#16a34a" strokeDasharray="4 3" />
+      )}
+
+      <polyline points={path} fill="none" stroke={config.color} strokeWidth="2" />
+      {points.map((p, idx) => (
+        <circle key={idx} cx={x(p.day)} cy={y(p[metric])} r="3" fill={idx === 0 ? '#78350f' : config.color}>
+          <title>Day {p.day.toFixed(1)}: {config.format(p[metric])}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+const TASK_URGENCY_STYLES = {
+  overdue: 'text-red-600 font-bold',
+  today: 'text-amber-800 font-bold',
+  upcoming: 'text-gray-500',
+};
+
+// One open task, nutrient addition or suggestion, shared by BatchDetail and the Agenda
+const TaskRow = ({ task, batchName = null, onComplete, onDelete = null, onOpen = null }) => {
+  const urgency = taskUrgency(task.dueDate);
+  return (
+    <li className={`flex items-center gap-3 p-2 rounded-lg text-sm ${task.kind === 'suggested' ? 'border border-dashed border-amber-300' : 'bg-amber-50/50'}`}>
+      <button type="button" onClick={onComplete} title={task.kind === 'suggested' ? 'Mark as done' : 'Complete'}>
+        <Circle className="w-5 h-5 text-amber-400 hover:text-green-600" />
+      </button>
+      <div className="flex-1 min-w-0" onClick={onOpen || undefined}>
+        <div className="text-amber-900 truncate">
+          {task.title}
+          {task.kind === 'suggested' && <span className="ml-1 text-[10px] uppercase font-bold text-amber-500">Suggested</span>}
+        </div>
+        {batchName && <div className="text-xs text-amber-600 truncate">{batchName}</div>}
+        {(task.note || task.reason) && <div className="text-xs text-gray-500 truncate">{task.note || task.reason}</div>}
+      </div>
+      <span className={`text-xs ${TASK_URGENCY_STYLES[urgency]}`}>
+        {urgency === 'today' ? 'Today' : task.dueDate.toLocaleDateString()}
+      </span>
+      {onDelete && (
+        <button type="button" onClick={onDelete} className="text-red-400 hover:text-red-600" title="Delete task">
+          <Trash2 className="w-4 h-4" />
+        </button>
+      )}
+    </li>
+  );
+};
+
+// Common clearing agents offered as suggestions in the event form
+const CLEARING_AGENTS = ['Bentonite', 'Sparkolloid', 'Chitosan', 'Kieselsol', 'Super-Kleer', 'Isinglass', 'Pectic Enzyme', 'Cold Crash'];
+
+// Form for non-reading timeline events (honey feeds, additions, racking, degassing, clearing).
+// `entry` is an existing log entry to edit, or null to add a new one of `initialType`.
+const EventForm = ({ entry, initialType = 'addition', units, currentVolume, currentSg, customHoneys = [], onSave, onCancel, onDelete }) => {
+  const isEdit = Boolean(entry);
+  const unitLabels = getUnitSystem(units);
+  const toDisplayVolume = (liters) => (liters === undefined || liters === '' ? '' : roundTo(volumeToDisplay(liters, units), 2));
+
+  const honeyCatalog = useMemo(() => [
+    ...HONEY_DATA.filter(h => h.name !== 'Custom'),
+    ...customHoneys,
+  ], [customHoneys]);
+
+  const [type, setType] = useState(entry?.type || initialType);
+  const [date, setDate] = useState(formatDate(entry?.date || new Date()));
+  const [category, setCategory] = useState(entry?.category || 'nutrient');
+  const [ingredient, setIngredient] = useState(entry?.ingredient || entry?.agent || '');
+  const [amount, setAmount] = useState(entry?.amount ?? '');
+  const [unit, setUnit] = useState(entry?.unit || (units === 'us' ? 'oz' : 'g'));
+  const [sugarPercent, setSugarPercent] = useState(entry?.sugarPercent ?? '');
+  const [volumeBefore, setVolumeBefore] = useState(toDisplayVolume(entry ? entry.volumeBefore : currentVolume));
+  const [volumeAfter, setVolumeAfter] = useState(toDisplayVolume(entry?.volumeAfter));
+  const [note, setNote] = useState(entry?.note || '');
+  // Honey feeds: amount in the display mass unit; gravities are optional (estimated when blank)
+  const [honeyName, setHoneyName] = useState(entry?.honeyName || DEFAULT_HONEY.name);
+  const [honeyAmount, setHoneyAmount] = useState(entry?.honeyAmount !== undefined ? roundTo(massToDisplay(entry.honeyAmount, units), 3) : '');
+  const [sgBefore, setSgBefore] = useState(entry?.sgBefore ?? '');
+  const [sgAfter, setSgAfter] = useState(entry?.sgAfter ?? '');
+  const feedSugarPercent = type === 'feed' && sugarPercent === '' ? DEFAULT_HONEY.sugar : sugarPercent;
+
+  const numberOrBlank = (setter) => (e) => setter(e.target.value === '' ? '' : parseFloat(e.target.value));
+  const showsSugar = type === 'addition' && ADDITION_CATEGORIES[category]?.sugar;
+
+  const handleIngredientChange = (value) => {
+    setIngredient(value);
+    // Pre-fill sugar content for known fruits
+    const fruit = FRUIT_DATA.find(f => f.name.toLowerCase() === value.trim().toLowerCase());
+    if (type === 'addition' && category === 'fruit' && fruit) setSugarPercent(fruit.sugar);
+  };
+
+  const handleHoneyChange = (name) => {
+    setHoneyName(name);
+    const variety = honeyCatalog.find(h => h.name === name);
+    if (variety) setSugarPercent(variety.sugar);
+  };
+
+  // Estimated gravity jump for a feed, shown when the before/after gravities aren't both measured
+  const estimatedSgAfter = type === 'feed' && honeyAmount !== '' && currentVolume > 0
+    ? feedGravityJump({
+        sgBefore: sgBefore === '' ? currentSg : sgBefore,
+        volume: currentVolume,
+        honeyKg: massFromDisplay(honeyAmount, units),
+        sugarPercent: feedSugarPercent,
+      })
+    : null;
+
+  const isValid = (() => {
+    if (type === 'feed') return honeyAmount !== '' || (sgBefore !== '' && sgAfter !== '');
+    if (type === 'addition') return ingredient.trim() !== '' && amount !== '';
+    if (type === 'racking') return volumeAfter !== '';
+    if (type === 'clearing') return ingredient.trim() !== '';
+    return true;
+  })();
+
+  const handleSave = () => {
+    const fields = { date: dateFromInput(date, { previous: entry?.date }), note };
+    if (type === 'addition') {
+      Object.assign(fields, {
+        category,
+        ingredient: ingredient.trim(),
+        amount: safeNum(amount),
+        unit,
+        sugarPercent: showsSugar ? safeNum(sugarPercent) : 0,
+      });
+    }
+    if (type === 'feed') {
+      Object.assign(fields, {
+        honeyName,
+        honeyAmount: honeyAmount === '' ? 0 : massFromDisplay(honeyAmount, units), // kg
+        sugarPercent: safeNum(feedSugarPercent),
+        sgBefore: sgBefore === '' ? '' : parseFloat(sgBefore).toFixed(3),
+        sgAfter: sgAfter === '' ? '' : parseFloat(sgAfter).toFixed(3),
+      });
+    }
+    if (type === 'racking') {
+      // Volumes are stored in liters
+      Object.assign(fields, {
+        volumeBefore: volumeFromDisplay(volumeBefore, units),
+        volumeAfter: volumeFromDisplay(volumeAfter, units),
+      });
+    }
+    if (type === 'clearing') {
+      Object.assign(fields, { agent: ingredient.trim(), amount: amount === '' ? '' : safeNum(amount), unit });
+    }
+    onSave(type, fields);
+  };
+
+  const inputClass = "w-full p-2 border border-amber-300 rounded-lg text-sm";
+  const labelClass = "text-xs font-bold text-amber-700 uppercase block mb-1";
+
+  const amountInputs = (
+    <div className="flex gap-2">
+      <input type="number" step="0.1" placeholder="Amount" value={amount} onChange={numberOrBlank(setAmount)} className={`${inputClass} font-mono`} />
+      <select value={unit} onChange={(e) => setUnit(e.target.value)} className="p-2 border border-amber-300 rounded-lg text-sm bg-white">
+        {Object.entries(ADDITION_UNITS).map(([key, config]) => (
+          <option key={key} value={key}>{config.label}</option>
+        ))}
+      </select>
+    </div>
+  );
+
+  return (
+    <div className="bg-white p-4 rounded-xl border border-amber-200 shadow-sm animate-fadeIn space-y-3">
+      <h3 className="font-bold text-amber-900">{isEdit ? `Edit ${LOG_ENTRY_TYPES[type].label}` : 'New Event'}</h3>
+      <div className="flex gap-3">
+        <div className="flex-1">
+          <label className={labelClass}>Event</label>
+          <select value={type} onChange={(e) => setType(e.target.value)} disabled={isEdit} className={`${inputClass} bg-white`}>
+            {Object.entries(LOG_ENTRY_TYPES).filter(([key]) => key !== 'reading').map(([key, config]) => (
+              <option key={key} value={key}>{config.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex-1">
+          <label className={labelClass}>Date</label>
+          <input type="date" value={date} onChange={(e) => setDate(e.target.value)} className={inputClass} />
+        </div>
+      </div>
+
+      {type === 'addition' && (
+        <>
+          <div className="flex gap-3">
+            <div className="flex-1">
+              <label className={labelClass}>Category</label>
+              <select value={category} onChange={(e) => setCategory(e.target.value)} className={`${inputClass} bg-white`}>
+                {Object.entries(ADDITION_CATEGORIES).map(([key, config]) => (
+                  <option key={key} value={key}>{config.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="flex-1">
+              <label className={labelClass}>Ingredient</label>
+              <input type="text" placeholder="e.g. Fermaid-O" value={ingredient} onChange={(e) => handleIngredientChange(e.target.value)} className={inputClass} />
+            </div>
+          </div>
+          <div className="flex gap-3">
+            <div className="flex-1">
+              <label className={labelClass}>Amount</label>
+              {amountInputs}
+            </div>
+            {showsSugar && (
+              <div className="w-24">
+                <label className={labelClass}>Sugar %</label>
+                <input type="number" value={sugarPercent} onChange={numberOrBlank(setSugarPercent)} className={`${inputClass} font-mono`} />
+              </div>
+            )}
+          </div>
+          {showsSugar && ADDITION_UNITS[unit].kg === null && safeNum(sugarPercent) > 0 && (
+            <p className="text-xs text-amber-700">Use a weight unit so this addition's sugar counts toward the effective OG.</p>
+          )}
+        </>
+      )}
+
+      {type === 'feed' && (
+        <>
+          <div className="flex gap-3">
+            <div className="flex-1">
+              <label className={labelClass}>Honey</label>
+              <select value={honeyName} onChange={(e) => handleHoneyChange(e.target.value)} className={`${inputClass} bg-white`}>
+                {honeyCatalog.map(h => (
+                  <option key={h.name} value={h.name}>{h.name}</option>
+                ))}
+              </select>
+            </div>
+            <div className="w-28">
+              <label className={labelClass}>Amount ({unitLabels.mass})</label>
+              <input type="number" step="0.01" value={honeyAmount} onChange={numberOrBlank(setHoneyAmount)} className={`${inputClass} font-mono`} />
+            </div>
+            <div className="w-20">
+              <label className={labelClass}>Sugar %</label>
+              <input type="number" value={feedSugarPercent} onChange={numberOrBlank(setSugarPercent)} className={`${inputClass} font-mono`} />
+            </div>
+          </div>
+          <div className="flex gap-3">
+            <div className="flex-1">
+              <label className={labelClass}>SG Before</label>
+              <input type="number" step="0.001" placeholder={currentSg.toFixed(3)} value={sgBefore} onChange={numberOrBlank(setSgBefore)} className={`${inputClass} font-mono`} />
+            </div>
+            <div className="flex-1">
+              <label className={labelClass}>SG After</label>
+              <input type="number" step="0.001" placeholder={estimatedSgAfter ? estimatedSgAfter.toFixed(3) : 'Optional'} value={sgAfter} onChange={numberOrBlank(setSgAfter)} className={`${inputClass} font-mono`} />
+            </div>
+          </div>
+          <p className="text-xs text-amber-700 bg-amber-50 p-2 rounded-lg">
+            Leave the gravities blank to estimate them from the last reading and the honey weight
+            {estimatedSgAfter && sgAfter === '' && <> (≈ <strong className="font-mono">{estimatedSgAfter.toFixed(3)}</strong> after feeding)</>}.
+          </p>
+        </>
+      )}
+
+      {type === 'racking' && (
+        <div className="flex gap-3">
+          <div className="flex-1">
+            <label className={labelClass}>Volume Before ({unitLabels.volume})</label>
+            <input type="number" step="0.1" value={volumeBefore} onChange={numberOrBlank(setVolumeBefore)} className={`${inputClass} font-mono`} />
+          </div>
+          <div className="flex-1">
+            <label className={labelClass}>Volume After ({unitLabels.volume})</label>
+            <input type="number" step="0.1" value={volumeAfter} onChange={numberOrBlank(setVolumeAfter)} className={`${inputClass} font-mono`} />
+          </div>
+        </div>
+      )}
+
+      {type === 'clearing' && (
+        <div className="flex gap-3">
+          <div className="flex-1">
+            <label className={labelClass}>Agent</label>
+            <input type="text" list="clearing-agents" value={ingredient} onChange={(e) => setIngredient(e.target.value)} className={inputClass} />
+            <datalist id="clearing-agents">
+              {CLEARING_AGENTS.map(agent => <option key={agent} value={agent} />)}
+            </datalist>
+          </div>
+          <div className="flex-1">
+            <label className={labelClass}>Amount</label>
+            {amountInputs}
+          </div>
+        </div>
+      )}
+
+      <div>
+        <label className={labelClass}>Notes</label>
+        <textarea value={note} onChange={(e) => setNote(e.target.value)} className={`${inputClass} h-16`} />
+      </div>
+
+      <div className="flex gap-2">
+        <button type="button" onClick={onCancel} className="flex-1 py-2 bg-gray-100 text-gray-700 rounded-lg font-medium">
+          Cancel
+        </button>
+        <button type="button" onClick={handleSave} disabled={!isValid} className="flex-1 py-2 bg-amber-600 text-white rounded-lg font-medium disabled:opacity-50">
+          {isEdit ? 'Update Event' : 'Save Event'}
+        </button>
+        {isEdit && (
+          <button type="button" onClick={() => onDelete(entry.id)} className="p-2 bg-red-100 text-red-600 rounded-lg" title="Delete this event">
+            <Trash2 className="w-5 h-5" />
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Bottling step: date, final gravity, bottle counts per size, carbonation and sweetness.
+// `bottling` is the batch's existing record when editing, otherwise null.
+const BottlingForm = ({ bottling, defaultFg, onSave, onCancel }) => {
+  const [date, setDate] = useState(formatDate(bottling?.date || new Date()));
+  const [finalGravity, setFinalGravity] = useState(bottling?.finalGravity ?? defaultFg);
+  const [bottles, setBottles] = useState(bottling?.bottles?.length ? bottling.bottles : [createBottleRow()]);
+  const [carbonation, setCarbonation] = useState(bottling?.carbonation || 'still');
+  const [sweetness, setSweetness] = useState(bottling?.sweetness || sweetnessLevel(defaultFg));
+  const [note, setNote] = useState(bottling?.note || '');
+
+  const updateBottle = (id, field, value) => setBottles(bottles.map(b => (b.id === id ? { ...b, [field]: value } : b)));
+  const totalBottles = bottles.reduce((total, b) => total + safeNum(b.count), 0);
+  const isValid = finalGravity !== '' && totalBottles > 0;
+
+  const handleFinalGravityChange = (e) => {
+    const value = e.target.value === '' ? '' : parseFloat(e.target.value);
+    setFinalGravity(value);
+    // Keep the sweetness in step with the gravity until the user picks one
+    if (!bottling?.sweetness && value !== '') setSweetness(sweetnessLevel(value));
+  };
+
+  const handleSave = () => onSave({
+    date: dateFromInput(date, { previous: bottling?.date }),
+    finalGravity: parseFloat(finalGravity).toFixed(3),
+    bottles: bottles
+      .filter(b => safeNum(b.count) > 0)
+      .map(b => ({ ...b, sizeMl: safeNum(b.sizeMl), count: safeNum(b.count) })),
+    carbonation,
+    sweetness,
+    note,
+  });
+
+  const inputClass = "w-full p-2 border border-amber-300 rounded-lg text-sm";
+  const labelClass = "text-xs font-bold text-amber-700 uppercase block mb-1";
+
+  return (
+    <div className="bg-white p-4 rounded-xl border border-green-200 shadow-sm animate-fadeIn space-y-3">
+      <h3 className="font-bold text-green-900 flex items-center">
+        <Wine className="w-5 h-5 mr-2" />
+        {bottling ? 'Edit Bottling' : 'Bottle This Batch'}
+      </h3>
+      <div className="flex gap-3">
+        <div className="flex-1">
+          <label className={labelClass}>Bottling Date</label>
+          <input type="date" value={date} onChange={(e) => setDate(e.target.value)} className={inputClass} />
+        </div>
+        <div className="flex-1">
+          <label className={labelClass}>Final Gravity</label>
+          <input type="number" step="0.001" value={finalGravity} onChange={handleFinalGravityChange} className={`${inputClass} font-mono`} />
+        </div>
+      </div>
+
+      <div>
+        <label className={labelClass}>Bottles</label>
+        <div className="space-y-2">
+          {bottles.map(b => (
+            <div key={b.id} className="flex gap-2 items-center">
+              <select value={b.sizeMl} onChange={(e) => updateBottle(b.id, 'sizeMl', parseFloat(e.target.value))} className="flex-1 p-2 border border-amber-300 rounded-lg text-sm bg-white">
+                {BOTTLE_SIZES.map(size => <option key={size} value={size}>{size} ml</option>)}
+              </select>
+              <input
+                type="number"
+                min="0"
+                placeholder="Count"
+                value={b.count}
+                onChange={(e) => updateBottle(b.id, 'count', e.target.value === '' ? '' : parseInt(e.target.value, 10))}
+                className="w-24 p-2 border border-amber-300 rounded-lg text-sm font-mono"
+              />
+              {bottles.length > 1 && (
+                <button type="button" onClick={() => setBottles(bottles.filter(row => row.id !== b.id))} className="text-red-400 hover:text-red-600">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+        <button type="button" onClick={() => setBottles([...bottles, createBottleRow(375)])} className="mt-2 text-xs font-bold text-amber-600 flex items-center">
+          <Plus className="w-4 h-4 mr-1" /> Add Bottle Size
+        </button>
+      </div>
+
+      <div className="flex gap-3">
+        <div className="flex-1">
+          <label className={labelClass}>Carbonation</label>
+          <select value={carbonation} onChange={(e) => setCarbonation(e.target.value)} className={`${inputClass} bg-white`}>
+            {Object.entries(CARBONATION_LEVELS).map(([key, config]) => <option key={key} value={key}>{config.label}</option>)}
+          </select>
+        </div>
+        <div className="flex-1">
+          <label className={labelClass}>Sweetness</label>
+          <select value={sweetness} onChange={(e) => setSweetness(e.target.value)} className={`${inputClass} bg-white`}>
+            {SWEETNESS_LEVELS.map(level => <option key={level.label} value={level.label}>{level.label}</option>)}
+          </select>
+        </div>
+      </div>
+
+      <div>
+        <label className={labelClass}>Notes</label>
+        <textarea value={note} onChange={(e) => setNote(e.target.value)} placeholder="Backsweetening, stabilizing, corks..." className={`${inputClass} h-16`} />
+      </div>
+
+      <div className="flex gap-2">
+        <button type="button" onClick={onCancel} className="flex-1 py-2 bg-gray-100 text-gray-700 rounded-lg font-medium">
+          Cancel
+        </button>
+        <button type="button" onClick={handleSave} disabled={!isValid} className="flex-1 py-2 bg-green-600 text-white rounded-lg font-medium disabled:opacity-50">
+          Save Bottling ({totalBottles} bottles)
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Bottles on hand for a bottled batch, with a form to take bottles out of the inventory
+const BottleInventory = ({ batch, onRemoveBottles, onUndoRemoval, onEditBottling }) => {
+  const inventory = getBottleInventory(batch);
+  const [removal, setRemoval] = useState(null); // null when closed, otherwise { sizeMl, count, reason, note }
+  const { bottling } = batch;
+  const removals = [...(batch.bottleLog || [])].sort((a, b) => new Date(b.date).getTime() - new Date(a.date).getTime());
+  const removalSize = removal && inventory.bySize.find(row => row.sizeMl === safeNum(removal.sizeMl));
+  const isRemovalValid = removal && safeNum(removal.count) > 0 && removalSize && safeNum(removal.count) <= removalSize.onHand;
+
+  const handleRemove = () => {
+    onRemoveBottles(createBottleRemoval(removal));
+    setRemoval(null);
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-xl border border-green-200 shadow-sm">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-sm font-bold text-green-700 uppercase">Bottles</h3>
+        <button type="button" onClick={onEditBottling} className="text-amber-500 hover:text-amber-700 p-1" title="Edit Bottling">
+          <Pencil className="w-4 h-4" />
+        </button>
+      </div>
+      <p className="text-xs text-gray-500 mb-3">
+        Bottled {safeGetDate(bottling.date).toLocaleDateString()} at <span className="font-mono">{bottling.finalGravity}</span>
+        {bottling.abv !== undefined && ` • ${bottling.abv}% ABV`} • {CARBONATION_LEVELS[bottling.carbonation]?.label || bottling.carbonation} • {bottling.sweetness}
+      </p>
+      <div className="grid grid-cols-3 gap-2 mb-3">
+        {inventory.bySize.map(row => (
+          <div key={row.sizeMl} className="bg-green-50 p-2 rounded-lg text-center">
+            <span className="block text-xs text-green-600">{row.sizeMl} ml</span>
+            <span className="font-mono font-bold text-green-900">{row.onHand}</span>
+            <span className="text-xs text-green-600"> / {row.bottled}</span>
+          </div>
+        ))}
+      </div>
+
+      {removal ? (
+        <div className="bg-amber-50 p-3 rounded-lg space-y-2">
+          <div className="flex gap-2">
+            <input
+              type="number"
+              min="1"
+              value={removal.count}
+              onChange={(e) => setRemoval({ ...removal, count: e.target.value === '' ? '' : parseInt(e.target.value, 10) })}
+              className="w-16 p-2 border border-amber-300 rounded-lg text-sm font-mono"
+            />
+            <select value={removal.sizeMl} onChange={(e) => setRemoval({ ...removal, sizeMl: parseFloat(e.target.value) })} className="flex-1 p-2 border border-amber-300 rounded-lg text-sm bg-white">
+              {inventory.bySize.map(row => <option key={row.sizeMl} value={row.sizeMl}>{row.sizeMl} ml ({row.onHand} left)</option>)}
+            </select>
+            <select value={removal.reason} onChange={(e) => setRemoval({ ...removal, reason: e.target.value })} className="flex-1 p-2 border border-amber-300 rounded-lg text-sm bg-white">
+              {Object.entries(BOTTLE_REMOVAL_REASONS).map(([key, config]) => <option key={key} value={key}>{config.label}</option>)}
+            </select>
+          </div>
+          <input
+            type="text"
+            placeholder="Who, which competition, tasting notes..."
+            value={removal.note}
+            onChange={(e) => setRemoval({ ...removal, note: e.target.value })}
+            className="w-full p-2 border border-amber-300 rounded-lg text-sm"
+          />
+          <div className="flex gap-2">
+            <button type="button" onClick={() => setRemoval(null)} className="flex-1 py-1.5 bg-gray-100 text-gray-700 rounded-lg text-sm font-medium">
+              Cancel
+            </button>
+            <button type="button" onClick={handleRemove} disabled={!isRemovalValid} className="flex-1 py-1.5 bg-amber-600 text-white rounded-lg text-sm font-medium disabled:opacity-50">
+              Remove Bottles
+            </button>
+          </div>
+        </div>
+      ) : (
+        <button
+          type="button"
+          onClick={() => setRemoval({ sizeMl: (inventory.bySize.find(row => row.onHand > 0) || inventory.bySize[0])?.sizeMl, count: 1, reason: 'opened', note: '' })}
+          disabled={inventory.onHand === 0}
+          className="w-full py-2 bg-green-600 text-white rounded-lg text-sm font-semibold disabled:opacity-50"
+        >
+          {inventory.onHand === 0 ? 'No bottles left' : `Take Bottles Out (${inventory.onHand} on hand)`}
+        </button>
+      )}
+
+      {removals.length > 0 && (
+        <ul className="mt-3 space-y-1">
+          {removals.map(entry => (
+            <li key={entry.id} className="flex items-center gap-2 text-xs text-gray-600">
+              <span className="text-gray-400">{safeGetDate(entry.date).toLocaleDateString()}</span>
+              <span className="flex-1 truncate">
+                {entry.count} × {entry.sizeMl} ml {(BOTTLE_REMOVAL_REASONS[entry.reason]?.label || entry.reason).toLowerCase()}
+                {entry.note && ` — ${entry.note}`}
+              </span>
+              <button type="button" onClick={() => onUndoRemoval(entry.id)} className="text-red-400 hover:text-red-600" title="Undo">
+                <Trash2 className="w-3 h-3" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Planned (recipe) vs actual (measured and logged) figures for a batch
+const PlanVsActual = ({ batch, sourceRecipe, progress, units, abvMethod, onSaveMeasuredOg, onPushToRecipe }) => {
+  const [measuredOg, setMeasuredOg] = useState(null); // null when not editing
+  const { added } = getActualIngredients(batch);
+  const finalGravity = batch.bottling?.finalGravity;
+  const actualAbv = batch.bottling?.abv || progress.abv.toFixed(1);
+  const plannedFg = batch.predictedFg || '1.000';
+  const plannedHoneys = normalizeHoneys(batch).map(h => `${formatMass(h.amount, units)} ${h.name || 'Honey'}`).join(' + ');
+  const plannedFruits = (batch.fruits || []).map(f => `${formatMass(f.amount, units)} ${f.name}`).join(', ');
+
+  const rows = [
+    { label: 'OG', planned: batch.calculatedOg, actual: batch.measuredOg || '—', editable: true },
+    ...(progress.effectiveOg.toFixed(3) !== safeNum(batch.measuredOg || batch.calculatedOg).toFixed(3)
+      ? [{ label: 'With Additions', planned: '—', actual: progress.effectiveOg.toFixed(3) }]
+      : []),
+    { label: finalGravity ? 'FG' : 'FG (current)', planned: plannedFg, actual: finalGravity || progress.currentSg.toFixed(3) },
+    { label: 'ABV', planned: `${sgToAbv(batch.calculatedOg, plannedFg, abvMethod)}%`, actual: `${actualAbv}%` },
+    { label: 'Volume', planned: formatVolume(batch.volume, units), actual: formatVolume(progress.currentVolume, units) },
+  ];
+
+  const handleSaveMeasuredOg = () => {
+    onSaveMeasuredOg(measuredOg === '' ? null : parseFloat(measuredOg).toFixed(3));
+    setMeasuredOg(null);
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-xl border border-amber-200 shadow-sm">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-sm font-bold text-amber-700 uppercase">Planned vs Actual</h3>
+        <span className="text-xs text-amber-600">
+          {sourceRecipe
+            ? `${sourceRecipe.name} v${batch.originalRecipeVersion || 1}${getRecipeVersion(sourceRecipe) !== (batch.originalRecipeVersion || 1) ? ` (now v${getRecipeVersion(sourceRecipe)})` : ''}`
+            : batch.originalRecipeId ? 'Source recipe deleted' : 'Not from a saved recipe'}
+        </span>
+      </div>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-xs text-gray-500 uppercase">
+            <th className="text-left font-semibold py-1"></th>
+            <th className="text-right font-semibold py-1">Planned</th>
+            <th className="text-right font-semibold py-1">Actual</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.label} className="border-t border-amber-50">
+              <td className="py-1 text-amber-800 font-semibold">{row.label}</td>
+              <td className="py-1 text-right font-mono text-gray-600">{row.planned}</td>
+              <td className="py-1 text-right font-mono text-amber-900">
+                {row.editable && measuredOg !== null ? (
+                  <span className="inline-flex gap-1">
+                    <input
+                      type="number"
+                      step="0.001"
+                      value={measuredOg}
+                      onChange={(e) => setMeasuredOg(e.target.value)}
+                      className="w-20 p-1 border border-amber-300 rounded text-xs font-mono"
+                    />
+                    <button type="button" onClick={handleSaveMeasuredOg} className="text-xs font-bold text-amber-700">Save</button>
+                  </span>
+                ) : (
+                  <>
+                    {row.actual}
+                    {row.editable && (
+                      <button type="button" onClick={() => setMeasuredOg(batch.measuredOg || '')} className="ml-1 text-amber-500 hover:text-amber-700" title="Record measured OG">
+                        <Pencil className="w-3 h-3 inline" />
+                      </button>
+                    )}
+                  </>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="mt-3 text-xs text-gray-600 space-y-1">
+        <p><span className="font-semibold text-amber-800">Planned:</span> {plannedHoneys}{plannedFruits && `, ${plannedFruits}`}</p>
+        {added.length > 0 && (
+          <p><span className="font-semibold text-amber-800">Added:</span> {added.map(item => `${formatMass(item.amountKg, units)} ${item.name}`).join(', ')}</p>
+        )}
+      </div>
+      {sourceRecipe && (
+        <button
+          type="button"
+          onClick={onPushToRecipe}
+          className="w-full mt-3 py-2 bg-amber-50 text-amber-800 border border-amber-200 rounded-lg text-sm font-semibold"
+        >
+          Save Actuals as {sourceRecipe.name} v{getRecipeVersion(sourceRecipe) + 1}
+        </button>
+      )}
+    </div>
+  );
+};
+
+// In a shared cellar, `author` is who new log entries are attributed to, and canEdit / canLog follow
+// the user's role there (see cellars.js); `shareTargets` are cellars a personal batch can move to
+const BatchDetail = ({ batch, store, onBack, onUpdateBatch, sourceRecipe = null, onPushToRecipe, cellarName = null, author = null, canEdit = true, canLog = true, shareTargets = [], onMoveToCellar, units = DEFAULT_UNIT_SYSTEM, customHoneys = [], stableWindowDays = FERMENTATION_DEFAULTS.stableWindowDays, wortCorrectionFactor = DEFAULT_WORT_CORRECTION_FACTOR, hydrometerCalibrationTemp = DEFAULT_HYDROMETER_CALIBRATION_TEMP }) => {
   const [newSg, setNewSg] = useState('');
+  const [newBrix, setNewBrix] = useState('');
+  const [instrument, setInstrument] = useState('hydrometer'); // Key of LOG_INSTRUMENTS
+  // Optional hydrometer sample/calibration temperatures, in the user's display unit
+  const defaultCalibrationTemp = roundTo(temperatureToDisplay(hydrometerCalibrationTemp, units), 1);
+  const [sampleTemp, setSampleTemp] = useState('');
+  const [calibrationTemp, setCalibrationTemp] = useState(defaultCalibrationTemp);
   const [note, setNote] = useState('');
   const [isAddingLog, setIsAddingLog] = useState(false);
-  const [editingLog, setEditingLog] = useState(null); // The index of the log being edited
+  const [editingLog, setEditingLog] = useState(null); // The log entry being edited (matched by id)
+  const [eventForm, setEventForm] = useState(null); // null when closed, otherwise { entry, type } (entry is null for a new event)
+  const [chartMetric, setChartMetric] = useState('sg'); // Key of CHART_METRICS
+  const [editingMilestone, setEditingMilestone] = useState(null); // { id, date } of the status change being re-dated
+  const [newTask, setNewTask] = useState(null); // null when the add-task form is closed, otherwise { type, dueDate, note }
+  const [isBottling, setIsBottling] = useState(false); // Bottling form open (also opened by switching the status to 'bottled')
   const currentStatus = batch.status || 'brewing';
   const statusConfig = BATCH_STATUSES[currentStatus] || BATCH_STATUSES.brewing;
 
   const logs = batch.logs || [];
-  // Sort logs: Newest first
-  const sortedLogs = useMemo(() => {
-    return [...logs].sort((a, b) => {
-      const dateA = safeGetDate(a.date).getTime();
-      const dateB = safeGetDate(b.date).getTime();
-      return dateB - dateA;
-    }); 
-  }, [logs]);
-  
-  const lastLog = sortedLogs.length > 0 ? sortedLogs[0] : null;
-  const currentSG = lastLog ? lastLog.sg : batch.calculatedOg;
-  const currentABV = sgToAbv(batch.calculatedOg, currentSG);
+  // Brewers can correct the entries they recorded; admins (and everyone in their own cellar) any entry
+  const canChangeEntry = (entry) => canEdit || (canLog && Boolean(author) && entry.author?.uid === author.uid);
+  const readings = useMemo(() => getReadings(logs), [logs]);
+  const abvMethod = batch.abvMethod || DEFAULT_ABV_FORMULA;
+  // Volume after rackings and feeds, the OG raised by sugar added since pitching, and ABV summed
+  // across each step-feed segment
+  const progress = useMemo(() => getBatchProgress(batch), [batch]);
+  const { currentVolume, effectiveOg, volumeLost, feeds } = progress;
+  // Brew-day measured OG when recorded, otherwise the recipe's calculated OG
+  const startingOg = batch.measuredOg || batch.calculatedOg;
+  const ogAdjusted = Math.abs(effectiveOg - safeNum(startingOg)) >= 0.0005;
+  const currentSG = progress.currentSg.toFixed(3);
+  const currentABV = progress.abv.toFixed(1);
 
   // Safely get the start date
   const startDate = safeGetDate(batch.startDate);
 
+  // Status transitions (oldest first) and the time spent in each stage
+  const statusHistory = useMemo(() => getStatusHistory(batch, startDate), [batch, startDate.getTime()]);
+  const ages = getBatchAges(statusHistory, startDate);
+
+  // Nutrient additions with due dates; the sugar-break addition moves up once a reading shows the break
+  const nutrientPlan = batch.nutrientSchedule
+    ? getNutrientPlanStatus(batch.nutrientSchedule, { startDate, logs })
+    : null;
+
+  // Timeline: log entries plus status milestones, newest first. The initial 'brewing' stage is the
+  // Brew Day node; milestones with an unknown date sort to the top so they get noticed.
+  const sortedLogs = useMemo(() => {
+    const milestones = statusHistory.slice(1).map(change => ({ ...change, type: 'milestone' }));
+    return [...logs, ...milestones].sort((a, b) => compareByDate(b, a));
+  }, [logs, statusHistory]);
+
+  // Fermentation curve (OG as day zero) and stall / terminal gravity analysis
+  const fermentationCurve = useMemo(() => buildFermentationCurve({
+    og: startingOg,
+    startDate,
+    readings: readings.map(l => ({ date: safeGetDate(l.date), sg: l.sg })),
+    feeds: feeds.map(f => ({ ...f, date: safeGetDate(f.date) })),
+    abvMethod,
+  }), [readings, feeds, startingOg, startDate.getTime(), abvMethod]);
+
+  const fermentationStatus = useMemo(() => analyzeFermentation(fermentationCurve, {
+    expectedFg: batch.predictedFg || 1.000,
+    stableWindowDays,
+  }), [fermentationCurve, batch.predictedFg, stableWindowDays]);
+
+  // Refractometer readings are converted from Brix and corrected for alcohol against the OG at the time
+  // of the reading, which includes the sugar from earlier additions and feeds.
+  // A reading being edited keeps the WCF it was recorded with, even if the setting has changed since.
+  const readingWcf = editingLog?.wcf ?? wortCorrectionFactor;
+  const readingOg = useMemo(() => (editingLog ? getEffectiveOgAt(batch, editingLog.date) : effectiveOg), [batch, editingLog, effectiveOg]);
+  const refractometerReading = useMemo(() => {
+    if (instrument !== 'refractometer' || newBrix === '') return null;
+    return correctRefractometerReading({ og: readingOg, brix: newBrix, wcf: readingWcf });
+  }, [instrument, newBrix, readingOg, readingWcf]);
+
+  // Hydrometer readings are corrected to the calibration temperature when a sample temperature is given
+  const hasSampleTemp = instrument === 'hydrometer' && sampleTemp !== '' && calibrationTemp !== '';
+  const hydrometerSg = hasSampleTemp
+    ? correctHydrometerTemperature({
+        sg: newSg,
+        sampleTemp: temperatureFromDisplay(sampleTemp, units),
+        calibrationTemp: temperatureFromDisplay(calibrationTemp, units),
+      })
+    : parseFloat(newSg);
+
+  const readingSg = instrument === 'refractometer' ? refractometerReading?.sg : hydrometerSg;
+  const isReadingValid = readingSg !== undefined && !isNaN(readingSg) && readingSg >= 0.990 && readingSg <= 1.200
+    && (instrument !== 'refractometer' || (newBrix >= 0 && newBrix <= 45));
+
+  const resetLogForm = () => {
+    setIsAddingLog(false);
+    setEditingLog(null);
+    setNewSg('');
+    setNewBrix('');
+    setSampleTemp('');
+    setCalibrationTemp(defaultCalibrationTemp);
+    setNote('');
+  };
+
   // Function to handle saving/editing logs
-  const handleSaveLog = async (logIndex = -1) => {
-    const sgValue = parseFloat(newSg);
-    if (isNaN(sgValue) || sgValue < 0.990 || sgValue > 1.200) {
+  const handleSaveLog = async (logId = null) => {
+    if (!isReadingValid) {
         // IMPORTANT: Custom modal UI should be used here instead of alert()
-        alert("Please enter a valid Specific Gravity (e.g., between 0.990 and 1.200).");
+        alert(instrument === 'refractometer'
+          ? "Please enter a valid Brix reading (0 to 45) that corrects to a gravity between 0.990 and 1.200."
+          : "Please enter a valid Specific Gravity (e.g., between 0.990 and 1.200).");
         return;
     }
     
     // Check if we are editing or adding
-    const isEdit = logIndex !== -1;
+    const isEdit = logId !== null;
 
-    // The date input for editing is YYYY-MM-DD, convert back to ISO string
-    const logDate = isEdit ? new Date(editingLog.date).toISOString() : new Date().toISOString(); 
+    // The date input keeps editingLog.date an ISO string (see its onChange)
+    const logDate = isEdit ? editingLog.date : new Date().toISOString();
     
-    const logToSave = {
-      sg: sgValue.toFixed(3),
+    const logToSave = createLogEntry('reading', {
+      sg: readingSg.toFixed(3), // Corrected value, used for current SG and ABV
       note: note,
-      date: logDate 
-    };
-
-    let updatedLogs = [...logs];
+      date: logDate,
+      instrument,
+      // Keep the raw reading so the correction can be audited or redone later
+      ...(instrument === 'refractometer' && {
+        brix: parseFloat(newBrix),
+        rawSg: refractometerReading.rawSg.toFixed(3),
+        wcf: readingWcf,
+      }),
+      // Temperatures are stored in °C alongside the as-read gravity
+      ...(hasSampleTemp && {
+        rawSg: parseFloat(newSg).toFixed(3),
+        sampleTemp: temperatureFromDisplay(sampleTemp, units),
+        calibrationTemp: temperatureFromDisplay(calibrationTemp, units),
+      }),
+    });
 
-    if (isEdit) {
-        // Edit existing log
-        updatedLogs[logIndex] = logToSave;
-    } else {
+    // Log entries are written one at a time so entries others add to a shared batch meanwhile are kept
+    const existing = isEdit ? logs.find(l => l.id === logId) : null;
+    const edit = existing
+        // Edit existing log, keeping its id
+        ? { from: existing, to: { ...logToSave, id: logId, ...(existing.author && { author: existing.author }) } }
         // Add new log
-        updatedLogs = [...logs, logToSave];
-    }
+        : { from: null, to: { ...logToSave, ...(author && { author }) } };
     
     // Optimistic local update 
-    onUpdateBatch(batch.id, { logs: updatedLogs });
+    onUpdateBatch(batch.id, { logs: applyListEdits(logs, [edit]) });
 
     // Close form/editing mode
-    setIsAddingLog(false);
-    setEditingLog(null);
-    setNewSg('');
-    setNote('');
+    resetLogForm();
 
     // Update Firestore
     try {
-      const batchRef = doc(db, 'artifacts', appId, 'users', userId, 'batches', batch.id);
-      await updateDoc(batchRef, { logs: updatedLogs });
+      await store.updateList('batches', batch.id, 'logs', [edit]);
     } catch (error) {
       console.error("Error updating batch", error);
     }
   };
 
-  const handleDeleteLog = async (logIndex) => {
+  // Saves an addition, racking, degassing or clearing event from the EventForm
+  const handleSaveEvent = async (type, fields) => {
+    const existing = eventForm?.entry;
+    const edit = existing
+      ? { from: existing, to: { id: existing.id, type, ...fields, ...(existing.author && { author: existing.author }) } }
+      : { from: null, to: createLogEntry(type, { ...fields, ...(author && { author }) }) };
+
+    // Optimistic local update
+    onUpdateBatch(batch.id, { logs: applyListEdits(logs, [edit]) });
+    setEventForm(null);
+
+    try {
+      await store.updateList('batches', batch.id, 'logs', [edit]);
+    } catch (error) {
+      console.error("Error saving log event", error);
+    }
+  };
+
+  const handleDeleteLog = async (logId) => {
+      const entry = logs.find(l => l.id === logId);
+      const message = entry?.type === 'reading'
+        ? "Are you sure you want to delete this specific gravity reading?"
+        : `Are you sure you want to delete this ${(LOG_ENTRY_TYPES[entry?.type]?.label || 'log entry').toLowerCase()} event?`;
       // IMPORTANT: Custom modal UI should be used here instead of confirm()
-      if (!window.confirm("Are you sure you want to delete this specific gravity reading?")) return;
+      if (!window.confirm(message)) return;
 
-      const updatedLogs = logs.filter((_, idx) => idx !== logIndex);
+      const edit = { from: entry, to: null };
 
       // Optimistic local update 
-      onUpdateBatch(batch.id, { logs: updatedLogs });
+      onUpdateBatch(batch.id, { logs: applyListEdits(logs, [edit]) });
       setEditingLog(null); // Exit editing mode if we delete the item being edited
+      setEventForm(null);
 
       try {
-        const batchRef = doc(db, 'artifacts', appId, 'users', userId, 'batches', batch.id);
-        await updateDoc(batchRef, { logs: updatedLogs });
+        await store.updateList('batches', batch.id, 'logs', [edit]);
       } catch (error) {
         console.error("Error deleting log entry", error);
       }
   };
 
-  const handleEditClick = (logIndex, log) => {
-      // Find the original index from the main `logs` array, not the sorted one
-      // The log date/sg is used as a unique identifier for finding the original index in the unsorted array
-      const originalIndex = logs.findIndex(l => safeGetDate(l.date).getTime() === safeGetDate(log.date).getTime() && l.sg === log.sg);
+  const handleEditClick = (log) => {
+      setEditingLog(log);
+      setInstrument(log.instrument || 'hydrometer');
+      // Temperature-corrected hydrometer readings are edited from the as-read value
+      setNewSg(parseFloat(log.sampleTemp !== undefined ? log.rawSg : log.sg));
+      setNewBrix(log.brix ?? '');
+      setSampleTemp(log.sampleTemp !== undefined ? roundTo(temperatureToDisplay(log.sampleTemp, units), 1) : '');
+      setCalibrationTemp(log.calibrationTemp !== undefined ? roundTo(temperatureToDisplay(log.calibrationTemp, units), 1) : defaultCalibrationTemp);
+      setNote(log.note);
+      setIsAddingLog(false); // Make sure the add form is closed
+      setEventForm(null);
+  };
 
-      if (originalIndex !== -1) {
-          setEditingLog({ ...log, index: originalIndex });
-          setNewSg(parseFloat(log.sg));
-          setNote(log.note);
-          setIsAddingLog(false); // Make sure the add form is closed
-      }
+  const handleEditEventClick = (entry) => {
+      resetLogForm();
+      setEventForm({ entry, type: entry.type });
   };
 
   const handleDeleteBatch = async () => {
     // IMPORTANT: Custom modal UI should be used here instead of confirm()
     if(window.confirm("Are you sure you want to delete this batch? This cannot be undone.")) {
         try {
-            await deleteDoc(doc(db, 'artifacts', appId, 'users', userId, 'batches', batch.id));
+            await store.remove('batches', batch.id);
             onBack();
         } catch(e) {
             console.error("Error deleting batch:", e);
@@ -781,36 +2337,188 @@ const BatchDetail = ({ batch, userId, onBack, onUpdateBatch }) => {
     const value = e.target.value;
     setNewSg(value === '' ? '' : parseFloat(value));
   };
+
+  const handleBrixChange = (e) => {
+    const value = e.target.value;
+    setNewBrix(value === '' ? '' : parseFloat(value));
+  };
   
   const handleStatusChange = async (e) => {
       const newStatus = e.target.value;
+      if (newStatus === currentStatus) return;
+      // Bottling goes through the bottling form, which records the status change when saved
+      if (newStatus === 'bottled' && !batch.bottling) {
+        setIsBottling(true);
+        return;
+      }
+      // Every transition is recorded so stage durations can be reported
+      const updatedHistory = [...statusHistory, createStatusChange(newStatus)];
       // Optimistic UI update
-      onUpdateBatch(batch.id, { status: newStatus }); 
+      onUpdateBatch(batch.id, { status: newStatus, statusHistory: updatedHistory }); 
       try {
-          const batchRef = doc(db, 'artifacts', appId, 'users', userId, 'batches', batch.id);
-          await updateDoc(batchRef, { status: newStatus });
+          await store.update('batches', batch.id, { status: newStatus, statusHistory: updatedHistory });
       } catch(e) {
           console.error("Error updating status:", e);
       }
   }
 
+  // Open tasks and suggestions (nutrient additions have their own card)
+  const openTasks = getOpenTasks(batch, startDate).filter(task => task.kind !== 'nutrient');
 
-  // Log index is the original index in the 'logs' array, not the sorted array
-  const currentLogIndex = editingLog?.index; 
-  
-  return (
-    <div className="space-y-6 pb-24">
-      {/* Header */}
-      <div className="flex items-center gap-3 mb-6">
+  const saveTasks = async (tasks) => {
+      // Optimistic UI update
+      onUpdateBatch(batch.id, { tasks });
+      try {
+          await store.update('batches', batch.id, { tasks });
+      } catch(e) {
+          console.error("Error updating tasks:", e);
+      }
+  }
+
+  const handleAddTask = () => {
+      saveTasks([...(batch.tasks || []), createTask({
+        type: newTask.type,
+        dueDate: dateFromInput(newTask.dueDate),
+        note: newTask.note,
+      })]);
+      setNewTask(null);
+  }
+
+  // Ticking a suggestion adds it as a task already marked done
+  const handleCompleteTask = (task) => {
+      const now = new Date().toISOString();
+      if (task.kind === 'suggested') {
+        saveTasks([...(batch.tasks || []), { ...createTask({ type: task.type, dueDate: task.dueDate.toISOString() }), done: true, doneDate: now }]);
+        return;
+      }
+      saveTasks((batch.tasks || []).map(t => (t.id === task.id ? { ...t, done: true, doneDate: now } : t)));
+  }
+
+  const handleDeleteTask = (taskId) => {
+      saveTasks((batch.tasks || []).filter(t => t.id !== taskId));
+  }
+
+  const saveNutrientSchedule = async (nutrientSchedule) => {
+      // Optimistic UI update
+      onUpdateBatch(batch.id, { nutrientSchedule });
+      try {
+          await store.update('batches', batch.id, { nutrientSchedule });
+      } catch(e) {
+          console.error("Error updating nutrient schedule:", e);
+      }
+  }
+
+  // Batches started before nutrient plans can generate one from their OG, volume and yeast
+  const handleGenerateNutrientPlan = () => saveNutrientSchedule(createNutrientPlan({
+      og: batch.calculatedOg,
+      fg: batch.predictedFg || 1.000,
+      volume: batch.volume,
+      nutrientNeeds: batch.yeast?.nutrientNeeds,
+  }));
+
+  const handleToggleNutrientAddition = (additionId) => {
+      const schedule = batch.nutrientSchedule;
+      saveNutrientSchedule({
+        ...schedule,
+        additions: schedule.additions.map(addition => (
+          addition.id === additionId
+            ? { ...addition, done: !addition.done, doneDate: addition.done ? null : new Date().toISOString() }
+            : addition
+        )),
+      });
+  }
+
+  const handleSaveBottling = async (bottlingData) => {
+      // Final ABV as if the final gravity had been logged on the bottling date (keeps step-feed segments)
+      const finalProgress = getBatchProgress({
+        ...batch,
+        logs: [...logs, { id: 'bottling', type: 'reading', sg: bottlingData.finalGravity, date: bottlingData.date }],
+      });
+      const bottling = { ...bottlingData, abv: finalProgress.abv.toFixed(1) };
+      const data = { bottling };
+      if (currentStatus !== 'bottled') {
+        data.status = 'bottled';
+        data.statusHistory = [...statusHistory, createStatusChange('bottled', bottling.date)];
+      }
+
+      // Optimistic UI update
+      onUpdateBatch(batch.id, data);
+      setIsBottling(false);
+      try {
+          await store.update('batches', batch.id, data);
+      } catch(e) {
+          console.error("Error saving bottling:", e);
+      }
+  }
+
+  const handleSaveMeasuredOg = async (measuredOg) => {
+      // Optimistic UI update
+      onUpdateBatch(batch.id, { measuredOg });
+      try {
+          await store.update('batches', batch.id, { measuredOg });
+      } catch(e) {
+          console.error("Error saving measured OG:", e);
+      }
+  }
+
+  const saveBottleLog = async (bottleLog) => {
+      // Optimistic UI update
+      onUpdateBatch(batch.id, { bottleLog });
+      try {
+          await store.update('batches', batch.id, { bottleLog });
+      } catch(e) {
+          console.error("Error updating bottle inventory:", e);
+      }
+  }
+
+  const handleSaveMilestoneDate = async () => {
+      if (!editingMilestone?.date) return;
+      const updatedHistory = statusHistory.map(change => (
+        change.id === editingMilestone.id ? { ...change, date: dateFromInput(editingMilestone.date, { previous: change.date }) } : change
+      ));
+      // Optimistic UI update
+      onUpdateBatch(batch.id, { statusHistory: updatedHistory });
+      setEditingMilestone(null);
+      try {
+          await store.update('batches', batch.id, { statusHistory: updatedHistory });
+      } catch(e) {
+          console.error("Error updating status history:", e);
+      }
+  }
+
+
+  // Log entries are edited and deleted by their stable id
+  const currentLogId = editingLog?.id ?? null; 
+  
+  return (
+    <div className="space-y-6 pb-24">
+      {/* Header */}
+      <div className="flex items-center gap-3 mb-6">
         <button type="button" onClick={onBack} className="p-2 bg-amber-100 rounded-full text-amber-800 hover:bg-amber-200">
           <ArrowLeft className="w-5 h-5" />
         </button>
-        <div>
+        <div className="flex-1">
           <h2 className="text-xl font-bold text-amber-900">{batch.name}</h2>
-          <p className="text-xs text-amber-600">Started {startDate.toLocaleDateString()}</p>
+          <p className="text-xs text-amber-600">
+            Started {startDate.toLocaleDateString()} • {formatVolume(currentVolume, units)}
+            {volumeLost > 0 && ` (${formatVolume(volumeLost, units)} lost to racking)`}
+            {batch.originalRecipeVersion && ` • Recipe v${batch.originalRecipeVersion}`}
+            {cellarName && ` • Shared in ${cellarName}`}
+          </p>
         </div>
+        <CsvExport
+          title="Export this batch's log"
+          onExport={(dateFormat) => downloadCsv(batchLogCsv(batch, { startDate, dateFormat, units }), csvFileName(batch.name))}
+        />
       </div>
-      
+
+      {shareTargets.length > 0 && (
+        <ShareToCellar cellars={shareTargets} onShare={(cellarId) => onMoveToCellar(batch, cellarId)} label="Move to a shared cellar..." />
+      )}
+
+      {/* Only admins change a shared batch's status, bottling, plan and schedule: a disabled fieldset
+          disables every control inside it */}
+      <fieldset disabled={!canEdit} className="space-y-6 min-w-0">
       {/* Status Selector */}
       <div className="bg-white p-4 rounded-xl border border-amber-200 shadow-sm">
         <label className="text-sm font-bold text-amber-700 uppercase block mb-2 flex items-center">
@@ -831,11 +2539,54 @@ const BatchDetail = ({ batch, userId, onBack, onUpdateBatch }) => {
       </div>
 
 
+      {/* Bottling */}
+      {isBottling ? (
+        <BottlingForm
+          bottling={batch.bottling || null}
+          defaultFg={currentSG}
+          onSave={handleSaveBottling}
+          onCancel={() => setIsBottling(false)}
+        />
+      ) : batch.bottling ? (
+        <BottleInventory
+          batch={batch}
+          onRemoveBottles={(entry) => saveBottleLog([...(batch.bottleLog || []), entry])}
+          onUndoRemoval={(entryId) => saveBottleLog((batch.bottleLog || []).filter(entry => entry.id !== entryId))}
+          onEditBottling={() => setIsBottling(true)}
+        />
+      ) : currentStatus === 'bottled' && (
+        <button
+          type="button"
+          onClick={() => setIsBottling(true)}
+          className="w-full py-2 bg-green-50 text-green-800 border border-green-200 rounded-xl text-sm font-semibold"
+        >
+          Record Bottling Details
+        </button>
+      )}
+      </fieldset>
+
+      {/* Batch Age */}
+      <div className="grid grid-cols-3 gap-3 text-center text-xs">
+        <div className="bg-amber-50 p-2 rounded-lg">
+          <span className="block text-amber-600 uppercase font-bold">Age</span>
+          <span className="font-mono font-bold text-amber-900">{formatDays(ages.totalDays)}</span>
+        </div>
+        <div className="bg-red-50 p-2 rounded-lg">
+          <span className="block text-red-600 uppercase font-bold">Primary</span>
+          <span className="font-mono font-bold text-red-900">{formatDays(ages.primaryDays)}</span>
+        </div>
+        <div className="bg-blue-50 p-2 rounded-lg">
+          <span className="block text-blue-600 uppercase font-bold">Aging</span>
+          <span className="font-mono font-bold text-blue-900">{formatDays(ages.agingDays)}</span>
+        </div>
+      </div>
+
       {/* Stats Cards */}
       <div className="grid grid-cols-3 gap-3">
         <div className="bg-white p-3 rounded-xl border border-amber-100 shadow-sm text-center">
             <div className="text-xs text-amber-500 uppercase font-bold mb-1">OG</div>
-            <div className="font-mono text-lg font-bold text-amber-900">{batch.calculatedOg}</div>
+            <div className="font-mono text-lg font-bold text-amber-900">{ogAdjusted ? effectiveOg.toFixed(3) : startingOg}</div>
+            {ogAdjusted && <div className="text-[10px] text-amber-500">from {startingOg} + {feeds.length > 0 ? `${feeds.length} feed${feeds.length > 1 ? 's' : ''}` : 'additions'}</div>}
         </div>
         <div className="bg-green-50 p-3 rounded-xl border border-green-100 shadow-sm text-center">
             <div className="text-xs text-green-600 uppercase font-bold mb-1">Gravity</div>
@@ -844,41 +2595,273 @@ const BatchDetail = ({ batch, userId, onBack, onUpdateBatch }) => {
         <div className="bg-purple-50 p-3 rounded-xl border border-purple-100 shadow-sm text-center">
             <div className="text-xs text-purple-600 uppercase font-bold mb-1">ABV</div>
             <div className="font-mono text-lg font-bold text-purple-900">{currentABV}%</div>
+            <div className="text-[10px] text-purple-500">
+              {ABV_FORMULAS[abvMethod]?.label || abvMethod}
+              {feeds.length > 0 && ` • ${feeds.length + 1} segments`}
+            </div>
+        </div>
+      </div>
+
+      {/* Fermentation Curve */}
+      <div className="bg-white p-4 rounded-xl border border-amber-200 shadow-sm">
+        <div className="flex justify-between items-center mb-2">
+          <h3 className="text-sm font-bold text-amber-700 uppercase">Fermentation</h3>
+          <div className="flex bg-amber-100 p-0.5 rounded-lg">
+            {Object.entries(CHART_METRICS).map(([key, metric]) => (
+              <button
+                key={key}
+                type="button"
+                onClick={() => setChartMetric(key)}
+                className={`px-2 py-1 rounded-md text-[10px] font-bold transition-all ${chartMetric === key ? 'bg-white text-amber-900 shadow' : 'text-amber-700'}`}
+              >
+                {metric.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <FermentationChart points={fermentationCurve} metric={chartMetric} expectedFg={batch.predictedFg} />
+        <div className={`mt-2 p-2 rounded-lg border text-xs ${FERMENTATION_STATUS_STYLES[fermentationStatus.status]}`}>
+          <span className="font-bold uppercase mr-1">{fermentationStatus.status}</span>
+          {fermentationStatus.message}
+        </div>
+      </div>
+
+      {/* Expected Finish (from the recipe's yeast) */}
+      {batch.yeast && batch.predictedFg && (
+        <div className="bg-amber-50 p-3 rounded-xl border border-amber-100 text-sm text-amber-900 flex justify-between items-center">
+          <span className="font-semibold">{batch.yeast.name}</span>
+          <span className="text-xs text-amber-700">
+            Expected FG <strong className="font-mono">{batch.predictedFg}</strong> ({sweetnessLevel(batch.predictedFg)}) • {sgToAbv(batch.calculatedOg, batch.predictedFg, abvMethod)}% ABV
+          </span>
+        </div>
+      )}
+
+      <fieldset disabled={!canEdit} className="space-y-6 min-w-0">
+      {/* Planned vs Actual */}
+      <PlanVsActual
+        batch={batch}
+        sourceRecipe={sourceRecipe}
+        progress={progress}
+        units={units}
+        abvMethod={abvMethod}
+        onSaveMeasuredOg={handleSaveMeasuredOg}
+        onPushToRecipe={() => onPushToRecipe(batch)}
+      />
+
+      {/* Tasks */}
+      <div className="bg-white p-4 rounded-xl border border-amber-200 shadow-sm">
+        <div className="flex justify-between items-center mb-2">
+          <h3 className="text-sm font-bold text-amber-700 uppercase">Tasks</h3>
+          {!newTask && (
+            <button
+              type="button"
+              onClick={() => setNewTask({ type: 'reading', dueDate: formatDate(new Date()), note: '' })}
+              className="text-xs font-bold text-amber-600 flex items-center"
+            >
+              <Plus className="w-4 h-4 mr-1" /> Add Task
+            </button>
+          )}
+        </div>
+        {newTask && (
+          <div className="bg-amber-50 p-3 rounded-lg mb-3 space-y-2">
+            <div className="flex gap-2">
+              <select
+                value={newTask.type}
+                onChange={(e) => setNewTask({ ...newTask, type: e.target.value })}
+                className="flex-1 p-2 border border-amber-300 rounded-lg text-sm bg-white"
+              >
+                {Object.entries(TASK_TYPES).map(([key, config]) => (
+                  <option key={key} value={key}>{config.label}</option>
+                ))}
+              </select>
+              <input
+                type="date"
+                value={newTask.dueDate}
+                onChange={(e) => setNewTask({ ...newTask, dueDate: e.target.value })}
+                className="flex-1 p-2 border border-amber-300 rounded-lg text-sm"
+              />
+            </div>
+            <input
+              type="text"
+              placeholder="Note (optional)"
+              value={newTask.note}
+              onChange={(e) => setNewTask({ ...newTask, note: e.target.value })}
+              className="w-full p-2 border border-amber-300 rounded-lg text-sm"
+            />
+            <div className="flex gap-2">
+              <button type="button" onClick={() => setNewTask(null)} className="flex-1 py-1.5 bg-gray-100 text-gray-700 rounded-lg text-sm font-medium">
+                Cancel
+              </button>
+              <button type="button" onClick={handleAddTask} disabled={!newTask.dueDate} className="flex-1 py-1.5 bg-amber-600 text-white rounded-lg text-sm font-medium disabled:opacity-50">
+                Save Task
+              </button>
+            </div>
+          </div>
+        )}
+        {openTasks.length === 0 ? (
+          <p className="text-xs text-gray-500">Nothing to do right now.</p>
+        ) : (
+          <ul className="space-y-2">
+            {openTasks.map(task => (
+              <TaskRow
+                key={task.id}
+                task={task}
+                onComplete={() => handleCompleteTask(task)}
+                onDelete={task.kind === 'task' ? () => handleDeleteTask(task.id) : null}
+              />
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* Nutrient Schedule (TOSNA) */}
+      <div className="bg-white p-4 rounded-xl border border-amber-200 shadow-sm">
+        <div className="flex justify-between items-center mb-2">
+          <h3 className="text-sm font-bold text-amber-700 uppercase">Nutrient Schedule</h3>
+          {nutrientPlan && (
+            <span className="text-xs text-amber-600">
+              {batch.nutrientSchedule.totalGrams} g {batch.nutrientSchedule.nutrient} • {batch.nutrientSchedule.yanPpm} ppm YAN
+            </span>
+          )}
         </div>
+        {nutrientPlan ? (
+          <>
+            <ul className="space-y-2">
+              {nutrientPlan.additions.map(addition => (
+                <li key={addition.id}>
+                  <button
+                    type="button"
+                    onClick={() => handleToggleNutrientAddition(addition.id)}
+                    className={`w-full flex items-center gap-3 p-2 rounded-lg text-left text-sm ${addition.status === 'due' ? 'bg-amber-100' : 'bg-amber-50/50'}`}
+                  >
+                    {addition.done
+                      ? <CheckCircle2 className="w-5 h-5 text-green-600 flex-shrink-0" />
+                      : <Circle className={`w-5 h-5 flex-shrink-0 ${addition.status === 'due' ? 'text-amber-600' : 'text-amber-300'}`} />}
+                    <span className={`flex-1 ${addition.done ? 'line-through text-gray-400' : 'text-amber-900'}`}>
+                      <span className="font-mono font-bold">{addition.grams} g</span> • {addition.label}
+                      {addition.trigger === 'sugarBreak' && (
+                        <span className="text-xs text-amber-600"> (SG ≤ {batch.nutrientSchedule.sugarBreakSg} or day 7)</span>
+                      )}
+                    </span>
+                    <span className={`text-xs ${addition.status === 'due' ? 'font-bold text-amber-800' : 'text-gray-500'}`}>
+                      {addition.done
+                        ? `Added ${safeGetDate(addition.doneDate).toLocaleDateString()}`
+                        : `Due ${addition.dueDate.toLocaleDateString()}`}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+            {nutrientPlan.sugarBreakDate && (
+              <p className="text-xs text-green-700 mt-2">
+                1/3 sugar break reached {nutrientPlan.sugarBreakDate.toLocaleDateString()}.
+              </p>
+            )}
+          </>
+        ) : (
+          <button
+            type="button"
+            onClick={handleGenerateNutrientPlan}
+            className="w-full py-2 bg-amber-50 text-amber-800 border border-amber-200 rounded-lg text-sm font-semibold"
+          >
+            Generate Nutrient Plan
+          </button>
+        )}
       </div>
+      </fieldset>
 
       {/* Add/Edit Log Section */}
-      {!isAddingLog && !editingLog ? (
-        <button 
-          type="button"
-          onClick={() => setIsAddingLog(true)}
-          className="w-full py-3 bg-amber-600 text-white rounded-xl font-semibold shadow-sm hover:bg-amber-700 transition flex justify-center items-center gap-2"
-        >
-          <Plus className="w-5 h-5" />
-          Add Gravity Reading
-        </button>
+      {canLog && (eventForm ? (
+        <EventForm
+          key={eventForm.entry?.id || eventForm.type}
+          entry={eventForm.entry}
+          initialType={eventForm.type}
+          units={units}
+          currentVolume={currentVolume}
+          currentSg={progress.currentSg}
+          customHoneys={customHoneys}
+          onSave={handleSaveEvent}
+          onCancel={() => setEventForm(null)}
+          onDelete={handleDeleteLog}
+        />
+      ) : !isAddingLog && !editingLog ? (
+        <div className="space-y-2">
+          <button 
+            type="button"
+            onClick={() => setIsAddingLog(true)}
+            className="w-full py-3 bg-amber-600 text-white rounded-xl font-semibold shadow-sm hover:bg-amber-700 transition flex justify-center items-center gap-2"
+          >
+            <Plus className="w-5 h-5" />
+            Add Gravity Reading
+          </button>
+          <div className="flex gap-2">
+            <button 
+              type="button"
+              onClick={() => setEventForm({ entry: null, type: 'feed' })}
+              className="flex-1 py-2 bg-white text-amber-800 border border-amber-300 rounded-xl font-semibold shadow-sm hover:bg-amber-50 transition flex justify-center items-center gap-2"
+            >
+              <Droplet className="w-4 h-4" />
+              Feed Honey
+            </button>
+            <button 
+              type="button"
+              onClick={() => setEventForm({ entry: null, type: 'addition' })}
+              className="flex-1 py-2 bg-white text-amber-800 border border-amber-300 rounded-xl font-semibold shadow-sm hover:bg-amber-50 transition flex justify-center items-center gap-2"
+            >
+              <Plus className="w-4 h-4" />
+              Add Event
+            </button>
+          </div>
+        </div>
       ) : (
         <div className="bg-white p-4 rounded-xl border border-amber-200 shadow-sm animate-fadeIn">
           <h3 className="font-bold text-amber-900 mb-3">{editingLog ? 'Edit Reading' : 'New Reading'}</h3>
+          {/* Instrument Toggle */}
+          <div className="flex bg-amber-100 p-1 rounded-lg mb-3">
+            {Object.entries(LOG_INSTRUMENTS).map(([key, config]) => (
+              <button
+                key={key}
+                type="button"
+                onClick={() => setInstrument(key)}
+                className={`flex-1 py-1.5 rounded-md text-xs font-bold transition-all ${instrument === key ? 'bg-white text-amber-900 shadow' : 'text-amber-700'}`}
+              >
+                {config.label}
+              </button>
+            ))}
+          </div>
           <div className="flex gap-3 mb-3">
-             <div className="flex-1">
-                <label className="text-xs font-bold text-amber-700 uppercase block mb-1">Specific Gravity</label>
-                <input 
-                  type="number" 
-                  step="0.001" 
-                  placeholder="1.000"
-                  value={newSg === '' ? '' : newSg} 
-                  onChange={handleSgChange}
-                  className="w-full p-2 border border-amber-300 rounded-lg font-mono"
-                />
-             </div>
+             {instrument === 'refractometer' ? (
+                <div className="flex-1">
+                    <label className="text-xs font-bold text-amber-700 uppercase block mb-1">Brix (°Bx)</label>
+                    <input 
+                      type="number" 
+                      step="0.1" 
+                      placeholder="0.0"
+                      value={newBrix === '' ? '' : newBrix} 
+                      onChange={handleBrixChange}
+                      className="w-full p-2 border border-amber-300 rounded-lg font-mono"
+                    />
+                </div>
+             ) : (
+                <div className="flex-1">
+                    <label className="text-xs font-bold text-amber-700 uppercase block mb-1">Specific Gravity</label>
+                    <input 
+                      type="number" 
+                      step="0.001" 
+                      placeholder="1.000"
+                      value={newSg === '' ? '' : newSg} 
+                      onChange={handleSgChange}
+                      className="w-full p-2 border border-amber-300 rounded-lg font-mono"
+                    />
+                </div>
+             )}
              {editingLog && (
                 <div className="flex-1">
                     <label className="text-xs font-bold text-amber-700 uppercase block mb-1">Date</label>
                     <input 
                         type="date"
                         value={formatDate(editingLog.date)}
-                        onChange={(e) => setEditingLog({...editingLog, date: e.target.value})}
+                        onChange={(e) => e.target.value && setEditingLog({...editingLog, date: dateFromInput(e.target.value, { previous: logs.find(l => l.id === editingLog.id)?.date })})}
                         className="w-full p-2 border border-amber-300 rounded-lg text-sm"
                     />
                 </div>
@@ -893,147 +2876,1041 @@ const BatchDetail = ({ batch, userId, onBack, onUpdateBatch }) => {
               className="w-full p-2 border border-amber-300 rounded-lg text-sm h-20"
             />
           </div>
+          {instrument === 'hydrometer' && (
+            <div className="flex gap-3 mb-3">
+              <div className="flex-1">
+                <label className="text-xs font-bold text-amber-700 uppercase block mb-1">Sample Temp ({getUnitSystem(units).temperature})</label>
+                <input 
+                  type="number" 
+                  step="0.5" 
+                  placeholder="Optional"
+                  value={sampleTemp} 
+                  onChange={(e) => setSampleTemp(e.target.value === '' ? '' : parseFloat(e.target.value))}
+                  className="w-full p-2 border border-amber-300 rounded-lg font-mono"
+                />
+              </div>
+              <div className="flex-1">
+                <label className="text-xs font-bold text-amber-700 uppercase block mb-1">Calibrated At ({getUnitSystem(units).temperature})</label>
+                <input 
+                  type="number" 
+                  step="0.5" 
+                  value={calibrationTemp} 
+                  onChange={(e) => setCalibrationTemp(e.target.value === '' ? '' : parseFloat(e.target.value))}
+                  className="w-full p-2 border border-amber-300 rounded-lg font-mono"
+                />
+              </div>
+            </div>
+          )}
+          {hasSampleTemp && !isNaN(hydrometerSg) && (
+            <p className="text-xs text-amber-700 bg-amber-50 p-2 rounded-lg mb-3">
+              Read <span className="font-mono">{parseFloat(newSg).toFixed(3)}</span> at {sampleTemp}{getUnitSystem(units).temperature} → corrected <strong className="font-mono">{hydrometerSg.toFixed(3)}</strong> SG
+            </p>
+          )}
+          {refractometerReading && (
+            <p className="text-xs text-amber-700 bg-amber-50 p-2 rounded-lg mb-3">
+              Raw <span className="font-mono">{refractometerReading.rawSg.toFixed(3)}</span> → corrected <strong className="font-mono">{refractometerReading.sg.toFixed(3)}</strong> SG
+              (OG {readingOg.toFixed(3)}, WCF {readingWcf})
+            </p>
+          )}
           <div className="flex gap-2">
             <button 
               type="button"
-              onClick={() => {
-                setIsAddingLog(false);
-                setEditingLog(null);
-                setNewSg('');
-                setNote('');
-              }}
+              onClick={resetLogForm}
               className="flex-1 py-2 bg-gray-100 text-gray-700 rounded-lg font-medium"
             >
               Cancel
             </button>
             <button 
               type="button"
-              onClick={() => handleSaveLog(currentLogIndex)}
-              disabled={!newSg || parseFloat(newSg) < 0.990 || parseFloat(newSg) > 1.200}
+              onClick={() => handleSaveLog(currentLogId)}
+              disabled={!isReadingValid}
               className="flex-1 py-2 bg-amber-600 text-white rounded-lg font-medium disabled:opacity-50"
             >
               {editingLog ? 'Update Log' : 'Save Log'}
             </button>
-            {editingLog && (
+            {editingLog && (
+                <button
+                    type="button"
+                    onClick={() => handleDeleteLog(currentLogId)}
+                    className="p-2 bg-red-100 text-red-600 rounded-lg"
+                    title="Delete this reading"
+                >
+                    <Trash2 className="w-5 h-5" />
+                </button>
+            )}
+          </div>
+        </div>
+      ))}
+
+      {/* History Timeline */}
+      <div className="relative border-l-2 border-amber-200 ml-3 pl-6 space-y-6">
+        {sortedLogs.map(log => (log.type === 'milestone' ? (() => {
+          const milestoneConfig = BATCH_STATUSES[log.status] || BATCH_STATUSES.brewing;
+          const MilestoneIcon = milestoneConfig.icon;
+          const isEditingDate = editingMilestone?.id === log.id;
+          return (
+            <div key={log.id} className="relative">
+              <div className="absolute -left-[33px] top-0.5 w-5 h-5 rounded-full bg-amber-900 border-2 border-white shadow-sm flex items-center justify-center">
+                <MilestoneIcon className="w-3 h-3 text-white" />
+              </div>
+              <div className="flex justify-between items-start">
+                <span className="font-bold text-amber-900">{milestoneConfig.label}</span>
+                <div className="flex items-center gap-2">
+                  {isEditingDate ? (
+                    <>
+                      <input
+                        type="date"
+                        value={editingMilestone.date}
+                        onChange={(e) => setEditingMilestone({ ...editingMilestone, date: e.target.value })}
+                        className="p-1 border border-amber-300 rounded text-xs"
+                      />
+                      <button type="button" onClick={handleSaveMilestoneDate} className="text-xs font-bold text-amber-700">Save</button>
+                    </>
+                  ) : (
+                    <>
+                      <span className={`text-xs ${log.date ? 'text-gray-500' : 'text-red-500 font-semibold'}`}>
+                        {log.date ? safeGetDate(log.date).toLocaleDateString() : 'Date unknown'}
+                      </span>
+                      {canEdit && (
+                        <button 
+                          onClick={() => setEditingMilestone({ id: log.id, date: log.date ? formatDate(log.date) : formatDate(new Date()) })}
+                          className="text-amber-500 hover:text-amber-700 p-1 rounded-full bg-amber-50/50"
+                          title="Edit Date"
+                        >
+                          <Pencil className="w-4 h-4" />
+                        </button>
+                      )}
+                    </>
+                  )}
+                </div>
+              </div>
+            </div>
+          );
+        })() : log.type === 'reading' ? (
+          <div key={log.id} className="relative">
+            <div className="absolute -left-[31px] top-1 w-4 h-4 rounded-full bg-amber-400 border-2 border-white shadow-sm"></div>
+            <div className="flex justify-between items-start mb-1">
+               <span className="font-mono font-bold text-amber-900">{log.sg} SG</span>
+               <div className="flex items-center gap-2">
+                 {log.author && <span className="text-xs text-amber-600">{log.author.name}</span>}
+                 <span className="text-xs text-gray-500">
+                   {safeGetDate(log.date).toLocaleDateString()}
+                 </span>
+                 {canChangeEntry(log) && (
+                   <button 
+                      onClick={() => handleEditClick(log)}
+                      className="text-amber-500 hover:text-amber-700 p-1 rounded-full bg-amber-50/50"
+                      title="Edit Reading"
+                   >
+                      <Pencil className="w-4 h-4" />
+                   </button>
+                 )}
+               </div>
+            </div>
+            {log.instrument === 'refractometer' && (
+              <p className="text-xs text-gray-500 mb-1">
+                Refractometer {log.brix} °Bx • raw <span className="font-mono">{log.rawSg}</span> SG, corrected for alcohol
+              </p>
+            )}
+            {log.sampleTemp !== undefined && (
+              <p className="text-xs text-gray-500 mb-1">
+                Read <span className="font-mono">{log.rawSg}</span> at {formatTemperature(log.sampleTemp, units, 1)} (calibrated {formatTemperature(log.calibrationTemp, units, 1)}), temperature corrected
+              </p>
+            )}
+            {log.note && <p className="text-sm text-gray-600 bg-amber-50 p-2 rounded-lg">{log.note}</p>}
+          </div>
+        ) : (
+          <div key={log.id} className="relative">
+            <div className="absolute -left-[31px] top-1 w-4 h-4 rounded-full bg-white border-2 border-amber-400 shadow-sm"></div>
+            <div className="flex justify-between items-start mb-1">
+               <span className="font-bold text-amber-900">{LOG_ENTRY_TYPES[log.type]?.label || log.type}</span>
+               <div className="flex items-center gap-2">
+                 {log.author && <span className="text-xs text-amber-600">{log.author.name}</span>}
+                 <span className="text-xs text-gray-500">
+                   {safeGetDate(log.date).toLocaleDateString()}
+                 </span>
+                 {canChangeEntry(log) && (
+                   <button 
+                      onClick={() => handleEditEventClick(log)}
+                      className="text-amber-500 hover:text-amber-700 p-1 rounded-full bg-amber-50/50"
+                      title="Edit Event"
+                   >
+                      <Pencil className="w-4 h-4" />
+                   </button>
+                 )}
+               </div>
+            </div>
+            {log.type === 'feed' && (
+              <p className="text-sm text-gray-700 mb-1">
+                {safeNum(log.honeyAmount) > 0 && `${formatMass(log.honeyAmount, units)} ${log.honeyName || 'honey'}`}
+                {(() => {
+                  const resolved = feeds.find(f => f.id === log.id);
+                  if (!resolved) return null;
+                  const estimated = log.sgBefore === '' || log.sgAfter === '';
+                  return (
+                    <span className="text-xs text-gray-500">
+                      {' '}• <span className="font-mono">{resolved.sgBefore.toFixed(3)} → {resolved.sgAfter.toFixed(3)}</span> SG{estimated && ' (estimated)'}
+                    </span>
+                  );
+                })()}
+              </p>
+            )}
+            {log.type === 'addition' && (
+              <p className="text-sm text-gray-700 mb-1">
+                {log.amount} {ADDITION_UNITS[log.unit]?.label || log.unit} {log.ingredient}
+                <span className="text-xs text-gray-500"> • {ADDITION_CATEGORIES[log.category]?.label || log.category}{safeNum(log.sugarPercent) > 0 && `, ${log.sugarPercent}% sugar`}</span>
+              </p>
+            )}
+            {log.type === 'racking' && (
+              <p className="text-sm text-gray-700 mb-1">
+                {log.volumeBefore !== undefined && log.volumeBefore !== '' && `${formatVolume(log.volumeBefore, units)} → `}{formatVolume(log.volumeAfter, units)}
+                {safeNum(log.volumeBefore) > safeNum(log.volumeAfter) && (
+                  <span className="text-xs text-gray-500"> • {formatVolume(log.volumeBefore - log.volumeAfter, units)} lost</span>
+                )}
+              </p>
+            )}
+            {log.type === 'clearing' && (
+              <p className="text-sm text-gray-700 mb-1">
+                {log.agent}{log.amount !== '' && log.amount !== undefined && ` • ${log.amount} ${ADDITION_UNITS[log.unit]?.label || log.unit}`}
+              </p>
+            )}
+            {log.note && <p className="text-sm text-gray-600 bg-amber-50 p-2 rounded-lg">{log.note}</p>}
+          </div>
+        )))}
+        {/* Start Node */}
+        <div className="relative">
+            <div className="absolute -left-[31px] top-1 w-4 h-4 rounded-full bg-amber-900 border-2 border-white shadow-sm"></div>
+            <div className="mb-1">
+               <span className="font-bold text-amber-900">Brew Day</span>
+            </div>
+            <p className="text-sm text-gray-600">
+              Batch created with OG {startingOg}
+              {batch.measuredOg && ` (planned ${batch.calculatedOg})`}
+            </p>
+        </div>
+      </div>
+        
+      {canEdit && (
+        <button type="button" onClick={handleDeleteBatch} className="w-full mt-8 py-3 text-red-400 text-sm hover:text-red-600 hover:bg-red-50 rounded-lg">
+          Delete Batch
+        </button>
+      )}
+
+    </div>
+  );
+};
+
+// 4. Agenda: open tasks across all batches
+const AGENDA_SECTIONS = [
+  { key: 'overdue', label: 'Overdue' },
+  { key: 'today', label: 'Today' },
+  { key: 'upcoming', label: 'Upcoming' },
+];
+
+const Agenda = ({ items, onCompleteItem, onOpenBatch }) => {
+  if (items.length === 0) {
+    return (
+      <div className="text-center py-12 text-amber-800 opacity-60">
+        <Calendar className="w-12 h-12 mx-auto mb-2" />
+        <p>Nothing scheduled. Your cellar is in good shape!</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4 pb-24">
+      <h2 className="text-xl font-bold text-amber-900 mb-4 flex items-center">
+        <Calendar className="w-5 h-5 mr-2" />
+        Agenda
+      </h2>
+      {AGENDA_SECTIONS.map(section => {
+        const sectionItems = items.filter(item => taskUrgency(item.dueDate) === section.key);
+        if (sectionItems.length === 0) return null;
+        return (
+          <div key={section.key}>
+            <h3 className={`text-sm font-bold uppercase mb-2 ${section.key === 'overdue' ? 'text-red-600' : 'text-amber-700'}`}>
+              {section.label} ({sectionItems.length})
+            </h3>
+            <ul className="space-y-2 bg-white p-3 rounded-xl border border-amber-100 shadow-sm">
+              {sectionItems.map(item => (
+                <TaskRow
+                  key={`${item.batch.id}-${item.id}`}
+                  task={item}
+                  batchName={item.batch.name}
+                  onComplete={() => onCompleteItem(item)}
+                  onOpen={() => onOpenBatch(item.batch)}
+                />
+              ))}
+            </ul>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+// 5. Settings
+// Number field that keeps what's typed and saves on blur (or Enter), so it can be cleared and retyped.
+// `parse` turns the text into the value to save, or null when it isn't valid (the field then reverts).
+const SettingNumberInput = ({ value, parse, onSave, ...inputProps }) => {
+  const [text, setText] = useState(String(value));
+
+  useEffect(() => {
+    setText(String(value));
+  }, [value]);
+
+  const commit = () => {
+    const parsed = parse(text);
+    if (parsed === null) {
+      setText(String(value));
+    } else if (parsed !== value) {
+      onSave(parsed);
+    }
+  };
+
+  return (
+    <input
+      type="number"
+      {...inputProps}
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+      className="w-full p-3 border border-amber-300 rounded-lg font-mono"
+    />
+  );
+};
+
+const Settings = ({ settings, onUpdateSettings, onBack, customHoneys = [], onSaveHoney, onDeleteHoney, backupData, onExportBackup, onImportBackup }) => {
+  const emptyHoney = { name: '', sugar: 80, moisture: 17, notes: '' };
+  const [newHoney, setNewHoney] = useState(emptyHoney);
+
+  const handleHoneyFieldChange = (field) => (e) => {
+    const value = e.target.value;
+    if (field === 'sugar' || field === 'moisture') {
+      setNewHoney({ ...newHoney, [field]: value === '' ? '' : parseFloat(value) });
+    } else {
+      setNewHoney({ ...newHoney, [field]: value });
+    }
+  };
+
+  const handleAddHoney = () => {
+    const name = newHoney.name.trim();
+    if (!name) return;
+    if (HONEY_DATA.some(h => h.name === name) || customHoneys.some(h => h.name === name)) {
+      // IMPORTANT: Custom modal UI should be used here instead of alert()
+      alert("A honey variety with that name already exists.");
+      return;
+    }
+    onSaveHoney({
+      name,
+      sugar: safeNum(newHoney.sugar),
+      moisture: safeNum(newHoney.moisture),
+      notes: newHoney.notes.trim(),
+    });
+    setNewHoney(emptyHoney);
+  };
+
+  return (
+    <div className="space-y-6 pb-24">
+      <div className="flex items-center gap-3 mb-6">
+        <button type="button" onClick={onBack} className="p-2 bg-amber-100 rounded-full text-amber-800 hover:bg-amber-200">
+          <ArrowLeft className="w-5 h-5" />
+        </button>
+        <h2 className="text-xl font-bold text-amber-900 flex items-center">
+          <SlidersHorizontal className="w-5 h-5 mr-2" />
+          Settings
+        </h2>
+      </div>
+
+      <div className="bg-white p-4 rounded-xl border border-amber-200 shadow-sm">
+        <label className="text-sm font-bold text-amber-700 uppercase block mb-2">Units</label>
+        <div className="flex bg-amber-200 p-1 rounded-lg">
+          {Object.entries(UNIT_SYSTEMS).map(([key, system]) => (
+            <button
+              key={key}
+              type="button"
+              onClick={() => onUpdateSettings({ units: key })}
+              className={`flex-1 py-2 rounded-md text-sm font-medium transition-all ${settings.units === key ? 'bg-white text-amber-900 shadow' : 'text-amber-800'}`}
+            >
+              {system.name}
+              <span className="block text-[10px] opacity-70">{system.volume}, {system.mass}</span>
+            </button>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500 mt-2">Recipes and batches are always stored in liters and kilograms, so switching units never changes saved data.</p>
+      </div>
+
+      <div className="bg-white p-4 rounded-xl border border-amber-200 shadow-sm">
+        <label className="text-sm font-bold text-amber-700 uppercase block mb-2">ABV Formula</label>
+        <select
+          value={settings.abvMethod}
+          onChange={(e) => onUpdateSettings({ abvMethod: e.target.value })}
+          className="w-full p-3 border border-amber-300 rounded-lg bg-white"
+        >
+          {Object.entries(ABV_FORMULAS).map(([key, formula]) => (
+            <option key={key} value={key}>{formula.label}</option>
+          ))}
+        </select>
+        <p className="text-xs text-gray-500 mt-2">
+          {ABV_FORMULAS[settings.abvMethod]?.description}. Used by the Calculator and recorded on new batches; existing batches keep the formula they were started with.
+        </p>
+      </div>
+
+      <div className="bg-white p-4 rounded-xl border border-amber-200 shadow-sm">
+        <label className="text-sm font-bold text-amber-700 uppercase block mb-2">Terminal Gravity Window (days)</label>
+        <SettingNumberInput
+          min="1"
+          value={settings.stableWindowDays}
+          parse={(text) => {
+            const days = parseInt(text, 10);
+            return days >= 1 ? days : null;
+          }}
+          onSave={(stableWindowDays) => onUpdateSettings({ stableWindowDays })}
+        />
+        <p className="text-xs text-gray-500 mt-2">A batch counts as finished once its readings hold steady (within 0.001) across this many days.</p>
+      </div>
+
+      <div className="bg-white p-4 rounded-xl border border-amber-200 shadow-sm">
+        <label className="text-sm font-bold text-amber-700 uppercase block mb-2">Refractometer Wort Correction Factor</label>
+        <SettingNumberInput
+          step="0.01"
+          value={settings.wortCorrectionFactor}
+          parse={(text) => {
+            const wcf = parseFloat(text);
+            return wcf > 0 ? wcf : null;
+          }}
+          onSave={(wortCorrectionFactor) => onUpdateSettings({ wortCorrectionFactor })}
+        />
+        <p className="text-xs text-gray-500 mt-2">Calibrate by dividing a refractometer reading of unfermented must by the Brix of its hydrometer SG. Typically 1.00–1.06.</p>
+      </div>
+
+      <div className="bg-white p-4 rounded-xl border border-amber-200 shadow-sm">
+        <label className="text-sm font-bold text-amber-700 uppercase block mb-2">Hydrometer Calibration Temp ({getUnitSystem(settings.units).temperature})</label>
+        <SettingNumberInput
+          step="0.5"
+          value={roundTo(temperatureToDisplay(settings.hydrometerCalibrationTemp, settings.units), 1)}
+          parse={(text) => {
+            const temp = parseFloat(text);
+            return Number.isFinite(temp) ? temp : null;
+          }}
+          onSave={(temp) => onUpdateSettings({ hydrometerCalibrationTemp: temperatureFromDisplay(temp, settings.units) })}
+        />
+        <p className="text-xs text-gray-500 mt-2">Printed on your hydrometer, usually 20°C or 60°F. Used as the default when logging a sample temperature.</p>
+      </div>
+
+      <div className="bg-white p-4 rounded-xl border border-amber-200 shadow-sm">
+        <label className="text-sm font-bold text-amber-700 uppercase block mb-2">Custom Honey Varieties</label>
+        {customHoneys.length === 0 && (
+          <p className="text-xs text-gray-500 mb-3">Add your own honeys (e.g. a local harvest) to use them in the Calculator.</p>
+        )}
+        <div className="space-y-2 mb-3">
+          {customHoneys.map(honey => (
+            <div key={honey.id} className="flex justify-between items-center bg-amber-50 p-2 rounded-lg">
+              <div>
+                <div className="font-semibold text-amber-900 text-sm">{honey.name}</div>
+                <div className="text-xs text-amber-700">
+                  {honey.sugar}% sugar • {honey.moisture}% moisture{honey.notes ? ` • ${honey.notes}` : ''}
+                </div>
+              </div>
+              <button type="button" onClick={() => onDeleteHoney(honey.id)} className="text-gray-400 hover:text-red-500">
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+        <div className="grid grid-cols-2 gap-2">
+          <input
+            type="text"
+            placeholder="Variety name"
+            value={newHoney.name}
+            onChange={handleHoneyFieldChange('name')}
+            className="col-span-2 p-2 border border-amber-300 rounded-lg text-sm"
+          />
+          <label className="flex items-center gap-1 text-xs text-amber-700 font-bold">
+            Sugar %
+            <input
+              type="number"
+              value={newHoney.sugar}
+              onChange={handleHoneyFieldChange('sugar')}
+              className="flex-1 min-w-0 p-2 border border-amber-300 rounded-lg text-sm font-mono"
+            />
+          </label>
+          <label className="flex items-center gap-1 text-xs text-amber-700 font-bold">
+            Moisture %
+            <input
+              type="number"
+              value={newHoney.moisture}
+              onChange={handleHoneyFieldChange('moisture')}
+              className="flex-1 min-w-0 p-2 border border-amber-300 rounded-lg text-sm font-mono"
+            />
+          </label>
+          <input
+            type="text"
+            placeholder="Flavor notes (optional)"
+            value={newHoney.notes}
+            onChange={handleHoneyFieldChange('notes')}
+            className="col-span-2 p-2 border border-amber-300 rounded-lg text-sm"
+          />
+          <button
+            type="button"
+            onClick={handleAddHoney}
+            disabled={!newHoney.name.trim()}
+            className="col-span-2 py-2 bg-amber-600 text-white rounded-lg font-medium flex items-center justify-center gap-2 disabled:opacity-50"
+          >
+            <Plus className="w-4 h-4" />
+            Add Variety
+          </button>
+        </div>
+      </div>
+
+      <BackupPanel existing={backupData} onExport={onExportBackup} onImport={onImportBackup} />
+    </div>
+  );
+};
+
+// Export / import of the whole cellar as one JSON file
+const BackupPanel = ({ existing, onExport, onImport }) => {
+  const [pending, setPending] = useState(null); // Validated backup waiting for confirmation: { backup, conflicts, fileName }
+  const [errors, setErrors] = useState([]);
+  const [mode, setMode] = useState('merge'); // 'merge' or 'replace'
+  const [overwriteConflicts, setOverwriteConflicts] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const fileInput = useRef(null);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow picking the same file again
+    if (!file) return;
+    const { backup, errors: validationErrors } = validateBackup(await file.text());
+    setErrors(validationErrors);
+    setPending(backup ? { backup, conflicts: findConflicts(backup, existing), fileName: file.name } : null);
+  };
+
+  const handleImport = async () => {
+    if (mode === 'replace') {
+      // IMPORTANT: Custom modal UI should be used here instead of confirm()
+      if (!window.confirm("Replace everything in your cellar with this backup? Recipes and batches not in the backup will be deleted.")) return;
+    }
+    setIsImporting(true);
+    await onImport(planImport(pending.backup, existing, { mode, overwriteConflicts }));
+    setIsImporting(false);
+    setPending(null);
+  };
+
+  const conflictCount = pending ? countConflicts(pending.conflicts) : 0;
+
+  return (
+    <div className="bg-white p-4 rounded-xl border border-amber-200 shadow-sm space-y-3">
+      <h3 className="text-sm font-bold text-amber-700 uppercase">Backup</h3>
+      <p className="text-xs text-gray-500">
+        Your cellar is tied to this browser's sign-in. Export a backup to keep it safe or move it to another device.
+      </p>
+      <div className="flex gap-2">
+        <button type="button" onClick={onExport} className="flex-1 py-2 bg-amber-600 text-white rounded-lg text-sm font-semibold">
+          Export Backup
+        </button>
+        <button type="button" onClick={() => fileInput.current?.click()} className="flex-1 py-2 bg-amber-50 text-amber-800 border border-amber-300 rounded-lg text-sm font-semibold">
+          Import Backup
+        </button>
+        <input ref={fileInput} type="file" accept="application/json,.json" onChange={handleFileChange} className="hidden" />
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="text-xs text-red-700 bg-red-50 p-2 rounded-lg list-disc list-inside">
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+
+      {pending && (
+        <div className="bg-amber-50 p-3 rounded-lg space-y-2 text-sm">
+          <p className="text-amber-900">
+            <strong>{pending.fileName}</strong>: {describeBackup(pending.backup)}
+            {pending.backup.exportedAt && <span className="text-xs text-gray-500"> (exported {safeGetDate(pending.backup.exportedAt).toLocaleDateString()})</span>}
+          </p>
+          {conflictCount > 0 && (
+            <div className="text-xs text-amber-800">
+              <p className="font-semibold">{conflictCount} item{conflictCount > 1 ? 's' : ''} already in your cellar:</p>
+              <p>{BACKUP_COLLECTIONS.flatMap(name => pending.conflicts[name].map(item => item.name)).join(', ')}</p>
+            </div>
+          )}
+          <div className="flex bg-amber-200 p-1 rounded-lg">
+            {[['merge', 'Merge'], ['replace', 'Replace All']].map(([key, label]) => (
+              <button
+                key={key}
+                type="button"
+                onClick={() => setMode(key)}
+                className={`flex-1 py-1.5 rounded-md text-xs font-bold transition-all ${mode === key ? 'bg-white text-amber-900 shadow' : 'text-amber-800'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {mode === 'merge' && conflictCount > 0 && (
+            <label className="flex items-center gap-2 text-xs text-amber-900">
+              <input type="checkbox" checked={overwriteConflicts} onChange={(e) => setOverwriteConflicts(e.target.checked)} />
+              Overwrite existing items with the backup's copy
+            </label>
+          )}
+          <div className="flex gap-2">
+            <button type="button" onClick={() => setPending(null)} className="flex-1 py-2 bg-gray-100 text-gray-700 rounded-lg font-medium">
+              Cancel
+            </button>
+            <button type="button" onClick={handleImport} disabled={isImporting} className="flex-1 py-2 bg-amber-600 text-white rounded-lg font-medium disabled:opacity-50">
+              {isImporting ? 'Importing...' : 'Import'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// 6. Account: upgrade an anonymous (guest) cellar to a permanent sign-in
+// `children` (the shared cellars panel) is shown once the user has a permanent account
+const Account = ({ user, canManageAccount, onLinkAccount, onSignInToAccount, onSignOut, onBack, children }) => {
+  const [mode, setMode] = useState('create'); // 'create' (link this cellar) or 'signin' (existing account)
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [errors, setErrors] = useState([]);
+  const [isWorking, setIsWorking] = useState(false);
+
+  const run = async (action) => {
+    setErrors([]);
+    setIsWorking(true);
+    try {
+      await action();
+      setPassword('');
+    } catch (e) {
+      console.error("Account error:", e);
+      setErrors([describeAccountError(e)]);
+    }
+    setIsWorking(false);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const validationErrors = validateCredentials({ email, password });
+    if (validationErrors.length > 0) {
+      setErrors(validationErrors);
+      return;
+    }
+    const options = { provider: 'password', email: email.trim(), password };
+    run(() => (mode === 'create' ? onLinkAccount(options) : onSignInToAccount(options)));
+  };
+
+  const isGuest = !user || user.isAnonymous;
+
+  return (
+    <div className="space-y-6 pb-24">
+      <div className="flex items-center gap-3 mb-6">
+        <button type="button" onClick={onBack} className="p-2 bg-amber-100 rounded-full text-amber-800 hover:bg-amber-200">
+          <ArrowLeft className="w-5 h-5" />
+        </button>
+        <h2 className="text-xl font-bold text-amber-900 flex items-center">
+          <UserCircle className="w-5 h-5 mr-2" />
+          Account
+        </h2>
+      </div>
+
+      {!canManageAccount ? (
+        <div className="bg-white p-4 rounded-xl border border-amber-200 shadow-sm text-sm text-gray-600">
+          This cellar is stored on this device only, so there is no account to sign in to.
+          Use a Backup from Settings to move it to another device.
+        </div>
+      ) : isGuest ? (
+        <div className="bg-white p-4 rounded-xl border border-amber-200 shadow-sm space-y-3">
+          <p className="text-sm text-gray-600">
+            You're using Golden Drop as a guest. Your cellar is tied to this browser and is lost if its data is cleared.
+            Add a sign-in to keep it and to open it on other devices.
+          </p>
+          <div className="flex bg-amber-200 p-1 rounded-lg">
+            {[['create', 'Create Account'], ['signin', 'Sign In']].map(([key, label]) => (
+              <button
+                key={key}
+                type="button"
+                onClick={() => { setMode(key); setErrors([]); }}
+                className={`flex-1 py-2 rounded-md text-sm font-medium transition-all ${mode === key ? 'bg-white text-amber-900 shadow' : 'text-amber-800'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500">
+            {mode === 'create'
+              ? 'Your current recipes and batches become this account\'s cellar.'
+              : 'Recipes and batches on this device are added to the account\'s cellar.'}
+          </p>
+          <form onSubmit={handleSubmit} className="space-y-2">
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Email"
+              autoComplete="email"
+              className="w-full p-2 border border-amber-300 rounded-lg text-sm"
+            />
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Password"
+              autoComplete={mode === 'create' ? 'new-password' : 'current-password'}
+              className="w-full p-2 border border-amber-300 rounded-lg text-sm"
+            />
+            <button type="submit" disabled={isWorking} className="w-full py-2 bg-amber-600 text-white rounded-lg text-sm font-semibold disabled:opacity-50">
+              {isWorking ? 'Working...' : mode === 'create' ? 'Create Account' : 'Sign In'}
+            </button>
+          </form>
+          <button
+            type="button"
+            disabled={isWorking}
+            onClick={() => run(() => onLinkAccount({ provider: 'google' }))}
+            className="w-full py-2 bg-amber-50 text-amber-800 border border-amber-300 rounded-lg text-sm font-semibold disabled:opacity-50"
+          >
+            Continue with Google
+          </button>
+        </div>
+      ) : (
+        <div className="bg-white p-4 rounded-xl border border-amber-200 shadow-sm space-y-3">
+          <p className="text-sm text-gray-700">
+            Signed in as <strong>{user.email || 'your account'}</strong>
+          </p>
+          <p className="text-xs text-gray-500">Sign in with the same account on another device to open this cellar there.</p>
+          <button
+            type="button"
+            disabled={isWorking}
+            onClick={() => run(onSignOut)}
+            className="w-full py-2 bg-amber-50 text-amber-800 border border-amber-300 rounded-lg text-sm font-semibold flex items-center justify-center gap-2 disabled:opacity-50"
+          >
+            <LogOut className="w-4 h-4" />
+            Sign Out
+          </button>
+        </div>
+      )}
+
+      {canManageAccount && !isGuest && children}
+
+      {errors.length > 0 && (
+        <ul className="text-xs text-red-700 bg-red-50 p-2 rounded-lg list-disc list-inside">
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// 7. Shared Cellars: create them, answer invitations and manage members (roles in cellars.js)
+const SharedCellars = ({ user, cellars, onCreateCellar, onUpdateCellar, onLeaveCellar, onDeleteCellar, onSendVerification, onRefreshAccount }) => {
+  const [newName, setNewName] = useState('');
+  const [openCellarId, setOpenCellarId] = useState(null);
+  const [invite, setInvite] = useState({ email: '', role: DEFAULT_INVITE_ROLE });
+  const [errors, setErrors] = useState([]);
+
+  const memberCellars = cellars.filter(cellar => getCellarAccess(cellar, user.uid).canView);
+  const invitations = cellars.filter(cellar => !getCellarAccess(cellar, user.uid).canView && getInvitation(cellar, user));
+
+  const roleOptions = Object.entries(CELLAR_ROLES).map(([key, { label }]) => <option key={key} value={key}>{label}</option>);
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    onCreateCellar(newName);
+    setNewName('');
+  };
+
+  const handleInvite = (cellar) => {
+    const inviteErrors = validateInvite(cellar, invite.email);
+    setErrors(inviteErrors);
+    if (inviteErrors.length > 0) return;
+    onUpdateCellar(cellar.id, inviteToCellar(cellar, invite.email, invite.role));
+    setInvite({ ...invite, email: '' });
+  };
+
+  const toggleCellar = (id) => {
+    setOpenCellarId(openCellarId === id ? null : id);
+    setInvite({ email: '', role: DEFAULT_INVITE_ROLE });
+    setErrors([]);
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-xl border border-amber-200 shadow-sm space-y-3">
+      <h3 className="text-sm font-bold text-amber-700 uppercase flex items-center">
+        <Users className="w-4 h-4 mr-2" />
+        Shared Cellars
+      </h3>
+      <p className="text-xs text-gray-500">
+        Brew together: members see a shared cellar's recipes and batches next to their own, and log entries show who recorded them.
+      </p>
+      <ul className="text-xs text-gray-500 space-y-0.5">
+        {Object.entries(CELLAR_ROLES).map(([key, { label, description }]) => (
+          <li key={key}><strong className="text-amber-800">{label}</strong>: {description}</li>
+        ))}
+      </ul>
+
+      {user.email && !user.emailVerified && onSendVerification && (
+        <div className="bg-amber-50 p-3 rounded-lg text-xs text-amber-900 space-y-2">
+          <p>Verify <strong>{user.email}</strong> to see invitations to shared cellars; the link is in your inbox.</p>
+          <div className="flex gap-2">
+            <button type="button" onClick={onSendVerification} className="px-2 py-1 bg-gray-100 text-gray-700 rounded-lg font-medium">
+              Resend Email
+            </button>
+            <button type="button" onClick={onRefreshAccount} className="px-2 py-1 bg-amber-600 text-white rounded-lg font-semibold">
+              I've Verified It
+            </button>
+          </div>
+        </div>
+      )}
+
+      {invitations.map(cellar => (
+        <div key={cellar.id} className="bg-amber-50 p-3 rounded-lg flex items-center gap-2 text-sm">
+          <span className="flex-1 text-amber-900">
+            Invited to <strong>{cellar.name}</strong> as {CELLAR_ROLES[getInvitation(cellar, user)]?.label || 'member'}
+          </span>
+          <button type="button" onClick={() => onUpdateCellar(cellar.id, acceptInvite(cellar, user))} className="px-2 py-1 bg-amber-600 text-white rounded-lg text-xs font-semibold">
+            Join
+          </button>
+          <button type="button" onClick={() => onUpdateCellar(cellar.id, cancelInvite(cellar, user.email))} className="px-2 py-1 bg-gray-100 text-gray-700 rounded-lg text-xs font-medium">
+            Decline
+          </button>
+        </div>
+      ))}
+
+      {memberCellars.map(cellar => {
+        const access = getCellarAccess(cellar, user.uid);
+        const isOpen = openCellarId === cellar.id;
+        return (
+          <div key={cellar.id} className="border border-amber-100 rounded-lg">
+            <button type="button" onClick={() => toggleCellar(cellar.id)} className="w-full flex items-center gap-2 p-3 text-left">
+              <span className="flex-1 font-semibold text-amber-900 truncate">{cellar.name}</span>
+              <span className="text-xs text-amber-600">
+                {access.isOwner ? 'Owner' : CELLAR_ROLES[access.role].label} • {cellar.memberIds.length} member{cellar.memberIds.length === 1 ? '' : 's'}
+              </span>
+              <ChevronRight className={`w-4 h-4 text-amber-400 transition-transform ${isOpen ? 'rotate-90' : ''}`} />
+            </button>
+
+            {isOpen && (
+              <div className="px-3 pb-3 space-y-3">
+                <ul className="space-y-1">
+                  {Object.entries(cellar.members).map(([uid, member]) => (
+                    <li key={uid} className="flex items-center gap-2 text-sm">
+                      <span className="flex-1 truncate text-amber-900">{member.email || 'Member'}{uid === user.uid && ' (you)'}</span>
+                      {access.canEdit && uid !== cellar.ownerId ? (
+                        <>
+                          <select
+                            value={member.role}
+                            onChange={(e) => onUpdateCellar(cellar.id, setMemberRole(cellar, uid, e.target.value))}
+                            className="p-1 border border-amber-300 rounded-lg text-xs bg-white"
+                          >
+                            {roleOptions}
+                          </select>
+                          <button type="button" onClick={() => onUpdateCellar(cellar.id, removeMember(cellar, uid))} className="text-gray-400 hover:text-red-500" title="Remove member">
+                            <UserMinus className="w-4 h-4" />
+                          </button>
+                        </>
+                      ) : (
+                        <span className="text-xs text-gray-500">{uid === cellar.ownerId ? 'Owner' : CELLAR_ROLES[member.role]?.label}</span>
+                      )}
+                    </li>
+                  ))}
+                  {Object.entries(cellar.invites || {}).map(([email, role]) => (
+                    <li key={email} className="flex items-center gap-2 text-sm text-gray-500">
+                      <span className="flex-1 truncate italic">{email}</span>
+                      <span className="text-xs">Invited as {CELLAR_ROLES[role]?.label}</span>
+                      {access.canEdit && (
+                        <button type="button" onClick={() => onUpdateCellar(cellar.id, cancelInvite(cellar, email))} className="text-gray-400 hover:text-red-500" title="Cancel invitation">
+                          <X className="w-4 h-4" />
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+
+                {access.canEdit && (
+                  <div className="flex gap-2">
+                    <input
+                      type="email"
+                      value={invite.email}
+                      onChange={(e) => setInvite({ ...invite, email: e.target.value })}
+                      placeholder="Invite by email"
+                      className="flex-1 min-w-0 p-2 border border-amber-300 rounded-lg text-sm"
+                    />
+                    <select
+                      value={invite.role}
+                      onChange={(e) => setInvite({ ...invite, role: e.target.value })}
+                      className="p-2 border border-amber-300 rounded-lg text-sm bg-white"
+                    >
+                      {roleOptions}
+                    </select>
+                    <button type="button" onClick={() => handleInvite(cellar)} className="p-2 bg-amber-600 text-white rounded-lg" title="Invite">
+                      <UserPlus className="w-4 h-4" />
+                    </button>
+                  </div>
+                )}
+                {errors.length > 0 && (
+                  <ul className="text-xs text-red-700 bg-red-50 p-2 rounded-lg list-disc list-inside">
+                    {errors.map(error => <li key={error}>{error}</li>)}
+                  </ul>
+                )}
+
                 <button
-                    type="button"
-                    onClick={() => handleDeleteLog(currentLogIndex)}
-                    className="p-2 bg-red-100 text-red-600 rounded-lg"
-                    title="Delete this reading"
+                  type="button"
+                  onClick={() => (access.isOwner ? onDeleteCellar(cellar) : onLeaveCellar(cellar))}
+                  className="text-xs font-semibold text-red-500 hover:text-red-700"
                 >
-                    <Trash2 className="w-5 h-5" />
+                  {access.isOwner ? 'Delete this shared cellar' : 'Leave this shared cellar'}
                 </button>
+              </div>
             )}
           </div>
-        </div>
-      )}
+        );
+      })}
 
-      {/* History Timeline */}
-      <div className="relative border-l-2 border-amber-200 ml-3 pl-6 space-y-6">
-        {sortedLogs.map((log, idx) => (
-          // We use the original date/sg combination as a unique key since we don't store log IDs
-          <div key={safeGetDate(log.date).getTime() + log.sg} className="relative">
-            <div className="absolute -left-[31px] top-1 w-4 h-4 rounded-full bg-amber-400 border-2 border-white shadow-sm"></div>
-            <div className="flex justify-between items-start mb-1">
-               <span className="font-mono font-bold text-amber-900">{log.sg} SG</span>
-               <div className="flex items-center gap-2">
-                 <span className="text-xs text-gray-500">
-                   {safeGetDate(log.date).toLocaleDateString()}
-                 </span>
-                 <button 
-                    onClick={() => handleEditClick(idx, log)}
-                    className="text-amber-500 hover:text-amber-700 p-1 rounded-full bg-amber-50/50"
-                    title="Edit Reading"
-                 >
-                    <Pencil className="w-4 h-4" />
-                 </button>
-               </div>
-            </div>
-            {log.note && <p className="text-sm text-gray-600 bg-amber-50 p-2 rounded-lg">{log.note}</p>}
+      <form onSubmit={handleCreate} className="flex gap-2">
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="New shared cellar, e.g. your club's name"
+          className="flex-1 min-w-0 p-2 border border-amber-300 rounded-lg text-sm"
+        />
+        <button type="submit" disabled={!newName.trim()} className="px-3 py-2 bg-amber-600 text-white rounded-lg text-sm font-semibold disabled:opacity-50">
+          Create
+        </button>
+      </form>
+    </div>
+  );
+};
+
+// Header badge for backends that sync in the background; tapping it retries pending changes, or opens
+// the changes the server rejected so they can be retried, exported or discarded
+const SYNC_INDICATOR_STYLES = {
+  synced: { icon: Cloud, className: 'bg-amber-700' },
+  pending: { icon: RefreshCw, className: 'bg-amber-700' },
+  syncing: { icon: RefreshCw, className: 'bg-amber-700', spin: true },
+  offline: { icon: CloudOff, className: 'bg-amber-800' },
+  error: { icon: AlertTriangle, className: 'bg-red-600' },
+};
+
+const SyncIndicator = ({ status, onRetry, onRetryFailed, onExportFailed, onDiscardFailed }) => {
+  const [isShowingFailed, setIsShowingFailed] = useState(false);
+  const failed = status.failed || 0;
+
+  // Close the panel once everything is retried or discarded
+  useEffect(() => {
+    if (failed === 0) setIsShowingFailed(false);
+  }, [failed]);
+
+  const { icon: Icon, className, spin } = failed > 0
+    ? SYNC_INDICATOR_STYLES.error
+    : SYNC_INDICATOR_STYLES[status.state] || SYNC_INDICATOR_STYLES.synced;
+  const pendingLabel = `${status.pending} pending`;
+  const label = failed > 0 ? `${failed} not saved` : {
+    synced: 'Synced',
+    pending: pendingLabel,
+    syncing: 'Syncing...',
+    offline: `Offline • ${pendingLabel}`,
+    error: status.pending > 0 ? `Sync error • ${pendingLabel}` : 'Sync error',
+  }[status.state] || 'Synced';
+  const title = failed > 0
+    ? `${failed} change${failed === 1 ? ' was' : 's were'} rejected by the server. Tap for options.`
+    : status.state === 'error'
+      ? `${status.error || 'Changes could not be saved'}. Tap to retry.`
+      : status.pending > 0 ? `${status.pending} change${status.pending === 1 ? '' : 's'} waiting to sync. Tap to retry now.` : 'All changes saved';
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        onClick={failed > 0 ? () => setIsShowingFailed(!isShowingFailed) : onRetry}
+        className={`text-xs px-2 py-1 rounded-full flex items-center gap-1 ${className}`}
+        title={title}
+      >
+        <Icon className={`w-3 h-3 ${spin ? 'animate-spin' : ''}`} />
+        {label}
+      </button>
+      {isShowingFailed && failed > 0 && (
+        <div className="absolute right-0 mt-2 w-64 bg-white text-amber-950 rounded-xl shadow-xl border border-amber-200 p-3 z-20">
+          <p className="text-sm font-bold text-red-700 mb-1">{failed} change{failed === 1 ? '' : 's'} not saved</p>
+          <p className="text-xs text-gray-600 mb-3">
+            The server rejected {failed === 1 ? 'it' : 'them'}{status.error ? ` (${status.error})` : ''}. Retry once you have access again, or export a copy before discarding.
+          </p>
+          <div className="flex gap-2">
+            <button type="button" onClick={onRetryFailed} className="flex-1 py-1.5 bg-amber-600 text-white rounded-lg text-xs font-bold">Retry</button>
+            <button type="button" onClick={onExportFailed} className="flex-1 py-1.5 bg-amber-100 text-amber-800 rounded-lg text-xs font-bold">Export</button>
+            <button type="button" onClick={onDiscardFailed} className="flex-1 py-1.5 bg-gray-100 text-red-600 rounded-lg text-xs font-bold">Discard</button>
           </div>
-        ))}
-        {/* Start Node */}
-        <div className="relative">
-            <div className="absolute -left-[31px] top-1 w-4 h-4 rounded-full bg-amber-900 border-2 border-white shadow-sm"></div>
-            <div className="mb-1">
-               <span className="font-bold text-amber-900">Brew Day</span>
-            </div>
-            <p className="text-sm text-gray-600">Batch created with OG {batch.calculatedOg}</p>
         </div>
-      </div>
-        
-      <button type="button" onClick={handleDeleteBatch} className="w-full mt-8 py-3 text-red-400 text-sm hover:text-red-600 hover:bg-red-50 rounded-lg">
-        Delete Batch
-      </button>
-
+      )}
     </div>
   );
 };
 
 // --- Main App Component ---
-export default function App() {
+// `storage` can be passed in (e.g. an in-memory backend in tests); otherwise it's chosen at startup
+export default function App({ storage: providedStorage = null }) {
+  const [storage] = useState(() => providedStorage || createAppStorage());
   const [user, setUser] = useState(null);
   const [isAuthReady, setIsAuthReady] = useState(false);
-  const [view, setView] = useState('calc'); // 'calc', 'favorites', 'batches', 'batch-detail'
+  const [view, setView] = useState('calc'); // 'calc', 'favorites', 'batches', 'batch-detail', 'agenda', 'settings', 'account'
   const [favorites, setFavorites] = useState([]);
   const [batches, setBatches] = useState([]);
   const [selectedBatch, setSelectedBatch] = useState(null);
   const [loadRecipe, setLoadRecipe] = useState(null); // Recipe data loaded from Favorites to edit before batching
   const [isStartingBatch, setIsStartingBatch] = useState(false); // Flag if we are using calculator to start a batch
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [customHoneys, setCustomHoneys] = useState([]);
+  const [syncStatus, setSyncStatus] = useState(null); // { state, pending, failed, error } for backends that sync, see offlineStorage.js
+  const [cellars, setCellars] = useState([]); // Shared cellar records the user belongs to or is invited to
+  const [sharedItems, setSharedItems] = useState({}); // { [cellarId]: { favorites, batches } } from member cellars
+
+  useEffect(() => {
+    registerOfflineApp();
+  }, []);
+
+  // Sync status replaces silent console errors for writes made while offline
+  useEffect(() => {
+    if (!storage.onSyncChange) return undefined;
+    return storage.onSyncChange(setSyncStatus);
+  }, [storage]);
 
   // Auth & Data Listeners
   useEffect(() => {
-    const initAuth = async () => {
-        try {
-            if (typeof __initial_auth_token !== 'undefined' && __initial_auth_token) {
-                await signInWithCustomToken(auth, __initial_auth_token);
-            } else {
-                await signInAnonymously(auth);
-            }
-        } catch (e) {
-             console.error("Auth failed:", e);
-             // Fallback to anonymous if custom token fails
-             await signInAnonymously(auth);
-        }
-    };
-    initAuth();
+    storage.signIn().catch(e => console.error("Auth failed:", e));
 
-    const unsubscribeAuth = onAuthStateChanged(auth, (u) => {
+    const unsubscribeAuth = storage.onAuthChange((u) => {
       setUser(u);
       setIsAuthReady(true);
     });
     return () => unsubscribeAuth();
-  }, []);
+  }, [storage]);
 
   const userId = user?.uid;
+  // The signed-in user's cellar; every read and write goes through it
+  const store = useMemo(() => (userId ? storage.forUser(userId) : null), [storage, userId]);
 
   useEffect(() => {
-    if (!userId || !isAuthReady) return;
+    if (!store || !isAuthReady) return;
 
     // Listen to Favorites
-    const favUnsub = onSnapshot(collection(db, 'artifacts', appId, 'users', userId, 'favorites'), 
-      (snapshot) => {
-        const favs = snapshot.docs.map(d => ({id: d.id, ...d.data()}));
-        setFavorites(favs);
-      },
+    const favUnsub = store.subscribe('favorites',
+      (favs) => setFavorites(favs),
       (error) => console.error("Error fetching favorites:", error)
     );
 
     // Listen to Batches
-    const batchUnsub = onSnapshot(collection(db, 'artifacts', appId, 'users', userId, 'batches'), 
-      (snapshot) => {
-        const b = snapshot.docs.map(d => ({id: d.id, ...d.data()}));
+    const batchUnsub = store.subscribe('batches',
+      (raw) => {
+        // Upgrade older log schemas on load and persist the result so it only happens once. Each entry is
+        // swapped for its upgraded copy in place, so entries logged meanwhile elsewhere are kept.
+        const b = raw.map(migrateBatch);
+        raw.filter(needsLogMigration).forEach(batch => {
+            const migrated = b.find(m => m.id === batch.id);
+            const edits = (batch.logs || []).map((entry, i) => ({ from: entry, to: migrated.logs[i] }));
+            store.updateList('batches', batch.id, 'logs', edits, { logSchemaVersion: migrated.logSchemaVersion })
+              .catch(error => console.error("Error migrating batch logs:", error));
+        });
         setBatches(b);
-        // Ensure selectedBatch remains updated if changes occur in the background
-        if (selectedBatch) {
-            const updatedSelected = b.find(batch => batch.id === selectedBatch.id);
-            if (updatedSelected) {
-                setSelectedBatch(updatedSelected);
-            } else if (!updatedSelected && view === 'batch-detail') {
-                // If the selected batch was deleted by another client, go back to the list
-                setView('batches');
-            }
-        }
       },
       (error) => console.error("Error fetching batches:", error)
     );
@@ -1042,13 +3919,100 @@ export default function App() {
       favUnsub();
       batchUnsub();
     };
-  }, [userId, isAuthReady, selectedBatch, view]);
+  }, [store, isAuthReady]);
+
+  // Shared cellars need a permanent account: invitations are sent to an email address
+  const canShare = Boolean(storage.forCellar) && Boolean(user) && !user.isAnonymous;
+
+  useEffect(() => {
+    if (!canShare) {
+      setCellars([]);
+      return undefined;
+    }
+    return storage.subscribeCellars(user, setCellars, (error) => console.error("Error fetching shared cellars:", error));
+  }, [storage, canShare, user]);
+
+  // The shared cellars the user is a member of, with what their role lets them do there
+  const memberCellars = useMemo(() => cellars
+    .map(cellar => ({ id: cellar.id, name: cellar.name, access: getCellarAccess(cellar, userId) }))
+    .filter(cellar => cellar.access.canView), [cellars, userId]);
+  const memberCellarIds = memberCellars.map(cellar => cellar.id).join(',');
+
+  // Listen to each member cellar's recipes and batches
+  useEffect(() => {
+    if (!memberCellarIds) return undefined;
+    const unsubscribes = memberCellarIds.split(',').flatMap(cellarId => {
+      const cellarStore = storage.forCellar(cellarId);
+      return ['favorites', 'batches'].map(name => cellarStore.subscribe(name,
+        (items) => setSharedItems(prev => ({
+          ...prev,
+          // Older batch logs are upgraded for display only; the cellar's admins may not be the ones reading
+          [cellarId]: { ...prev[cellarId], [name]: tagWithCellar(name === 'batches' ? items.map(migrateBatch) : items, cellarId) },
+        })),
+        (error) => console.error(`Error fetching shared ${name}:`, error)
+      ));
+    });
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [storage, memberCellarIds]);
+
+  // Personal recipes and batches followed by those of every member cellar
+  const allFavorites = useMemo(() => [
+    ...favorites,
+    ...memberCellars.flatMap(cellar => sharedItems[cellar.id]?.favorites || []),
+  ], [favorites, memberCellars, sharedItems]);
+  const allBatches = useMemo(() => [
+    ...batches,
+    ...memberCellars.flatMap(cellar => sharedItems[cellar.id]?.batches || []),
+  ], [batches, memberCellars, sharedItems]);
+
+  // Where an item lives: a member cellar (with the user's access there) or the user's own cellar
+  const cellarOf = (item) => memberCellars.find(cellar => cellar.id === item?.cellarId) || null;
+  const storeFor = (item) => (item?.cellarId ? storage.forCellar(item.cellarId) : store);
+  const canEditItem = (item) => !item?.cellarId || Boolean(cellarOf(item)?.access.canEdit);
+  const shareTargets = memberCellars.filter(cellar => cellar.access.canEdit);
+
+  // Keep selectedBatch up to date with background changes (null once deleted). An effect rather than
+  // part of a listener so listeners don't resubscribe when the selection changes: backends that
+  // report synchronously would otherwise loop.
+  useEffect(() => {
+    setSelectedBatch(prev => (prev ? allBatches.find(batch => batch.id === prev.id) || null : prev));
+  }, [allBatches]);
+
+  // If the selected batch was deleted by another client, go back to the list
+  useEffect(() => {
+    if (view === 'batch-detail' && !selectedBatch) setView('batches');
+  }, [view, selectedBatch]);
+
+  // Listen to the user's settings document
+  useEffect(() => {
+    if (!store || !isAuthReady) return;
+
+    const settingsUnsub = store.subscribeDoc('settings', 'preferences',
+      (data) => {
+        setSettings({ ...DEFAULT_SETTINGS, ...(data || {}) });
+      },
+      (error) => console.error("Error fetching settings:", error)
+    );
+
+    // Listen to the user's custom honey varieties
+    const honeyUnsub = store.subscribe('honeyVarieties',
+      (honeys) => {
+        setCustomHoneys(honeys.sort((a, b) => a.name.localeCompare(b.name)));
+      },
+      (error) => console.error("Error fetching honey varieties:", error)
+    );
+
+    return () => {
+      settingsUnsub();
+      honeyUnsub();
+    };
+  }, [store, isAuthReady]);
 
   // Actions
   const saveRecipe = async (recipeData) => {
-    if (!userId) return;
+    if (!store) return;
     try {
-      await addDoc(collection(db, 'artifacts', appId, 'users', userId, 'favorites'), recipeData);
+      await store.create('favorites', { ...recipeData, timestamp: storage.timestamp() });
       // Only show confirmation if we are not in the process of starting a batch
       if (!isStartingBatch) {
         // IMPORTANT: Custom modal UI should be used here instead of alert()
@@ -1061,13 +4025,295 @@ export default function App() {
     }
   };
 
+  // Saves an edited favorite as its next version, keeping the previous one in `versions`
+  const saveRecipeVersion = async (recipeData) => {
+    if (!store) return;
+    const current = allFavorites.find(f => f.id === recipeData.id);
+    if (!current) return;
+    const { id, recipeVersion, ...fields } = recipeData;
+
+    if (await writeRecipeVersion(current, fields)) {
+      setLoadRecipe(null);
+      setView('favorites');
+    }
+  };
+
+  // Returns true once the new version is written
+  const writeRecipeVersion = async (current, fields) => {
+    if (diffRecipes(current, fields).length === 0) {
+      // IMPORTANT: Custom modal UI should be used here instead of alert()
+      alert("Nothing has changed since the current version.");
+      return false;
+    }
+
+    try {
+      await storeFor(current).update('favorites', current.id, {
+        ...fields,
+        version: getRecipeVersion(current) + 1,
+        versions: [
+          ...(current.versions || []),
+          createRecipeSnapshot(current, safeGetDate(current.updatedAt || current.timestamp).toISOString()),
+        ],
+        updatedAt: storage.timestamp(),
+      });
+      return true;
+    } catch (e) {
+      console.error(e);
+      // IMPORTANT: Custom modal UI should be used here instead of alert()
+      alert("Error saving recipe version");
+      return false;
+    }
+  };
+
+  // Saves what a batch actually used and measured as the next version of the recipe it came from
+  const pushActualsToRecipe = async (batch) => {
+    if (!store) return;
+    const current = allFavorites.find(f => f.id === batch.originalRecipeId);
+    if (!current || !canEditItem(current)) return;
+    // IMPORTANT: Custom modal UI should be used here instead of confirm()
+    if (!window.confirm(`Save this batch's actual ingredients and gravities as version ${getRecipeVersion(current) + 1} of "${current.name}"?`)) return;
+
+    if (await writeRecipeVersion(current, { ...actualRecipeFields(batch), name: current.name })) {
+      // IMPORTANT: Custom modal UI should be used here instead of alert()
+      alert("Recipe updated with this batch's actuals.");
+    }
+  };
+
+  // Recipes parsed from BeerXML / BeerJSON become new favorites (version 1)
+  const importRecipes = async (recipes) => {
+    if (!store) return;
+    try {
+      for (const recipe of recipes) {
+        await store.create('favorites', { ...recipe, timestamp: storage.timestamp() });
+      }
+      // IMPORTANT: Custom modal UI should be used here instead of alert()
+      alert(`Imported ${recipes.length} recipe${recipes.length === 1 ? '' : 's'}.`);
+    } catch (e) {
+      console.error("Error importing recipes:", e);
+      // IMPORTANT: Custom modal UI should be used here instead of alert()
+      alert("Error importing recipes");
+    }
+  };
+
+  const editRecipe = (recipe) => {
+    setLoadRecipe(recipe);
+    setIsStartingBatch(false);
+    setView('calc');
+  };
+
   const deleteFavorite = async (id) => {
-    if (!userId) return;
+    if (!store) return;
     try {
-      await deleteDoc(doc(db, 'artifacts', appId, 'users', userId, 'favorites', id));
+      await storeFor(allFavorites.find(f => f.id === id)).remove('favorites', id);
     } catch(e) { console.error(e); }
   };
 
+  const updateSettings = async (data) => {
+    if (!store) return;
+    // Optimistic update so the UI switches immediately
+    setSettings(prev => ({ ...prev, ...data }));
+    try {
+      await store.set('settings', 'preferences', data, { merge: true });
+    } catch (e) {
+      console.error("Error saving settings:", e);
+    }
+  };
+
+  // --- Account ---
+  // Gives the guest user a permanent sign-in, keeping its uid and cellar. If the sign-in already
+  // belongs to an account, offers to switch to that account and bring this cellar along.
+  const linkAccount = async (options) => {
+    try {
+      setUser(await storage.linkAccount(options));
+    } catch (e) {
+      if (!isCredentialInUse(e)) throw e;
+      // IMPORTANT: Custom modal UI should be used here instead of confirm()
+      if (!window.confirm("That sign-in already has a Golden Drop account. Sign in to it and add this device's recipes and batches to it?")) return;
+      await signInToAccount({ ...options, error: e });
+    }
+  };
+
+  // Signs in to an existing account and copies the guest cellar into it
+  const signInToAccount = async (options) => {
+    // Read the guest cellar first: once signed in as someone else it can't be reached.
+    // It already includes any changes still waiting to sync.
+    const guestUid = user?.isAnonymous ? user.uid : null;
+    const guestCellar = guestUid && store ? await readCellar(store) : null;
+    const account = await storage.signInToAccount(options);
+
+    if (guestCellar && countCellar(guestCellar) > 0) {
+      const accountStore = storage.forUser(account.uid);
+      const writes = planCellarMerge(guestCellar, await readCellar(accountStore));
+      for (const name of BACKUP_COLLECTIONS) {
+        for (const { id, ...data } of writes[name]) {
+          await accountStore.set(name, id, data);
+        }
+      }
+    }
+    // The guest's queued changes are in the account now; written as the guest they'd only be rejected
+    if (guestUid && storage.discardQueued) storage.discardQueued(guestUid);
+    setSelectedBatch(null);
+    setUser(account);
+  };
+
+  const signOut = async () => {
+    // IMPORTANT: Custom modal UI should be used here instead of confirm()
+    if (!window.confirm("Sign out? Your cellar stays with your account; this device starts a new guest cellar.")) return;
+    setSelectedBatch(null);
+    await storage.signOut();
+  };
+
+  // Invitations to shared cellars need a verified address (see firestore.rules)
+  const sendVerificationEmail = async () => {
+    try {
+      await storage.sendVerificationEmail();
+      // IMPORTANT: Custom modal UI should be used here instead of alert()
+      alert(`Verification email sent to ${user.email}.`);
+    } catch (e) {
+      console.error("Error sending verification email:", e);
+      // IMPORTANT: Custom modal UI should be used here instead of alert()
+      alert(describeAccountError(e));
+    }
+  };
+
+  const refreshAccount = async () => {
+    try {
+      setUser(await storage.refreshAccount());
+    } catch (e) {
+      console.error("Error refreshing account:", e);
+    }
+  };
+
+  // --- Shared Cellars ---
+  const createCellar = async (name) => {
+    try {
+      await storage.createCellar(createCellarRecord(name, user));
+    } catch (e) {
+      console.error("Error creating shared cellar:", e);
+      // IMPORTANT: Custom modal UI should be used here instead of alert()
+      alert("Error creating shared cellar");
+    }
+  };
+
+  // `data` comes from one of the cellars.js helpers (invite, accept, change a role...)
+  const updateCellar = async (id, data) => {
+    try {
+      await storage.updateCellar(id, data);
+    } catch (e) {
+      console.error("Error updating shared cellar:", e);
+      // IMPORTANT: Custom modal UI should be used here instead of alert()
+      alert("Error updating shared cellar. Changing members needs a connection.");
+    }
+  };
+
+  const leaveCellar = async (cellar) => {
+    // IMPORTANT: Custom modal UI should be used here instead of confirm()
+    if (!window.confirm(`Leave "${cellar.name}"? You'll need a new invitation to see its recipes and batches again.`)) return;
+    await updateCellar(cellar.id, removeMember(cellar, userId));
+  };
+
+  const deleteCellar = async (cellar) => {
+    // IMPORTANT: Custom modal UI should be used here instead of confirm()
+    if (!window.confirm(`Delete "${cellar.name}" and all of its recipes and batches for every member? This cannot be undone.`)) return;
+    try {
+      await storage.removeCellar(cellar.id);
+    } catch (e) {
+      console.error("Error deleting shared cellar:", e);
+      // IMPORTANT: Custom modal UI should be used here instead of alert()
+      alert("Error deleting shared cellar");
+    }
+  };
+
+  // Copies a recipe into a shared cellar; the original stays in the user's own cellar
+  const shareRecipe = async (recipe, cellarId) => {
+    const { id, ...data } = recipe;
+    try {
+      await storage.forCellar(cellarId).create('favorites', data);
+      // IMPORTANT: Custom modal UI should be used here instead of alert()
+      alert(`"${recipe.name}" shared with ${cellarOf({ cellarId })?.name || 'the cellar'}.`);
+    } catch (e) {
+      console.error("Error sharing recipe:", e);
+      // IMPORTANT: Custom modal UI should be used here instead of alert()
+      alert("Error sharing recipe");
+    }
+  };
+
+  // Moves a batch with its whole log into a shared cellar, keeping its id so it stays selected
+  const moveBatchToCellar = async (batch, cellarId) => {
+    const cellarName = cellarOf({ cellarId })?.name || 'the shared cellar';
+    // IMPORTANT: Custom modal UI should be used here instead of confirm()
+    if (!window.confirm(`Move "${batch.name}" to ${cellarName}? Its members will see it, and it leaves your own cellar.`)) return;
+    const { id, ...data } = batch;
+    try {
+      await storage.forCellar(cellarId).set('batches', id, data);
+      await store.remove('batches', id);
+    } catch (e) {
+      console.error("Error moving batch:", e);
+      // IMPORTANT: Custom modal UI should be used here instead of alert()
+      alert("Error moving batch");
+    }
+  };
+
+  // --- Rejected Changes ---
+  // The offline backend keeps changes the server rejected until the user retries, exports or discards them
+  const exportFailedChanges = () => {
+    const exportedAt = new Date();
+    const changes = storage.failedChanges();
+    downloadFile(JSON.stringify({ exportedAt: exportedAt.toISOString(), changes }, null, 2), `golden-drop-unsaved-${formatDate(exportedAt)}.json`, 'application/json');
+  };
+
+  const discardFailedChanges = () => {
+    // IMPORTANT: Custom modal UI should be used here instead of confirm()
+    if (!window.confirm("Discard the changes the server rejected? Export them first if you might need them.")) return;
+    storage.discardFailed();
+  };
+
+  // --- Backup ---
+  const exportBackup = () => {
+    const exportedAt = new Date();
+    const backup = createBackup({ favorites, batches, honeyVarieties: customHoneys, settings, exportedAt });
+    downloadFile(JSON.stringify(backup, null, 2), backupFileName(exportedAt), 'application/json');
+  };
+
+  // Applies a plan from planImport; documents keep their ids so a re-import updates rather than duplicates
+  const importBackup = async ({ writes, deletes, settings: importedSettings, replaceSettings }) => {
+    if (!store) return;
+    try {
+      for (const name of BACKUP_COLLECTIONS) {
+        for (const id of deletes[name]) {
+          await store.remove(name, id);
+        }
+        for (const item of writes[name]) {
+          const { id, ...data } = reviveTimestamps(item, storage.timestampFromDate);
+          await store.set(name, id, data);
+        }
+      }
+      await store.set('settings', 'preferences', importedSettings, { merge: !replaceSettings });
+      // IMPORTANT: Custom modal UI should be used here instead of alert()
+      alert("Backup imported.");
+    } catch (e) {
+      console.error("Error importing backup:", e);
+      // IMPORTANT: Custom modal UI should be used here instead of alert()
+      alert("Error importing backup. Some items may not have been restored.");
+    }
+  };
+
+  const saveCustomHoney = async (honeyData) => {
+    if (!store) return;
+    try {
+      await store.create('honeyVarieties', honeyData);
+    } catch (e) {
+      console.error("Error saving honey variety:", e);
+    }
+  };
+
+  const deleteCustomHoney = async (id) => {
+    if (!store) return;
+    try {
+      await store.remove('honeyVarieties', id);
+    } catch (e) { console.error(e); }
+  };
+
   const startBatchPrep = (recipe) => {
     setLoadRecipe(recipe);
     setIsStartingBatch(true);
@@ -1075,26 +4321,43 @@ export default function App() {
   }
 
   const startBatch = async (batchData) => {
-    if (!userId) return;
+    if (!store) return;
     
     // Check if the recipe had an ID (meaning it came from Favorites)
     const originalRecipeId = batchData.id;
+    // A batch brewed from a shared recipe joins that cellar if the user's role allows adding batches
+    const sourceRecipe = allFavorites.find(f => f.id === originalRecipeId);
+    const target = sourceRecipe?.cellarId && canEditItem(sourceRecipe) ? storeFor(sourceRecipe) : store;
 
     try {
       const finalBatchData = {
         ...batchData,
         // Safely set originalRecipeId if it exists (avoids saving 'undefined')
         ...(originalRecipeId && { originalRecipeId: originalRecipeId }), 
-        startDate: serverTimestamp(), 
-        logs: [], // Array of { date, sg, note }
-        status: 'brewing' // Initial stage set to 'brewing'
+        // ...and which version of that recipe it was brewed from
+        ...(originalRecipeId && batchData.recipeVersion && { originalRecipeVersion: batchData.recipeVersion }),
+        // Record the ABV formula so this batch's numbers stay reproducible if the setting changes later
+        abvMethod: batchData.abvMethod || settings.abvMethod,
+        startDate: storage.timestamp(),
+        logs: [], // Array of typed entries, see batchLog.js
+        logSchemaVersion: LOG_SCHEMA_VERSION,
+        status: 'brewing', // Initial stage set to 'brewing'
+        statusHistory: [createStatusChange('brewing')], // Every later transition is appended, see batchLog.js
+        // Staggered Fermaid-O additions sized from the OG, volume and the yeast's nitrogen needs
+        nutrientSchedule: createNutrientPlan({
+          og: batchData.calculatedOg,
+          fg: batchData.predictedFg || 1.000,
+          volume: batchData.volume,
+          nutrientNeeds: batchData.yeast?.nutrientNeeds,
+        }),
       };
       
       // Remove the temporary 'id' from the object before saving to Firestore, 
       // as Firestore assigns a new one for the batch document.
       delete finalBatchData.id; 
+      delete finalBatchData.recipeVersion;
       
-      await addDoc(collection(db, 'artifacts', appId, 'users', userId, 'batches'), finalBatchData);
+      await target.create('batches', finalBatchData);
       
       // Reset state and switch view
       setIsStartingBatch(false);
@@ -1112,6 +4375,38 @@ export default function App() {
     setView('batch-detail');
   };
 
+  // Open tasks, nutrient additions and suggestions across every batch that isn't archived
+  const agendaItems = useMemo(() => allBatches
+    .filter(batch => batch.status !== 'archived' && canEditItem(batch))
+    .flatMap(batch => getOpenTasks(batch, safeGetDate(batch.startDate)).map(item => ({ ...item, batch })))
+    .sort((a, b) => a.dueDate - b.dueDate), [allBatches, memberCellars]);
+  const dueTaskCount = agendaItems.filter(item => taskUrgency(item.dueDate) !== 'upcoming').length;
+
+  const completeAgendaItem = async (item) => {
+    if (!store) return;
+    const { batch } = item;
+    const now = new Date().toISOString();
+    let data;
+    if (item.kind === 'nutrient') {
+      data = {
+        nutrientSchedule: {
+          ...batch.nutrientSchedule,
+          additions: batch.nutrientSchedule.additions.map(a => (a.id === item.id ? { ...a, done: true, doneDate: now } : a)),
+        },
+      };
+    } else if (item.kind === 'suggested') {
+      // Suggestions are recorded as completed tasks
+      data = { tasks: [...(batch.tasks || []), { ...createTask({ type: item.type, dueDate: item.dueDate.toISOString() }), done: true, doneDate: now }] };
+    } else {
+      data = { tasks: (batch.tasks || []).map(t => (t.id === item.id ? { ...t, done: true, doneDate: now } : t)) };
+    }
+    try {
+      await storeFor(batch).update('batches', batch.id, data);
+    } catch (e) {
+      console.error("Error completing task:", e);
+    }
+  };
+
   const handleBackToFavorites = () => {
     setIsStartingBatch(false);
     setLoadRecipe(null);
@@ -1137,7 +4432,36 @@ export default function App() {
                 <Wine className="w-6 h-6" />
                 Golden Drop
             </h1>
-            {userId && <span className="text-xs bg-amber-700 px-2 py-1 rounded-full opacity-80">User ID: {userId.slice(0, 8)}...</span>}
+            <div className="flex items-center gap-2">
+                {syncStatus && (
+                  <SyncIndicator
+                    status={syncStatus}
+                    onRetry={() => storage.syncNow()}
+                    onRetryFailed={() => storage.retryFailed()}
+                    onExportFailed={exportFailedChanges}
+                    onDiscardFailed={discardFailedChanges}
+                  />
+                )}
+                {user && (
+                    <button
+                        type="button"
+                        onClick={() => setView('account')}
+                        className="text-xs bg-amber-700 px-2 py-1 rounded-full opacity-80 hover:opacity-100 flex items-center gap-1 max-w-[9rem]"
+                        title={`User ID: ${userId}`}
+                    >
+                        <UserCircle className="w-3 h-3 flex-shrink-0" />
+                        <span className="truncate">{!storage.linkAccount ? 'This device' : user.isAnonymous ? 'Guest' : user.email || 'Account'}</span>
+                    </button>
+                )}
+                <button
+                    type="button"
+                    onClick={() => setView('settings')}
+                    className={`p-2 rounded-full transition ${view === 'settings' ? 'bg-amber-800' : 'hover:bg-amber-700'}`}
+                    title="Settings"
+                >
+                    <SlidersHorizontal className="w-5 h-5" />
+                </button>
+            </div>
         </div>
       </header>
 
@@ -1146,37 +4470,99 @@ export default function App() {
         {view === 'calc' && (
           <Calculator 
             onSave={saveRecipe} 
+            onSaveVersion={saveRecipeVersion}
             onStartBatch={startBatch}
             initialData={loadRecipe} 
             isStartingBatch={isStartingBatch}
             onBackToFavorites={handleBackToFavorites}
+            units={settings.units}
+            customHoneys={customHoneys}
+            abvMethod={settings.abvMethod}
           />
         )}
         {view === 'favorites' && (
           <Favorites 
-            favorites={favorites} 
+            favorites={allFavorites} 
             onDelete={deleteFavorite} 
             onStartBatch={startBatchPrep} 
+            onEdit={editRecipe}
+            onImportRecipes={importRecipes}
+            onShare={shareRecipe}
+            cellars={memberCellars}
+            units={settings.units}
+            customHoneys={customHoneys}
           />
         )}
         {view === 'batches' && (
-          <Batches batches={batches} onOpenBatch={openBatch} />
+          <Batches batches={allBatches} favorites={allFavorites} cellars={memberCellars} onOpenBatch={openBatch} units={settings.units} />
         )}
         {view === 'batch-detail' && selectedBatch && (
           <BatchDetail 
             batch={selectedBatch} 
-            userId={userId} 
+            store={storeFor(selectedBatch)}
+            units={settings.units}
+            customHoneys={customHoneys}
+            stableWindowDays={settings.stableWindowDays}
+            wortCorrectionFactor={settings.wortCorrectionFactor}
+            hydrometerCalibrationTemp={settings.hydrometerCalibrationTemp}
             onBack={() => setView('batches')} 
             onUpdateBatch={(id, data) => {
                 // Optimistic update for UI
                 setSelectedBatch({...selectedBatch, ...data});
             }}
+            sourceRecipe={allFavorites.find(f => f.id === selectedBatch.originalRecipeId) || null}
+            onPushToRecipe={pushActualsToRecipe}
+            cellarName={cellarOf(selectedBatch)?.name || null}
+            author={selectedBatch.cellarId ? logAuthor(user) : null}
+            canEdit={canEditItem(selectedBatch)}
+            canLog={!selectedBatch.cellarId || Boolean(cellarOf(selectedBatch)?.access.canLog)}
+            shareTargets={selectedBatch.cellarId ? [] : shareTargets}
+            onMoveToCellar={moveBatchToCellar}
+          />
+        )}
+        {view === 'agenda' && (
+          <Agenda items={agendaItems} onCompleteItem={completeAgendaItem} onOpenBatch={openBatch} />
+        )}
+        {view === 'account' && (
+          <Account
+            user={user}
+            canManageAccount={Boolean(storage.linkAccount)}
+            onLinkAccount={linkAccount}
+            onSignInToAccount={signInToAccount}
+            onSignOut={signOut}
+            onBack={() => setView('calc')}
+          >
+            {canShare && (
+              <SharedCellars
+                user={user}
+                cellars={cellars}
+                onCreateCellar={createCellar}
+                onUpdateCellar={updateCellar}
+                onLeaveCellar={leaveCellar}
+                onDeleteCellar={deleteCellar}
+                onSendVerification={storage.sendVerificationEmail && sendVerificationEmail}
+                onRefreshAccount={refreshAccount}
+              />
+            )}
+          </Account>
+        )}
+        {view === 'settings' && (
+          <Settings 
+            settings={settings} 
+            onUpdateSettings={updateSettings} 
+            customHoneys={customHoneys}
+            onSaveHoney={saveCustomHoney}
+            onDeleteHoney={deleteCustomHoney}
+            backupData={{ favorites, batches, honeyVarieties: customHoneys }}
+            onExportBackup={exportBackup}
+            onImportBackup={importBackup}
+            onBack={() => setView('calc')} 
           />
         )}
       </main>
 
       {/* Bottom Nav */}
-      <nav className="bg-white border-t border-amber-200 p-2 grid grid-cols-3 shadow-[0_-4px_6px_-1px_rgba(0,0,0,0.05)] sticky bottom-0 z-10">
+      <nav className="bg-white border-t border-amber-200 p-2 grid grid-cols-4 shadow-[0_-4px_6px_-1px_rgba(0,0,0,0.05)] sticky bottom-0 z-10">
         <button 
           onClick={() => {
             setView('calc');
@@ -1202,6 +4588,18 @@ export default function App() {
           <Activity className="w-6 h-6 mb-1" />
           <span className="text-[10px] font-bold uppercase">Active</span>
         </button>
+        <button 
+          onClick={() => setView('agenda')}
+          className={`relative flex flex-col items-center p-2 rounded-lg transition ${view === 'agenda' ? 'text-amber-600 bg-amber-50' : 'text-gray-400 hover:text-amber-500'}`}
+        >
+          <Calendar className="w-6 h-6 mb-1" />
+          <span className="text-[10px] font-bold uppercase">Agenda</span>
+          {dueTaskCount > 0 && (
+            <span className="absolute top-1 right-1/4 min-w-[18px] h-[18px] px-1 rounded-full bg-red-500 text-white text-[10px] font-bold flex items-center justify-center">
+              {dueTaskCount}
+            </span>
+          )}
+        </button>
       </nav>
     </div>
   );
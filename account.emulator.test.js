@@ -0,0 +1,70 @@
+// Runs the Firestore backend's account flows against the Firebase emulators:
+//   firebase emulators:exec --only auth,firestore "npm test"
+// which sets FIREBASE_AUTH_EMULATOR_HOST; skipped without it.
+import { beforeAll, describe, expect, it } from 'vitest';
+import { createFirestoreStorage } from './firestoreStorage';
+import { isCredentialInUse, planCellarMerge, readCellar } from './account';
+
+const emulatorHost = process.env.FIREBASE_AUTH_EMULATOR_HOST?.split(':')[0];
+
+describe.skipIf(!emulatorHost)('accounts on the Firebase emulators', () => {
+  // One backend for the file: Auth can only be pointed at the emulator once per app
+  let storage;
+  const email = `brewer-${Date.now()}@example.com`;
+  const password = 'golden-drop';
+
+  // Resolves with the next signed-in user that `isWanted` accepts
+  const nextUser = (isWanted) => new Promise(resolve => {
+    const unsubscribe = storage.onAuthChange(user => {
+      if (!user || !isWanted(user)) return;
+      unsubscribe();
+      resolve(user);
+    });
+  });
+
+  beforeAll(async () => {
+    storage = createFirestoreStorage({
+      config: { apiKey: 'demo-key', projectId: 'demo-golden-drop' },
+      appId: 'emulator-test',
+      emulatorHost,
+    });
+    await storage.signIn();
+  });
+
+  it('gives a guest a permanent sign-in, keeping its uid and cellar', async () => {
+    const guest = await nextUser(user => user.isAnonymous);
+    await storage.forUser(guest.uid).set('favorites', 'guest-recipe', { name: 'Guest Traditional' });
+
+    const account = await storage.linkAccount({ provider: 'password', email, password });
+    expect(account).toMatchObject({ uid: guest.uid, isAnonymous: false, email });
+    expect(await storage.forUser(account.uid).list('favorites')).toEqual([{ id: 'guest-recipe', name: 'Guest Traditional' }]);
+  });
+
+  it('signs out to a fresh guest', async () => {
+    const account = await nextUser(user => !user.isAnonymous);
+    await storage.signOut();
+    const guest = await nextUser(user => user.isAnonymous);
+    expect(guest.uid).not.toBe(account.uid);
+  });
+
+  it("won't link a sign-in that belongs to another account", async () => {
+    await nextUser(user => user.isAnonymous);
+    const error = await storage.linkAccount({ provider: 'password', email, password }).catch(e => e);
+    expect(isCredentialInUse(error)).toBe(true);
+  });
+
+  it('brings a guest cellar into the account it signs in to', async () => {
+    const guest = await nextUser(user => user.isAnonymous);
+    await storage.forUser(guest.uid).set('batches', 'guest-batch', { name: 'Brewed as a guest' });
+    const guestCellar = await readCellar(storage.forUser(guest.uid));
+
+    const account = await storage.signInToAccount({ provider: 'password', email, password });
+    const accountStore = storage.forUser(account.uid);
+    const writes = planCellarMerge(guestCellar, await readCellar(accountStore));
+    for (const { id, ...data } of writes.batches) await accountStore.set('batches', id, data);
+
+    expect(account.uid).not.toBe(guest.uid);
+    expect(await accountStore.list('batches')).toEqual([{ id: 'guest-batch', name: 'Brewed as a guest' }]);
+    expect(await accountStore.list('favorites')).toEqual([{ id: 'guest-recipe', name: 'Guest Traditional' }]);
+  });
+});
@@ -0,0 +1,68 @@
+// --- Accounts ---
+// Helpers for giving an anonymous cellar a permanent sign-in and for merging it into an existing
+// account. Like brewMath and backup, no React or Firebase imports here (error codes are Firebase Auth's).
+import { BACKUP_COLLECTIONS, planImport } from './backup';
+
+export const ACCOUNT_PROVIDERS = {
+  password: { label: 'Email & Password' },
+  google: { label: 'Google' },
+};
+
+export const MIN_PASSWORD_LENGTH = 6; // Firebase Auth's minimum
+
+// The sign-in already belongs to another account: linking can't work, signing in to it (and merging) can
+const CREDENTIAL_IN_USE_CODES = ['auth/credential-already-in-use', 'auth/email-already-in-use', 'auth/account-exists-with-different-credential'];
+export const isCredentialInUse = (error) => CREDENTIAL_IN_USE_CODES.includes(error?.code);
+
+const ACCOUNT_ERROR_MESSAGES = {
+  'auth/invalid-email': 'That email address is not valid.',
+  'auth/missing-password': 'Enter a password.',
+  'auth/weak-password': `Use a password of at least ${MIN_PASSWORD_LENGTH} characters.`,
+  'auth/wrong-password': 'Incorrect email or password.',
+  'auth/user-not-found': 'Incorrect email or password.',
+  'auth/invalid-credential': 'Incorrect email or password.',
+  'auth/invalid-login-credentials': 'Incorrect email or password.',
+  'auth/too-many-requests': 'Too many attempts. Try again in a few minutes.',
+  'auth/network-request-failed': 'No connection. Account changes need to be online.',
+  'auth/popup-closed-by-user': 'The sign-in window was closed before finishing.',
+  'auth/popup-blocked': 'The browser blocked the sign-in window. Allow popups and try again.',
+  'auth/operation-not-allowed': 'This sign-in method is not enabled for the app.',
+  'auth/provider-already-linked': 'This account already has that sign-in method.',
+  // From offlineStorage.js
+  'sync/pending-changes': 'Some changes have not synced yet. Connect to the internet and wait for them to sync before signing out.',
+};
+
+export const describeAccountError = (error) => (
+  ACCOUNT_ERROR_MESSAGES[error?.code] || error?.message || 'Something went wrong. Please try again.'
+);
+
+// Checked before contacting the server; returns a list of problems
+export const validateCredentials = ({ email, password }) => {
+  const errors = [];
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test((email || '').trim())) errors.push('Enter a valid email address.');
+  if ((password || '').length < MIN_PASSWORD_LENGTH) errors.push(`Use a password of at least ${MIN_PASSWORD_LENGTH} characters.`);
+  return errors;
+};
+
+// --- Merging ---
+// A whole cellar from a Store: { favorites, batches, honeyVarieties }, each [{ id, ...data }]
+export const readCellar = async (store) => Object.fromEntries(
+  await Promise.all(BACKUP_COLLECTIONS.map(async name => [name, await store.list(name)]))
+);
+
+export const countCellar = (cellar) => BACKUP_COLLECTIONS.reduce((total, name) => total + cellar[name].length, 0);
+
+// Documents to copy from an anonymous session's cellar into the account it signs in to, per collection.
+// Documents keep their ids (so batches still point at their recipes); nothing in the account is
+// overwritten or deleted, honey varieties the account already has by name are skipped, and the
+// account keeps its own settings.
+export const planCellarMerge = (guestCellar, accountCellar) => {
+  const honeyKey = (honey) => (honey.name || '').trim().toLowerCase();
+  const accountHoneys = new Set(accountCellar.honeyVarieties.map(honeyKey));
+  const guest = {
+    ...guestCellar,
+    honeyVarieties: guestCellar.honeyVarieties.filter(honey => !accountHoneys.has(honeyKey(honey))),
+    settings: {},
+  };
+  return planImport(guest, accountCellar, { mode: 'merge', overwriteConflicts: false }).writes;
+};
@@ -0,0 +1,60 @@
+// Pins how a guest cellar merges into an existing account, run against the memory backend
+import { describe, expect, it } from 'vitest';
+import { createMemoryStorage } from './storage';
+import { countCellar, describeAccountError, planCellarMerge, readCellar, validateCredentials } from './account';
+
+const fillCellar = async (store, { favorites = [], batches = [], honeyVarieties = [], settings = null }) => {
+  for (const { id, ...data } of favorites) await store.set('favorites', id, data);
+  for (const { id, ...data } of batches) await store.set('batches', id, data);
+  for (const { id, ...data } of honeyVarieties) await store.set('honeyVarieties', id, data);
+  if (settings) await store.set('settings', 'preferences', settings);
+};
+
+describe('merging a guest cellar into an account', () => {
+  it('copies the guest documents with their ids, leaving the account alone', async () => {
+    const storage = createMemoryStorage();
+    const guest = storage.forUser('guest');
+    const account = storage.forUser('account');
+    await fillCellar(guest, {
+      favorites: [{ id: 'recipe-1', name: 'Guest Traditional' }],
+      batches: [{ id: 'batch-1', name: 'Guest Batch', recipeId: 'recipe-1' }],
+      honeyVarieties: [{ id: 'honey-1', name: 'Orange Blossom', sugarPercent: 80 }, { id: 'honey-2', name: 'Tupelo', sugarPercent: 81 }],
+      settings: { units: 'us' },
+    });
+    await fillCellar(account, {
+      favorites: [{ id: 'recipe-2', name: 'Account Melomel' }],
+      honeyVarieties: [{ id: 'honey-9', name: 'orange blossom ', sugarPercent: 79 }],
+      settings: { units: 'metric' },
+    });
+
+    const guestCellar = await readCellar(guest);
+    expect(countCellar(guestCellar)).toBe(4);
+
+    const writes = planCellarMerge(guestCellar, await readCellar(account));
+    expect(writes.favorites.map(item => item.id)).toEqual(['recipe-1']);
+    expect(writes.batches).toEqual([{ id: 'batch-1', name: 'Guest Batch', recipeId: 'recipe-1' }]);
+    expect(writes.honeyVarieties.map(item => item.name)).toEqual(['Tupelo']);
+    expect(writes.settings).toBeUndefined();
+  });
+
+  it("doesn't overwrite account documents that share an id", async () => {
+    const storage = createMemoryStorage();
+    await fillCellar(storage.forUser('guest'), { favorites: [{ id: 'same', name: 'Guest copy' }] });
+    await fillCellar(storage.forUser('account'), { favorites: [{ id: 'same', name: 'Account copy' }] });
+
+    const writes = planCellarMerge(await readCellar(storage.forUser('guest')), await readCellar(storage.forUser('account')));
+    expect(writes.favorites).toEqual([]);
+  });
+});
+
+describe('account messages', () => {
+  it('checks credentials before contacting the server', () => {
+    expect(validateCredentials({ email: 'brewer@example.com', password: 'secret1' })).toEqual([]);
+    expect(validateCredentials({ email: 'brewer', password: '123' })).toHaveLength(2);
+  });
+
+  it('explains why sign-out is waiting', () => {
+    expect(describeAccountError({ code: 'sync/pending-changes' })).toMatch(/not synced/);
+    expect(describeAccountError({ code: 'auth/wrong-password' })).toBe('Incorrect email or password.');
+  });
+});
@@ -0,0 +1,144 @@
+// --- Cellar Backup ---
+// Builds, validates and plans the import of a single JSON backup holding favorites, batches,
+// custom honey varieties and settings. Like brewMath and batchLog, no React or Firebase imports
+// here: Firestore timestamps are detected by shape and revived through a callback.
+import { migrateBatch } from './batchLog';
+
+export const BACKUP_FORMAT = 'golden-drop-backup';
+
+// Versions of the backup file layout:
+//   1: { format, version, exportedAt, data: { favorites, batches, honeyVarieties, settings } }
+export const BACKUP_VERSION = 1;
+
+// Collections stored as documents under artifacts/{appId}/users/{userId}
+export const BACKUP_COLLECTIONS = ['favorites', 'batches', 'honeyVarieties'];
+
+const COLLECTION_LABELS = { favorites: 'recipes', batches: 'batches', honeyVarieties: 'honey varieties' };
+
+// --- Timestamps ---
+// Firestore Timestamps become { __type: 'timestamp', value: ISO string } so they survive JSON
+const isTimestampLike = (value) => (
+  value && typeof value === 'object' && typeof value.seconds === 'number' && typeof value.nanoseconds === 'number'
+);
+
+export const serializeTimestamps = (value) => {
+  if (isTimestampLike(value)) {
+    return { __type: 'timestamp', value: new Date(value.seconds * 1000 + Math.floor(value.nanoseconds / 1e6)).toISOString() };
+  }
+  if (value instanceof Date) return { __type: 'timestamp', value: value.toISOString() };
+  if (Array.isArray(value)) return value.map(serializeTimestamps);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, serializeTimestamps(v)]));
+  }
+  return value;
+};
+
+// `toTimestamp` turns a Date back into whatever the store expects (e.g. Timestamp.fromDate)
+export const reviveTimestamps = (value, toTimestamp = (date) => date) => {
+  if (value && typeof value === 'object' && value.__type === 'timestamp') return toTimestamp(new Date(value.value));
+  if (Array.isArray(value)) return value.map(v => reviveTimestamps(v, toTimestamp));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, reviveTimestamps(v, toTimestamp)]));
+  }
+  return value;
+};
+
+// --- Export ---
+export const createBackup = ({ favorites = [], batches = [], honeyVarieties = [], settings = {}, exportedAt = new Date() }) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportedAt: exportedAt.toISOString(),
+  data: serializeTimestamps({ favorites, batches, honeyVarieties, settings }),
+});
+
+export const backupFileName = (exportedAt = new Date()) => `golden-drop-backup-${exportedAt.toISOString().split('T')[0]}.json`;
+
+// --- Import ---
+// Returns { backup, errors }; backup is null when the file can't be used. Batches are migrated to
+// the current log schema so imported data looks like freshly loaded data.
+export const validateBackup = (text) => {
+  let parsed;
+  try {
+    parsed = typeof text === 'string' ? JSON.parse(text) : text;
+  } catch (e) {
+    return { backup: null, errors: ['The file is not valid JSON.'] };
+  }
+
+  const errors = [];
+  if (!parsed || parsed.format !== BACKUP_FORMAT) {
+    return { backup: null, errors: ['This is not a Golden Drop backup file.'] };
+  }
+  if (typeof parsed.version !== 'number' || parsed.version > BACKUP_VERSION) {
+    return { backup: null, errors: [`Backup version ${parsed.version} is newer than this app supports (${BACKUP_VERSION}).`] };
+  }
+
+  const data = parsed.data || {};
+  BACKUP_COLLECTIONS.forEach(name => {
+    if (data[name] === undefined) return;
+    if (!Array.isArray(data[name])) {
+      errors.push(`"${name}" should be a list.`);
+      return;
+    }
+    data[name].forEach((item, i) => {
+      if (!item || typeof item !== 'object') errors.push(`${name}[${i}] is not an object.`);
+      else if (typeof item.id !== 'string' || item.id === '') errors.push(`${name}[${i}] has no id.`);
+      else if (typeof item.name !== 'string') errors.push(`${name}[${i}] (${item.id}) has no name.`);
+    });
+  });
+  (data.batches || []).forEach((batch, i) => {
+    if (batch && batch.logs !== undefined && !Array.isArray(batch.logs)) errors.push(`batches[${i}] (${batch.id}) has invalid logs.`);
+  });
+  if (data.settings !== undefined && (typeof data.settings !== 'object' || Array.isArray(data.settings))) {
+    errors.push('"settings" should be an object.');
+  }
+
+  if (errors.length > 0) return { backup: null, errors };
+
+  return {
+    backup: {
+      version: parsed.version,
+      exportedAt: parsed.exportedAt,
+      favorites: data.favorites || [],
+      batches: (data.batches || []).map(migrateBatch),
+      honeyVarieties: data.honeyVarieties || [],
+      settings: data.settings || {},
+    },
+    errors: [],
+  };
+};
+
+// Documents in the backup whose ids already exist, per collection: [{ id, name }]
+export const findConflicts = (backup, existing) => Object.fromEntries(BACKUP_COLLECTIONS.map(name => {
+  const existingIds = new Set((existing[name] || []).map(item => item.id));
+  return [name, backup[name].filter(item => existingIds.has(item.id)).map(item => ({ id: item.id, name: item.name }))];
+}));
+
+export const countConflicts = (conflicts) => BACKUP_COLLECTIONS.reduce((total, name) => total + conflicts[name].length, 0);
+
+export const describeBackup = (backup) => BACKUP_COLLECTIONS
+  .map(name => `${backup[name].length} ${COLLECTION_LABELS[name]}`)
+  .join(', ');
+
+// What to write and delete for an import:
+//   'merge':   add everything new; conflicting documents are overwritten only if `overwriteConflicts`
+//   'replace': delete every existing document that isn't in the backup, then write the backup
+// Returns { writes: { [collection]: docs }, deletes: { [collection]: ids }, settings, replaceSettings }
+export const planImport = (backup, existing, { mode = 'merge', overwriteConflicts = false } = {}) => {
+  const writes = {};
+  const deletes = {};
+
+  BACKUP_COLLECTIONS.forEach(name => {
+    const existingIds = new Set((existing[name] || []).map(item => item.id));
+    const backupIds = new Set(backup[name].map(item => item.id));
+
+    if (mode === 'replace') {
+      writes[name] = backup[name];
+      deletes[name] = [...existingIds].filter(id => !backupIds.has(id));
+    } else {
+      writes[name] = backup[name].filter(item => !existingIds.has(item.id) || overwriteConflicts);
+      deletes[name] = [];
+    }
+  });
+
+  return { writes, deletes, settings: backup.settings, replaceSettings: mode === 'replace' };
+};
@@ -0,0 +1,108 @@
+// Pins which files a restore accepts and what an import writes and deletes
+import { describe, expect, it } from 'vitest';
+import {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  countConflicts,
+  createBackup,
+  findConflicts,
+  planImport,
+  reviveTimestamps,
+  serializeTimestamps,
+  validateBackup,
+} from './backup';
+import { LOG_SCHEMA_VERSION } from './batchLog';
+
+const backupText = (data, overrides = {}) => JSON.stringify({ format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: '2024-03-01T00:00:00.000Z', data, ...overrides });
+
+const recipe = (id, name = id) => ({ id, name, volume: 5 });
+
+describe('validateBackup', () => {
+  it('rejects files it cannot read', () => {
+    expect(validateBackup('{not json')).toEqual({ backup: null, errors: ['The file is not valid JSON.'] });
+    expect(validateBackup(JSON.stringify({ format: 'beerxml', version: 1 })).errors).toEqual(['This is not a Golden Drop backup file.']);
+    expect(validateBackup('null').backup).toBeNull();
+  });
+
+  it('rejects backups from a newer version of the app', () => {
+    const { backup, errors } = validateBackup(backupText({}, { version: BACKUP_VERSION + 1 }));
+    expect(backup).toBeNull();
+    expect(errors[0]).toMatch(/newer than this app supports/);
+  });
+
+  it('lists every problem with the collections', () => {
+    const { backup, errors } = validateBackup(backupText({
+      favorites: { id: 'not-a-list' },
+      batches: [recipe('b1'), { name: 'No id' }, 'text', { id: 'b4', name: 'Bad logs', logs: 'none' }],
+      settings: [],
+    }));
+    expect(backup).toBeNull();
+    expect(errors).toEqual([
+      '"favorites" should be a list.',
+      'batches[1] has no id.',
+      'batches[2] is not an object.',
+      'batches[3] (b4) has invalid logs.',
+      '"settings" should be an object.',
+    ]);
+  });
+
+  it('fills in missing collections and upgrades batch logs', () => {
+    const { backup, errors } = validateBackup(backupText({ batches: [{ id: 'b1', name: 'Old', logs: [{ sg: '1.050', date: '2024-01-05T00:00:00.000Z' }] }] }));
+    expect(errors).toEqual([]);
+    expect(backup.favorites).toEqual([]);
+    expect(backup.settings).toEqual({});
+    expect(backup.batches[0].logSchemaVersion).toBe(LOG_SCHEMA_VERSION);
+    expect(backup.batches[0].logs[0]).toMatchObject({ type: 'reading', sg: '1.050' });
+  });
+});
+
+describe('planImport', () => {
+  const backup = { favorites: [recipe('r1', 'From backup'), recipe('r2')], batches: [], honeyVarieties: [], settings: { units: 'us' } };
+  const existing = { favorites: [recipe('r1', 'Already here'), recipe('r3')], batches: [recipe('b1')], honeyVarieties: [] };
+
+  it('finds documents that would overwrite existing ones', () => {
+    const conflicts = findConflicts(backup, existing);
+    expect(conflicts.favorites).toEqual([{ id: 'r1', name: 'From backup' }]);
+    expect(countConflicts(conflicts)).toBe(1);
+  });
+
+  it('merges only new documents unless told to overwrite', () => {
+    const kept = planImport(backup, existing, { mode: 'merge' });
+    expect(kept.writes.favorites.map(item => item.id)).toEqual(['r2']);
+    expect(kept.deletes).toEqual({ favorites: [], batches: [], honeyVarieties: [] });
+    expect(kept.replaceSettings).toBe(false);
+
+    const overwritten = planImport(backup, existing, { mode: 'merge', overwriteConflicts: true });
+    expect(overwritten.writes.favorites.map(item => item.id)).toEqual(['r1', 'r2']);
+    expect(overwritten.deletes.favorites).toEqual([]);
+  });
+
+  it('deletes everything not in the backup when replacing', () => {
+    const plan = planImport(backup, existing, { mode: 'replace' });
+    expect(plan.writes.favorites.map(item => item.id)).toEqual(['r1', 'r2']);
+    expect(plan.deletes).toEqual({ favorites: ['r3'], batches: ['b1'], honeyVarieties: [] });
+    expect(plan.settings).toEqual({ units: 'us' });
+    expect(plan.replaceSettings).toBe(true);
+  });
+});
+
+describe('timestamps', () => {
+  it('round-trip through JSON', () => {
+    const startDate = { seconds: 1709251200, nanoseconds: 500000000 };
+    const batch = { id: 'b1', name: 'Dated', startDate, logs: [{ date: '2024-03-02T00:00:00.000Z' }] };
+    const text = JSON.stringify(createBackup({ batches: [batch], exportedAt: new Date('2024-03-05T00:00:00.000Z') }));
+
+    const { backup } = validateBackup(text);
+    expect(backup.batches[0].startDate).toEqual({ __type: 'timestamp', value: '2024-03-01T00:00:00.500Z' });
+
+    const toTimestamp = (date) => ({ seconds: Math.floor(date.getTime() / 1000), nanoseconds: (date.getTime() % 1000) * 1e6 });
+    const revived = reviveTimestamps(backup.batches[0], toTimestamp);
+    expect(revived.startDate).toEqual(startDate);
+    expect(revived.logs[0].date).toBe('2024-03-02T00:00:00.000Z');
+  });
+
+  it('serializes Dates and leaves other values alone', () => {
+    expect(serializeTimestamps({ at: new Date('2024-01-01T00:00:00.000Z'), n: 1, list: [null, 'x'] }))
+      .toEqual({ at: { __type: 'timestamp', value: '2024-01-01T00:00:00.000Z' }, n: 1, list: [null, 'x'] });
+  });
+});
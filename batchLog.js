@@ -0,0 +1,478 @@
+// --- Batch Log Schema ---
+// Entries in a batch's `logs` array. Like brewMath, no React or Firebase imports here.
+import {
+  abvFromGravity,
+  daysBetween,
+  fermaidOGrams,
+  fruitPoints,
+  honeyPoints,
+  ogToPoints,
+  pointsToOg,
+  safeNum,
+  sugarBreakGravity,
+  yanRequirement,
+  DEFAULT_ABV_FORMULA
+} from './brewMath';
+
+// Schema versions (stored on the batch as `logSchemaVersion`):
+//   1: plain { date, sg, note } gravity readings with no ID
+//   2: every entry has a unique `id` and a `type` (see LOG_ENTRY_TYPES)
+export const LOG_SCHEMA_VERSION = 2;
+
+// Field shapes (volumes in liters, dates as ISO strings):
+//   reading:   { sg, note, instrument, ... }                      - see BatchDetail's reading form
+//   addition:  { category, ingredient, amount, unit, sugarPercent, note }
+//   racking:   { volumeBefore, volumeAfter, note }
+//   degassing: { note }
+//   clearing:  { agent, amount, unit, note }
+//   feed:      { honeyName, honeyAmount (kg), sugarPercent, sgBefore, sgAfter, note } - gravities are '' when not measured
+export const LOG_ENTRY_TYPES = {
+  reading: { label: 'Gravity Reading' },
+  feed: { label: 'Honey Feed' },
+  addition: { label: 'Addition' },
+  racking: { label: 'Racking' },
+  degassing: { label: 'Degassing' },
+  clearing: { label: 'Clearing Agent' },
+};
+
+// Categories for ingredient additions; sugar-bearing ones ask for a sugar %
+export const ADDITION_CATEGORIES = {
+  nutrient: { label: 'Nutrient', sugar: false },
+  fruit: { label: 'Fruit', sugar: true },
+  sugar: { label: 'Sugar / Fermentable', sugar: true },
+  oak: { label: 'Oak', sugar: false },
+  spice: { label: 'Spice / Herb', sugar: false },
+  acid: { label: 'Acid / Tannin', sugar: false },
+  other: { label: 'Other', sugar: true },
+};
+
+// Units for additions and clearing agents; kg is null for units that aren't a weight
+export const ADDITION_UNITS = {
+  g: { label: 'g', kg: 0.001 },
+  kg: { label: 'kg', kg: 1 },
+  oz: { label: 'oz', kg: 0.0283495 },
+  lb: { label: 'lb', kg: 0.453592 },
+  ml: { label: 'ml', kg: null },
+  tsp: { label: 'tsp', kg: null },
+  tbsp: { label: 'tbsp', kg: null },
+  each: { label: 'each', kg: null },
+};
+
+export const additionWeightKg = (entry) => {
+  const factor = ADDITION_UNITS[entry.unit]?.kg;
+  return factor ? safeNum(entry.amount) * factor : 0;
+};
+
+export const createLogId = () => `log_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+
+export const createLogEntry = (type, fields = {}) => ({
+  id: createLogId(),
+  type,
+  ...fields,
+});
+
+// --- Migration ---
+export const getLogSchemaVersion = (batch) => batch.logSchemaVersion || 1;
+
+export const needsLogMigration = (batch) => getLogSchemaVersion(batch) < LOG_SCHEMA_VERSION;
+
+// Upgrades a logs array step by step from `fromVersion` to LOG_SCHEMA_VERSION
+export const migrateLogs = (logs = [], fromVersion = 1) => {
+  let migrated = logs;
+
+  if (fromVersion < 2) {
+    // Everything logged before typed entries was a gravity reading
+    migrated = migrated.map(entry => ({
+      ...entry,
+      id: entry.id || createLogId(),
+      type: entry.type || 'reading',
+    }));
+  }
+
+  return migrated;
+};
+
+// Returns the batch with upgraded logs; callers persist { logs, logSchemaVersion } when needsLogMigration was true
+export const migrateBatch = (batch) => {
+  if (!needsLogMigration(batch)) return batch;
+  return {
+    ...batch,
+    logs: migrateLogs(batch.logs || [], getLogSchemaVersion(batch)),
+    logSchemaVersion: LOG_SCHEMA_VERSION,
+  };
+};
+
+// --- Queries ---
+export const getReadings = (logs = []) => logs.filter(entry => entry.type === 'reading');
+
+// Entries oldest first; log dates are ISO strings
+export const sortLogsChronologically = (logs = []) => (
+  [...logs].sort((a, b) => new Date(a.date).getTime() - new Date(b.date).getTime())
+);
+
+// The OG measured on brew day when recorded, otherwise the recipe's calculated OG
+export const getStartingGravity = (batch) => safeNum(batch.measuredOg) || safeNum(batch.calculatedOg);
+
+// Honey is ~1.42 kg/L, so each kg fed adds roughly 0.7 L to the must
+export const HONEY_LITERS_PER_KG = 0.7;
+
+const isMeasured = (value) => value !== undefined && value !== '' && !isNaN(parseFloat(value));
+
+// Gravity after dissolving honey into `volume` liters of must at `sgBefore`
+export const feedGravityJump = ({ sgBefore, volume, honeyKg, sugarPercent }) => {
+  const volumeAfter = safeNum(volume) + safeNum(honeyKg) * HONEY_LITERS_PER_KG;
+  const points = ogToPoints(sgBefore, volume) + honeyPoints(safeNum(honeyKg), sugarPercent);
+  return pointsToOg(points, volumeAfter);
+};
+
+// Walks the log in order, tracking:
+//   - volume through rackings and honey feeds
+//   - the gravity points added by sugar-bearing additions (each spread over the volume at the time it went in)
+//   - fermentation segments: each feed closes the current segment at the gravity before the feed and opens
+//     a new one at the gravity after it. ABV is the alcohol made in every segment added together.
+// Feeds without measured gravities are resolved from the last reading and the honey weight.
+export const getBatchProgress = (batch) => {
+  const abvMethod = batch.abvMethod || DEFAULT_ABV_FORMULA;
+  let volume = safeNum(batch.volume);
+  let volumeLost = 0;
+  let addedPoints = 0; // Gravity points from additions and feeds, as if all present at the start
+  let segmentStart = getStartingGravity(batch);
+  let currentSg = segmentStart;
+  const segments = [];
+  const feeds = [];
+
+  sortLogsChronologically(batch.logs).forEach(entry => {
+    if (entry.type === 'reading' && isMeasured(entry.sg)) {
+      currentSg = safeNum(entry.sg);
+    }
+    if (entry.type === 'racking' && isMeasured(entry.volumeAfter)) {
+      // The recorded "before" volume wins over the running one, which misses top-ups and spills
+      const before = isMeasured(entry.volumeBefore) ? safeNum(entry.volumeBefore) : volume;
+      volumeLost += Math.max(0, before - safeNum(entry.volumeAfter));
+      volume = safeNum(entry.volumeAfter);
+    }
+    if (entry.type === 'addition' && safeNum(entry.sugarPercent) > 0 && volume > 0) {
+      const points = fruitPoints([{ amount: additionWeightKg(entry), sugarPercent: entry.sugarPercent }]);
+      const jump = pointsToOg(points, volume) - 1;
+      segmentStart += jump;
+      currentSg += jump;
+      addedPoints += jump;
+    }
+    if (entry.type === 'feed' && volume > 0) {
+      const sgBefore = isMeasured(entry.sgBefore) ? safeNum(entry.sgBefore) : currentSg;
+      const sgAfter = isMeasured(entry.sgAfter)
+        ? safeNum(entry.sgAfter)
+        : feedGravityJump({ sgBefore, volume, honeyKg: entry.honeyAmount, sugarPercent: entry.sugarPercent });
+
+      segments.push({ startSg: segmentStart, endSg: sgBefore });
+      feeds.push({ id: entry.id, date: entry.date, sgBefore, sgAfter });
+      addedPoints += sgAfter - sgBefore;
+      volume += safeNum(entry.honeyAmount) * HONEY_LITERS_PER_KG;
+      segmentStart = sgAfter;
+      currentSg = sgAfter;
+    }
+  });
+  segments.push({ startSg: segmentStart, endSg: currentSg });
+
+  return {
+    currentVolume: volume,
+    currentSg,
+    effectiveOg: getStartingGravity(batch) + addedPoints,
+    volumeLost,
+    segments,
+    feeds,
+    abv: segments.reduce((total, seg) => total + Math.max(0, abvFromGravity(seg.startSg, seg.endSg, abvMethod)), 0),
+  };
+};
+
+// The OG a reading taken at `date` is measured against: the starting gravity plus the sugar added by then
+export const getEffectiveOgAt = (batch, date) => getBatchProgress({
+  ...batch,
+  logs: (batch.logs || []).filter(entry => new Date(entry.date).getTime() <= new Date(date).getTime()),
+}).effectiveOg;
+
+// --- Dates ---
+// Date inputs hold local days (YYYY-MM-DD). `new Date('2024-03-05')` parses as UTC midnight, which is the
+// evening before west of UTC and puts an entry ahead of the readings taken earlier that same day.
+export const toDateInputValue = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// ISO string for a date input's value: an unchanged day keeps the entry's `previous` date and time,
+// today is the time now, and any other day is local midnight
+export const dateFromInput = (value, { previous = null, now = new Date() } = {}) => {
+  if (previous && value === toDateInputValue(new Date(previous))) return new Date(previous).toISOString();
+  if (value === toDateInputValue(now)) return now.toISOString();
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day).toISOString();
+};
+
+// --- Status History ---
+// Stored on the batch as `statusHistory`: [{ id, status, date }] oldest first, date an ISO string.
+// The first entry is the 'brewing' stage set when the batch is started.
+export const createStatusChange = (status, date = new Date().toISOString()) => ({
+  id: createLogId(),
+  status,
+  date,
+});
+
+// Batches started before status history only know their start date and current status.
+// The missing transition gets a null date until the user fills it in.
+// Oldest first, with undated entries last. Infinity - Infinity is NaN, so two undated entries compare equal.
+export const compareByDate = (a, b) => {
+  if (!a.date || !b.date) return (a.date ? 0 : 1) - (b.date ? 0 : 1);
+  return new Date(a.date).getTime() - new Date(b.date).getTime();
+};
+
+export const getStatusHistory = (batch, startDate) => {
+  if (batch.statusHistory && batch.statusHistory.length > 0) {
+    // An inferred transition saved with a null date stays after the dated ones (new Date(null) is 1970)
+    return [...batch.statusHistory].sort(compareByDate);
+  }
+  const history = [{ id: 'initial', status: 'brewing', date: startDate.toISOString() }];
+  if (batch.status && batch.status !== 'brewing') {
+    history.push({ id: 'inferred', status: batch.status, date: null });
+  }
+  return history;
+};
+
+// Days spent in each status plus total age since brew day. Each stage runs until the next
+// transition (or `now`); stages with an unknown start or end date make their total null.
+export const getBatchAges = (history, startDate, now = new Date()) => {
+  const daysIn = {};
+  history.forEach((entry, i) => {
+    const from = i === 0 ? startDate : (entry.date && new Date(entry.date));
+    const next = history[i + 1];
+    const to = next ? (next.date && new Date(next.date)) : now;
+    const days = from && to ? Math.max(0, daysBetween(from, to)) : null;
+    const previous = daysIn[entry.status] ?? 0;
+    daysIn[entry.status] = previous === null || days === null ? null : previous + days;
+  });
+
+  return {
+    totalDays: Math.max(0, daysBetween(startDate, now)),
+    primaryDays: 'brewing' in daysIn ? daysIn.brewing : 0,
+    agingDays: 'racked' in daysIn ? daysIn.racked : 0,
+  };
+};
+
+// --- Nutrient Schedule ---
+// Stored on the batch as `nutrientSchedule`:
+//   { nutrient, yanPpm, totalGrams, sugarBreakSg, additions: [{ id, label, hours, trigger, grams, done, doneDate }] }
+// TOSNA splits the Fermaid-O dose into four: 24, 48 and 72 hours after pitching, then the 1/3 sugar
+// break or day 7, whichever comes first.
+export const TOSNA_ADDITIONS = [
+  { label: '24 hours', hours: 24, trigger: 'time' },
+  { label: '48 hours', hours: 48, trigger: 'time' },
+  { label: '72 hours', hours: 72, trigger: 'time' },
+  { label: '1/3 sugar break', hours: 24 * 7, trigger: 'sugarBreak' },
+];
+
+export const createNutrientPlan = ({ og, fg = 1.000, volume, nutrientNeeds = 'medium' }) => {
+  const totalGrams = fermaidOGrams({ og, volume, nutrientNeeds });
+  return {
+    nutrient: 'Fermaid-O',
+    nutrientNeeds,
+    yanPpm: Math.round(yanRequirement(og, nutrientNeeds)),
+    totalGrams: Math.round(totalGrams * 10) / 10,
+    sugarBreakSg: sugarBreakGravity(og, fg).toFixed(3),
+    additions: TOSNA_ADDITIONS.map(step => ({
+      id: createLogId(),
+      ...step,
+      grams: Math.round((totalGrams / TOSNA_ADDITIONS.length) * 10) / 10,
+      done: false,
+      doneDate: null,
+    })),
+  };
+};
+
+// Due dates for each addition. The sugar-break addition falls due at the first reading at or below
+// `sugarBreakSg`, or at its fallback time if the log hasn't shown the break yet.
+export const getNutrientPlanStatus = (plan, { startDate, logs = [], now = new Date() }) => {
+  const breakReading = sortLogsChronologically(getReadings(logs))
+    .find(entry => safeNum(entry.sg) > 0 && safeNum(entry.sg) <= safeNum(plan.sugarBreakSg));
+  const sugarBreakDate = breakReading ? new Date(breakReading.date) : null;
+
+  return {
+    sugarBreakDate,
+    additions: plan.additions.map(addition => {
+      const fallback = new Date(startDate.getTime() + addition.hours * 60 * 60 * 1000);
+      const dueDate = addition.trigger === 'sugarBreak' && sugarBreakDate && sugarBreakDate < fallback
+        ? sugarBreakDate
+        : fallback;
+      let status = 'upcoming';
+      if (addition.done) status = 'done';
+      else if (dueDate <= now) status = 'due';
+      return { ...addition, dueDate, status };
+    }),
+  };
+};
+
+// --- Tasks ---
+// Stored on the batch as `tasks`: [{ id, type, title, dueDate, done, doneDate, note }], dates as ISO strings
+export const TASK_TYPES = {
+  reading: { label: 'Take Reading' },
+  degas: { label: 'Degas' },
+  rack: { label: 'Rack' },
+  taste: { label: 'Taste' },
+  bottle: { label: 'Bottle' },
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const addDays = (date, days) => new Date(date.getTime() + days * MS_PER_DAY);
+
+export const createTask = ({ type, title, dueDate, note = '' }) => ({
+  id: createLogId(),
+  type,
+  title: title || TASK_TYPES[type]?.label || type,
+  dueDate,
+  done: false,
+  doneDate: null,
+  note,
+});
+
+const latestEntry = (logs, type) => sortLogsChronologically(logs.filter(entry => entry.type === type)).pop() || null;
+
+// Tasks suggested from the batch's status and age. They have stable ids (`suggested:<type>`) and
+// disappear on their own once the work is logged or done as a task, the batch moves on, or a matching
+// task is open. Completing a suggestion saves a done task, which quiets that type for its interval.
+export const suggestTasks = (batch, startDate, now = new Date()) => {
+  const logs = batch.logs || [];
+  const status = batch.status || 'brewing';
+  const history = getStatusHistory(batch, startDate);
+  const ages = getBatchAges(history, startDate, now);
+  const stageStart = history[history.length - 1].date ? new Date(history[history.length - 1].date) : startDate;
+  const suggestions = [];
+  const suggest = (type, dueDate, reason) => suggestions.push({ id: `suggested:${type}`, type, title: TASK_TYPES[type].label, dueDate: dueDate.toISOString(), reason, suggested: true });
+
+  const latestDate = (...dates) => dates.filter(Boolean).sort((a, b) => a - b).pop() || null;
+  const lastDone = (type) => latestDate(...(batch.tasks || [])
+    .filter(task => task.type === type && task.done && task.doneDate)
+    .map(task => new Date(task.doneDate)));
+  const doneThisStage = (type) => (lastDone(type) || 0) >= stageStart;
+  const lastLogged = (type) => {
+    const entry = latestEntry(logs, type);
+    return entry ? new Date(entry.date) : null;
+  };
+
+  if (status === 'brewing') {
+    // Gravity every few days while fermenting
+    const readingDue = addDays(latestDate(lastLogged('reading'), lastDone('reading')) || startDate, 3);
+    if (readingDue <= addDays(now, 1)) suggest('reading', readingDue, 'No gravity reading in the last 3 days');
+
+    // Degas daily through the first week
+    const lastDegas = latestDate(lastLogged('degassing'), lastDone('degas'));
+    if (ages.totalDays < 7 && (!lastDegas || daysBetween(lastDegas, now) >= 1)) {
+      suggest('degas', now, 'Degas daily during the first week');
+    }
+
+    // Most meads are ready to come off the lees after about a month
+    if (ages.primaryDays !== null && ages.primaryDays >= 30 && !doneThisStage('rack')) suggest('rack', now, 'A month in primary');
+  }
+
+  if (status === 'racked') {
+    // Taste monthly while aging, and suggest bottling after three months
+    const lastTaste = lastDone('taste');
+    const tasteDue = addDays(lastTaste || stageStart, 30);
+    if (!lastTaste || tasteDue <= now) suggest('taste', tasteDue, 'Monthly tasting while aging');
+    if (ages.agingDays !== null && ages.agingDays >= 90 && !doneThisStage('bottle')) suggest('bottle', now, 'Three months of aging');
+  }
+
+  if (status === 'bottled' && !doneThisStage('taste')) {
+    suggest('taste', addDays(stageStart, 90), 'Three months in the bottle');
+  }
+
+  const openTypes = new Set((batch.tasks || []).filter(task => !task.done).map(task => task.type));
+  return suggestions.filter(task => !openTypes.has(task.type));
+};
+
+// Open work for a batch: its own tasks, nutrient additions, and suggestions, oldest due date first.
+// `kind` is 'task', 'nutrient' or 'suggested'.
+export const getOpenTasks = (batch, startDate, now = new Date()) => {
+  const tasks = (batch.tasks || [])
+    .filter(task => !task.done)
+    .map(task => ({ ...task, kind: 'task', dueDate: new Date(task.dueDate) }));
+
+  const nutrients = batch.nutrientSchedule
+    ? getNutrientPlanStatus(batch.nutrientSchedule, { startDate, logs: batch.logs || [], now }).additions
+        .filter(addition => !addition.done)
+        .map(addition => ({
+          id: addition.id,
+          kind: 'nutrient',
+          type: 'nutrient',
+          title: `${addition.grams} g ${batch.nutrientSchedule.nutrient} (${addition.label})`,
+          dueDate: addition.dueDate,
+        }))
+    : [];
+
+  const suggested = ['archived'].includes(batch.status)
+    ? []
+    : suggestTasks(batch, startDate, now).map(task => ({ ...task, kind: 'suggested', dueDate: new Date(task.dueDate) }));
+
+  return [...tasks, ...nutrients, ...suggested].sort((a, b) => a.dueDate - b.dueDate);
+};
+
+// 'overdue' (before today), 'today', or 'upcoming'
+export const taskUrgency = (dueDate, now = new Date()) => {
+  const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  if (dueDate < startOfToday) return 'overdue';
+  if (dueDate < addDays(startOfToday, 1)) return 'today';
+  return 'upcoming';
+};
+
+// --- Bottling & Inventory ---
+// Stored on the batch as:
+//   bottling:  { date, finalGravity, abv, bottles: [{ id, sizeMl, count }], carbonation, sweetness, note }
+//   bottleLog: [{ id, date, sizeMl, count, reason, note }] - bottles taken out of the inventory
+export const BOTTLE_SIZES = [187, 330, 375, 500, 750, 1000];
+
+export const CARBONATION_LEVELS = {
+  still: { label: 'Still' },
+  petillant: { label: 'Pétillant' },
+  sparkling: { label: 'Sparkling' },
+};
+
+export const BOTTLE_REMOVAL_REASONS = {
+  opened: { label: 'Opened' },
+  gifted: { label: 'Gifted' },
+  competition: { label: 'Competition' },
+  other: { label: 'Other' },
+};
+
+export const createBottleRow = (sizeMl = 750, count = '') => ({ id: createLogId(), sizeMl, count });
+
+export const createBottleRemoval = ({ sizeMl, count, reason = 'opened', note = '', date = new Date().toISOString() }) => ({
+  id: createLogId(),
+  date,
+  sizeMl: safeNum(sizeMl),
+  count: safeNum(count),
+  reason,
+  note,
+});
+
+// Bottles on hand per size: bottled minus everything removed since
+export const getBottleInventory = (batch) => {
+  const sizes = {};
+  (batch.bottling?.bottles || []).forEach(row => {
+    const size = safeNum(row.sizeMl);
+    sizes[size] = sizes[size] || { sizeMl: size, bottled: 0, removed: 0 };
+    sizes[size].bottled += safeNum(row.count);
+  });
+  (batch.bottleLog || []).forEach(entry => {
+    const size = safeNum(entry.sizeMl);
+    sizes[size] = sizes[size] || { sizeMl: size, bottled: 0, removed: 0 };
+    sizes[size].removed += safeNum(entry.count);
+  });
+
+  const bySize = Object.values(sizes)
+    .map(row => ({ ...row, onHand: Math.max(0, row.bottled - row.removed) }))
+    .sort((a, b) => a.sizeMl - b.sizeMl);
+
+  return {
+    bySize,
+    bottled: bySize.reduce((total, row) => total + row.bottled, 0),
+    onHand: bySize.reduce((total, row) => total + row.onHand, 0),
+    onHandLiters: bySize.reduce((total, row) => total + (row.onHand * row.sizeMl) / 1000, 0),
+  };
+};
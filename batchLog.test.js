@@ -0,0 +1,181 @@
+// Pins how the batch log is read back: volumes, gravities, status history and task suggestions
+import { describe, expect, it } from 'vitest';
+import {
+  compareByDate,
+  createLogEntry,
+  createTask,
+  dateFromInput,
+  getBatchAges,
+  getBatchProgress,
+  getEffectiveOgAt,
+  getStatusHistory,
+  suggestTasks,
+  toDateInputValue,
+} from './batchLog';
+
+const day = (n) => new Date(Date.UTC(2024, 0, n, 12)).toISOString();
+
+describe('getBatchProgress', () => {
+  it('measures racking losses from the recorded volume before', () => {
+    const batch = {
+      volume: 5,
+      calculatedOg: '1.100',
+      logs: [createLogEntry('racking', { date: day(10), volumeBefore: 4.6, volumeAfter: 4.2 })],
+    };
+    const progress = getBatchProgress(batch);
+    expect(progress.volumeLost).toBeCloseTo(0.4, 6);
+    expect(progress.currentVolume).toBe(4.2);
+  });
+
+  it('falls back to the running volume when the volume before is blank', () => {
+    const batch = {
+      volume: 5,
+      calculatedOg: '1.100',
+      logs: [createLogEntry('racking', { date: day(10), volumeBefore: '', volumeAfter: 4.5 })],
+    };
+    expect(getBatchProgress(batch).volumeLost).toBeCloseTo(0.5, 6);
+  });
+
+  it('raises the OG for readings taken after a sugar addition', () => {
+    const batch = {
+      volume: 5,
+      calculatedOg: '1.100',
+      logs: [createLogEntry('addition', { date: day(10), category: 'fruit', ingredient: 'Blueberry', amount: 2, unit: 'kg', sugarPercent: 14 })],
+    };
+    expect(getEffectiveOgAt(batch, day(5))).toBeCloseTo(1.100, 6);
+    expect(getEffectiveOgAt(batch, day(12))).toBeCloseTo(1.121, 3);
+  });
+
+  it('raises the OG for readings taken after a feed', () => {
+    const batch = {
+      volume: 5,
+      calculatedOg: '1.100',
+      logs: [createLogEntry('feed', { date: day(10), honeyAmount: 0.5, sugarPercent: 80, sgBefore: '1.020', sgAfter: '1.040' })],
+    };
+    expect(getEffectiveOgAt(batch, day(5))).toBeCloseTo(1.100, 6);
+    expect(getEffectiveOgAt(batch, day(12))).toBeCloseTo(1.120, 6);
+  });
+});
+
+describe('dateFromInput', () => {
+  const now = new Date(2024, 2, 5, 18, 30);
+
+  it('keeps the time now for today', () => {
+    expect(dateFromInput('2024-03-05', { now })).toBe(now.toISOString());
+  });
+
+  it('reads other days as local midnight', () => {
+    const date = new Date(dateFromInput('2024-03-01', { now }));
+    expect(toDateInputValue(date)).toBe('2024-03-01');
+    expect([date.getHours(), date.getMinutes()]).toEqual([0, 0]);
+  });
+
+  it("keeps an entry's own time while its day is unchanged", () => {
+    const previous = new Date(2024, 2, 1, 9, 15).toISOString();
+    expect(dateFromInput('2024-03-01', { previous, now })).toBe(previous);
+  });
+
+  it('logs a feed after the reading taken earlier the same day', () => {
+    const reading = createLogEntry('reading', { date: new Date(2024, 2, 5, 8).toISOString(), sg: '1.010' });
+    const batch = {
+      volume: 5,
+      calculatedOg: '1.100',
+      logs: [
+        createLogEntry('reading', { date: new Date(2024, 2, 4, 8).toISOString(), sg: '1.040' }),
+        reading,
+        createLogEntry('feed', { date: dateFromInput('2024-03-05', { now }), honeyAmount: 0.5, sugarPercent: 80, sgBefore: '', sgAfter: '' }),
+      ],
+    };
+    expect(getBatchProgress(batch).feeds[0].sgBefore).toBe(1.010);
+  });
+});
+
+describe('status history', () => {
+  const startDate = new Date(2024, 0, 1);
+  const now = new Date(2024, 5, 1);
+
+  it('keeps a saved transition with an unknown date last', () => {
+    const batch = {
+      status: 'racked',
+      statusHistory: [
+        { id: 'inferred', status: 'racked', date: null },
+        { id: 'initial', status: 'brewing', date: startDate.toISOString() },
+      ],
+    };
+    const history = getStatusHistory(batch, startDate);
+    expect(history.map(change => change.status)).toEqual(['brewing', 'racked']);
+
+    const ages = getBatchAges(history, startDate, now);
+    expect(ages.primaryDays).toBeNull();
+    expect(ages.agingDays).toBeNull();
+  });
+
+  it('keeps the saved order of transitions that both have an unknown date', () => {
+    const batch = {
+      status: 'bottled',
+      statusHistory: [
+        { id: 'a', status: 'racked', date: null },
+        { id: 'initial', status: 'brewing', date: startDate.toISOString() },
+        { id: 'b', status: 'bottled', date: null },
+      ],
+    };
+    expect(getStatusHistory(batch, startDate).map(change => change.status)).toEqual(['brewing', 'racked', 'bottled']);
+    expect(compareByDate({ date: null }, { date: null })).toBe(0);
+  });
+});
+
+describe('suggestTasks', () => {
+  const startDate = new Date(2024, 0, 1);
+  const completed = (suggestion, doneDate) => ({
+    ...createTask({ type: suggestion.type, dueDate: suggestion.dueDate }),
+    done: true,
+    doneDate: doneDate.toISOString(),
+  });
+  const types = (batch, now) => suggestTasks(batch, startDate, now).map(task => task.type);
+
+  it('stops suggesting a reading once the suggestion is completed', () => {
+    const now = new Date(2024, 0, 20);
+    const batch = { status: 'brewing', logs: [], tasks: [] };
+    const [reading] = suggestTasks(batch, startDate, now);
+    expect(reading.type).toBe('reading');
+
+    batch.tasks = [completed(reading, now)];
+    expect(types(batch, now)).toEqual([]);
+    expect(types(batch, new Date(2024, 0, 23))).toEqual(['reading']);
+  });
+
+  it('suggests tasting a bottled batch once per stage', () => {
+    const bottledOn = new Date(2024, 2, 1);
+    const now = new Date(2024, 5, 15);
+    const batch = {
+      status: 'bottled',
+      statusHistory: [
+        { id: 'a', status: 'brewing', date: startDate.toISOString() },
+        { id: 'b', status: 'bottled', date: bottledOn.toISOString() },
+      ],
+      tasks: [],
+    };
+    const [taste] = suggestTasks(batch, startDate, now);
+    expect(taste.type).toBe('taste');
+
+    batch.tasks = [completed(taste, now)];
+    expect(types(batch, new Date(2024, 8, 1))).toEqual([]);
+  });
+
+  it('waits a month between tastings while aging', () => {
+    const rackedOn = new Date(2024, 1, 1);
+    const batch = {
+      status: 'racked',
+      statusHistory: [
+        { id: 'a', status: 'brewing', date: startDate.toISOString() },
+        { id: 'b', status: 'racked', date: rackedOn.toISOString() },
+      ],
+      tasks: [],
+    };
+    const tastedOn = new Date(2024, 2, 5);
+    const [taste] = suggestTasks(batch, startDate, tastedOn);
+    batch.tasks = [completed(taste, tastedOn)];
+    expect(types(batch, new Date(2024, 2, 20))).toEqual([]);
+    expect(types(batch, new Date(2024, 3, 10))).toEqual(['taste']);
+  });
+});
@@ -0,0 +1,402 @@
+// --- Brewing Math ---
+// Headless gravity/ABV formulas shared by the Calculator, Batches and BatchDetail views.
+// No React or Firebase imports here so scripts can use the exact same numbers as the UI.
+
+export const HONEY_PPG = 35; // Points per Pound per Gallon
+export const SUCROSE_PPG = 46; // Pure sugar PPG (used to calc fruit contribution)
+
+// Conversion Factors
+export const LITERS_TO_GAL = 0.264172;
+export const KG_TO_LBS = 2.20462;
+
+// Helper to safely get numeric values from state strings/numbers
+export const safeNum = (val) => (val === '' ? 0 : parseFloat(val) || 0);
+
+// --- Unit Conversion ---
+export const litersToGallons = (liters) => safeNum(liters) * LITERS_TO_GAL;
+export const gallonsToLiters = (gallons) => safeNum(gallons) / LITERS_TO_GAL;
+export const kgToLbs = (kg) => safeNum(kg) * KG_TO_LBS;
+export const lbsToKg = (lbs) => safeNum(lbs) / KG_TO_LBS;
+
+// --- Gravity & ABV ---
+// Degrees Plato from specific gravity (used by the Balling-based formula)
+export const sgToPlato = (sg) => {
+  const g = safeNum(sg);
+  return -616.868 + (1111.14 * g) - (630.272 * g * g) + (135.997 * g * g * g);
+};
+
+// Selectable ABV estimation methods. 'simple' underestimates high-gravity meads, where the others do better.
+export const ABV_FORMULAS = {
+  simple: {
+    label: 'Simple',
+    description: '(OG - FG) × 131.25',
+    calc: (og, fg) => (og - fg) * 131.25,
+  },
+  alternate: {
+    label: 'Alternate (High Gravity)',
+    description: '76.08 × (OG - FG) / (1.775 - OG) × FG / 0.794',
+    calc: (og, fg) => (76.08 * (og - fg) / (1.775 - og)) * (fg / 0.794),
+  },
+  balling: {
+    label: 'Balling',
+    description: 'Plato-based, via real extract',
+    calc: (og, fg) => {
+      const originalExtract = sgToPlato(og);
+      const realExtract = (0.1808 * originalExtract) + (0.8192 * sgToPlato(fg));
+      const abw = (originalExtract - realExtract) / (2.0665 - (0.010665 * originalExtract));
+      return abw * (fg / 0.791);
+    },
+  },
+};
+export const DEFAULT_ABV_FORMULA = 'simple';
+
+const getAbvFormula = (method) => ABV_FORMULAS[method] || ABV_FORMULAS[DEFAULT_ABV_FORMULA];
+
+// Numeric ABV for the chosen method
+export const abvFromGravity = (og, fg, method = DEFAULT_ABV_FORMULA) => getAbvFormula(method).calc(safeNum(og), safeNum(fg));
+
+export const sgToAbv = (og, fg, method = DEFAULT_ABV_FORMULA) => abvFromGravity(og, fg, method).toFixed(1);
+
+// Bisection for the formulas with no closed-form inverse; fn must be monotonic over [lo, hi]
+const solveFor = (fn, target, lo, hi) => {
+  let low = lo;
+  let high = hi;
+  const increasing = fn(hi) > fn(lo);
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    if ((fn(mid) < target) === increasing) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return (low + high) / 2;
+};
+
+// OG needed to reach an ABV when fermented down to fg (dry by default)
+export const abvToOg = (abv, method = DEFAULT_ABV_FORMULA, fg = 1.000) => {
+  if (!ABV_FORMULAS[method] || method === 'simple') return fg + (abv / 131.25);
+  return solveFor((og) => abvFromGravity(og, fg, method), safeNum(abv), fg, fg + 0.5);
+};
+
+// FG at which a must of the given OG has produced the given ABV
+export const abvToFg = (og, abv, method = DEFAULT_ABV_FORMULA) => {
+  if (!ABV_FORMULAS[method] || method === 'simple') return og - (abv / 131.25);
+  return solveFor((fg) => abvFromGravity(og, fg, method), safeNum(abv), og - 0.5, og);
+};
+
+// Gravity points (e.g. 1.090 -> 90) spread over a volume give total points, and back again
+export const ogToPoints = (og, volLiters) => (safeNum(og) - 1) * 1000 * litersToGallons(volLiters);
+export const pointsToOg = (totalPoints, volLiters) => {
+  const volGal = litersToGallons(volLiters);
+  const gravityPoints = volGal > 0 ? totalPoints / volGal : 0;
+  return 1 + (gravityPoints / 1000);
+};
+
+// --- Fermentable Contributions ---
+// HONEY_PPG is the classic figure for a generic honey of this sugar content; other varieties scale from it
+export const REFERENCE_HONEY_SUGAR = 80; // % sugar by weight
+
+export const honeyPpg = (sugarPercent = REFERENCE_HONEY_SUGAR) => HONEY_PPG * (safeNum(sugarPercent) / REFERENCE_HONEY_SUGAR);
+
+export const honeyPoints = (honeyKg, sugarPercent = REFERENCE_HONEY_SUGAR) => kgToLbs(honeyKg) * honeyPpg(sugarPercent);
+
+// Recipes saved before honey varieties only have a single honeyAmount, which is treated as generic honey
+export const normalizeHoneys = ({ honeys, honeyAmount } = {}) => (
+  honeys && honeys.length > 0
+    ? honeys
+    : [{ amount: safeNum(honeyAmount), sugarPercent: REFERENCE_HONEY_SUGAR }]
+);
+
+export const honeysPoints = (honeys = []) => honeys.reduce((acc, h) => acc + honeyPoints(h.amount, h.sugarPercent), 0);
+
+export const totalHoneyKg = (honeys = []) => honeys.reduce((acc, h) => acc + safeNum(h.amount), 0);
+
+export const fruitPoints = (fruits = []) => fruits.reduce((acc, f) => {
+  const fruitLbs = kgToLbs(f.amount);
+  const sugarPct = safeNum(f.sugarPercent) / 100;
+
+  // Logic: Total Fruit Weight * Sugar % = Pure Sugar Weight
+  // Pure Sugar Weight * 46 (PPG of sucrose) = Points
+  const ppgContribution = SUCROSE_PPG * sugarPct;
+
+  return acc + (fruitLbs * ppgContribution);
+}, 0);
+
+// Have Volume + Ingredients -> OG
+export const predictOg = ({ volume, honeyAmount, honeys, fruits = [] }) => {
+  const totalPoints = honeysPoints(normalizeHoneys({ honeys, honeyAmount })) + fruitPoints(fruits);
+  return pointsToOg(totalPoints, volume);
+};
+
+// Have Volume + Target ABV (+ optional fruit) -> Honey (kg) of the given variety still needed to hit the target dry
+export const honeyNeeded = ({ volume, targetAbv, fruits = [], honeySugarPercent = REFERENCE_HONEY_SUGAR, abvMethod = DEFAULT_ABV_FORMULA }) => {
+  const targetOg = abvToOg(safeNum(targetAbv), abvMethod);
+  const totalPointsNeeded = ogToPoints(targetOg, volume);
+  const fruitPointsTotal = fruitPoints(fruits);
+  const honeyPointsNeeded = totalPointsNeeded - fruitPointsTotal;
+
+  return {
+    og: targetOg,
+    honeyKg: Math.max(0, lbsToKg(honeyPointsNeeded / honeyPpg(honeySugarPercent))),
+    totalPoints: totalPointsNeeded,
+    fruitPoints: fruitPointsTotal,
+    fruitOg: pointsToOg(fruitPointsTotal, volume),
+    // Fruit alone already exceeds the target, so the honey figure is clamped to zero
+    fruitOvershoot: fruitPointsTotal > totalPointsNeeded,
+  };
+};
+
+// --- Yeast & Final Gravity ---
+// Sweetness bands by final gravity (upper bound inclusive)
+export const SWEETNESS_LEVELS = [
+  { label: 'Dry', maxFg: 1.006 },
+  { label: 'Semi-Sweet', maxFg: 1.015 },
+  { label: 'Sweet', maxFg: 1.025 },
+  { label: 'Dessert', maxFg: Infinity },
+];
+
+export const sweetnessLevel = (fg) => SWEETNESS_LEVELS.find(l => safeNum(fg) <= l.maxFg).label;
+
+// Fermentation stops at whichever comes first: the yeast's attenuation or its alcohol tolerance.
+// Without a yeast we keep the old assumption of fermenting to dry (1.000).
+export const predictFinalGravity = ({ og, yeast, abvMethod = DEFAULT_ABV_FORMULA }) => {
+  const ogNum = safeNum(og);
+  if (!yeast) {
+    return { fg: 1.000, toleranceExceeded: false };
+  }
+
+  const attenuation = safeNum(yeast.attenuation || 100) / 100;
+  const fgByAttenuation = 1 + (ogNum - 1) * (1 - attenuation);
+  // A blank tolerance means "no limit"
+  const fgAtTolerance = yeast.tolerance ? abvToFg(ogNum, safeNum(yeast.tolerance), abvMethod) : -Infinity;
+
+  return {
+    fg: Math.max(fgByAttenuation, fgAtTolerance),
+    toleranceExceeded: fgAtTolerance > fgByAttenuation,
+  };
+};
+
+// Full Calculator result for a recipe, formatted the way the UI displays and stores it
+export const calculateRecipe = ({ mode, volume, targetAbv, honeyAmount, honeys, fruits = [], yeast = null, abvMethod = DEFAULT_ABV_FORMULA }) => {
+  if (mode === 'target') {
+    // Target mode solves for the first (primary) honey variety
+    const honeySugarPercent = normalizeHoneys({ honeys, honeyAmount })[0].sugarPercent;
+    const { og, honeyKg, totalPoints, fruitOg, fruitOvershoot } = honeyNeeded({ volume, targetAbv, fruits, honeySugarPercent, abvMethod });
+    const { fg, toleranceExceeded } = predictFinalGravity({ og, yeast, abvMethod });
+    return {
+      og: og.toFixed(3),
+      honeyNeeded: honeyKg.toFixed(2), // Returns kg
+      totalPoints,
+      fruitOg: fruitOg.toFixed(3),
+      fruitOvershoot,
+      fg: fg.toFixed(3),
+      predictedAbv: sgToAbv(og, fg, abvMethod),
+      sweetness: sweetnessLevel(fg),
+      toleranceExceeded,
+    };
+  }
+
+  const estimatedOg = predictOg({ volume, honeyAmount, honeys, fruits });
+  const { fg, toleranceExceeded } = predictFinalGravity({ og: estimatedOg, yeast, abvMethod });
+  return {
+    og: estimatedOg.toFixed(3),
+    abv: sgToAbv(estimatedOg, fg, abvMethod), // Dry (1.000) unless a yeast is selected
+    fg: fg.toFixed(3),
+    sweetness: sweetnessLevel(fg),
+    toleranceExceeded,
+  };
+};
+
+// --- Unit Systems ---
+// Recipes and batches are always stored in metric (liters / kg / °C); the unit system only affects input and display.
+export const UNIT_SYSTEMS = {
+  metric: { name: 'Metric', volume: 'L', mass: 'kg', temperature: '°C', litersPerVolume: 1, kgPerMass: 1 },
+  us: { name: 'US', volume: 'gal', mass: 'lb', temperature: '°F', litersPerVolume: 1 / LITERS_TO_GAL, kgPerMass: 1 / KG_TO_LBS },
+  imperial: { name: 'Imperial', volume: 'imp gal', mass: 'lb', temperature: '°C', litersPerVolume: 4.54609, kgPerMass: 1 / KG_TO_LBS },
+};
+export const DEFAULT_UNIT_SYSTEM = 'metric';
+
+export const getUnitSystem = (units) => UNIT_SYSTEMS[units] || UNIT_SYSTEMS[DEFAULT_UNIT_SYSTEM];
+
+// Rounds away floating point noise for display/input (e.g. 4.99997 -> 5)
+export const roundTo = (value, digits = 2) => parseFloat(safeNum(value).toFixed(digits));
+
+export const volumeToDisplay = (liters, units) => safeNum(liters) / getUnitSystem(units).litersPerVolume;
+export const volumeFromDisplay = (value, units) => safeNum(value) * getUnitSystem(units).litersPerVolume;
+export const massToDisplay = (kg, units) => safeNum(kg) / getUnitSystem(units).kgPerMass;
+export const massFromDisplay = (value, units) => safeNum(value) * getUnitSystem(units).kgPerMass;
+
+const isFahrenheit = (units) => getUnitSystem(units).temperature === '°F';
+export const celsiusToFahrenheit = (c) => (safeNum(c) * 9 / 5) + 32;
+export const fahrenheitToCelsius = (f) => (safeNum(f) - 32) * 5 / 9;
+export const temperatureToDisplay = (celsius, units) => (isFahrenheit(units) ? celsiusToFahrenheit(celsius) : safeNum(celsius));
+export const temperatureFromDisplay = (value, units) => (isFahrenheit(units) ? fahrenheitToCelsius(value) : safeNum(value));
+
+export const formatVolume = (liters, units, digits = 2) => `${roundTo(volumeToDisplay(liters, units), digits)} ${getUnitSystem(units).volume}`;
+export const formatMass = (kg, units, digits = 2) => `${roundTo(massToDisplay(kg, units), digits)} ${getUnitSystem(units).mass}`;
+export const formatTemperature = (celsius, units, digits = 0) => `${roundTo(temperatureToDisplay(celsius, units), digits)}${getUnitSystem(units).temperature}`;
+
+// --- Fermentation Analysis ---
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export const daysBetween = (start, end) => (end.getTime() - start.getTime()) / MS_PER_DAY;
+
+// Apparent attenuation: share of the original gravity points that have fermented out
+export const apparentAttenuation = (og, sg) => {
+  const ogNum = safeNum(og);
+  return ogNum > 1 ? ((ogNum - safeNum(sg)) / (ogNum - 1)) * 100 : 0;
+};
+
+// Curve of { day, sg, abv, attenuation } points, starting with the OG as day zero. Feed points
+// (at the post-feed gravity) are flagged `isFeed`.
+// readings: [{ date: Date, sg }] (any order)
+// Step feeds ({ date, sgBefore, sgAfter }) start a new segment: ABV carries over from the earlier
+// segments and attenuation restarts from the post-feed gravity.
+export const buildFermentationCurve = ({ og, startDate, readings = [], feeds = [], abvMethod = DEFAULT_ABV_FORMULA }) => {
+  const dayOf = (date) => Math.max(0, daysBetween(startDate, date));
+  const events = [
+    ...readings.map(r => ({ day: dayOf(r.date), sg: safeNum(r.sg) })),
+    ...feeds.map(f => ({ day: dayOf(f.date), sg: safeNum(f.sgAfter), sgBefore: safeNum(f.sgBefore), isFeed: true })),
+  ].sort((a, b) => a.day - b.day);
+
+  let segmentStart = safeNum(og);
+  let priorAbv = 0;
+  const toPoint = (day, sg) => ({
+    day,
+    sg: safeNum(sg),
+    abv: priorAbv + abvFromGravity(segmentStart, sg, abvMethod),
+    attenuation: apparentAttenuation(segmentStart, sg),
+  });
+
+  const points = [toPoint(0, og)];
+  events.forEach(event => {
+    if (event.isFeed) {
+      priorAbv += Math.max(0, abvFromGravity(segmentStart, event.sgBefore, abvMethod));
+      segmentStart = event.sg;
+      points.push({ ...toPoint(event.day, event.sg), isFeed: true });
+    } else {
+      points.push(toPoint(event.day, event.sg));
+    }
+  });
+  return points;
+};
+
+export const FERMENTATION_DEFAULTS = {
+  stallReadings: 3, // Consecutive readings that must show no meaningful drop
+  stallDrop: 0.002, // "Meaningful" drop across those readings
+  fgMargin: 0.005, // How far above expected FG still counts as finished
+  stableWindowDays: 7, // Readings must hold steady across this many days
+  stableTolerance: 0.001, // Max spread between readings in the window
+};
+
+// Classifies a curve as 'waiting' (not enough readings), 'active', 'stalled' or 'stable' (terminal gravity).
+// expectedFg defaults to dry, matching the Calculator's assumption without a yeast.
+export const analyzeFermentation = (points, { expectedFg = 1.000, ...options } = {}) => {
+  const opts = { ...FERMENTATION_DEFAULTS, ...options };
+  const readings = points.slice(1); // Drop the day-zero OG point
+  const latest = readings[readings.length - 1];
+
+  if (!latest) {
+    return { status: 'waiting', message: 'Add gravity readings to track fermentation.' };
+  }
+
+  const aboveExpected = latest.sg > safeNum(expectedFg) + opts.fgMargin;
+  // A feed restarts fermentation, so the stall and stable windows only look at readings since the last one
+  const sinceFeed = readings.slice(readings.findLastIndex(r => r.isFeed) + 1);
+
+  // Stall: the last few readings barely moved while still short of the expected FG
+  const recent = sinceFeed.slice(-opts.stallReadings);
+  if (recent.length === opts.stallReadings && aboveExpected) {
+    const drop = recent[0].sg - latest.sg;
+    if (drop < opts.stallDrop) {
+      return {
+        status: 'stalled',
+        message: `No meaningful drop over the last ${recent.length} readings, still above the expected FG of ${safeNum(expectedFg).toFixed(3)}.`,
+        sinceDay: recent[0].day,
+      };
+    }
+  }
+
+  // Terminal gravity: consistent readings spanning the whole window
+  const windowReadings = sinceFeed.filter(r => r.day >= latest.day - opts.stableWindowDays);
+  const span = windowReadings.length > 0 ? latest.day - windowReadings[0].day : 0;
+  const sgs = windowReadings.map(r => r.sg);
+  const spread = Math.max(...sgs) - Math.min(...sgs);
+  if (windowReadings.length >= 2 && span >= opts.stableWindowDays && spread <= opts.stableTolerance && !aboveExpected) {
+    return {
+      status: 'stable',
+      message: `Gravity has held at ${latest.sg.toFixed(3)} for ${Math.round(span)} days. Safe to rack or bottle.`,
+      sinceDay: windowReadings[0].day,
+    };
+  }
+
+  return { status: 'active', message: 'Fermentation is progressing.' };
+};
+
+// --- Refractometer ---
+// Refractometers read the must in °Brix. The wort correction factor (WCF) calibrates a refractometer
+// against a hydrometer, and once alcohol is present the reading needs Sean Terrill's cubic correction.
+export const DEFAULT_WORT_CORRECTION_FACTOR = 1.04;
+
+export const brixToSg = (brix) => {
+  const b = safeNum(brix);
+  return 1 + (b / (258.6 - ((b / 258.2) * 227.1)));
+};
+
+export const sgToBrix = (sg) => sgToPlato(sg);
+
+// Returns the uncorrected SG the Brix reading implies and the alcohol-corrected SG, given the batch OG
+export const correctRefractometerReading = ({ og, brix, wcf = DEFAULT_WORT_CORRECTION_FACTOR }) => {
+  const factor = safeNum(wcf) || 1;
+  const fb = safeNum(brix) / factor;
+  const ob = sgToBrix(og);
+  const rawSg = brixToSg(fb);
+
+  // Nothing has fermented yet, so there's no alcohol to correct for
+  if (fb >= ob) {
+    return { rawSg, sg: rawSg };
+  }
+
+  const sg = 1.0000
+    - (0.0044993 * ob) + (0.011774 * fb)
+    + (0.00027581 * ob * ob) - (0.0012717 * fb * fb)
+    - (0.0000072800 * ob * ob * ob) + (0.000063293 * fb * fb * fb);
+  // Alcohol only ever inflates the reading; the cubic overshoots for barely-fermented samples
+  return { rawSg, sg: Math.min(sg, rawSg) };
+};
+
+// --- Hydrometer Temperature Correction ---
+// Hydrometers are calibrated at one temperature (commonly 20°C or 60°F); warmer samples read low.
+export const DEFAULT_HYDROMETER_CALIBRATION_TEMP = 20; // °C
+
+// Relative density of water by temperature (°F), the standard homebrew polynomial
+const waterDensityFactor = (tempF) => (
+  1.00130346
+  - (0.000134722124 * tempF)
+  + (0.00000204052596 * tempF * tempF)
+  - (0.00000000232820948 * tempF * tempF * tempF)
+);
+
+// Temperatures in °C; returns the SG the sample would read at the calibration temperature
+export const correctHydrometerTemperature = ({ sg, sampleTemp, calibrationTemp = DEFAULT_HYDROMETER_CALIBRATION_TEMP }) => (
+  safeNum(sg) * (waterDensityFactor(celsiusToFahrenheit(sampleTemp)) / waterDensityFactor(celsiusToFahrenheit(calibrationTemp)))
+);
+
+// --- Nutrients (TOSNA) ---
+// Target YAN (ppm) is Brix x 10 x a multiplier for the yeast's nitrogen needs
+export const NITROGEN_FACTORS = { low: 0.75, medium: 0.9, high: 1.25 };
+
+// Fermaid-O at 1 g/gal supplies ~10 ppm YAN, but organic nitrogen is used ~4x as efficiently
+export const FERMAID_O_YAN_PER_GRAM_GALLON = 40;
+
+export const yanRequirement = (og, nutrientNeeds = 'medium') => (
+  Math.max(0, sgToPlato(og)) * 10 * (NITROGEN_FACTORS[nutrientNeeds] || NITROGEN_FACTORS.medium)
+);
+
+export const fermaidOGrams = ({ og, volume, nutrientNeeds }) => (
+  (yanRequirement(og, nutrientNeeds) / FERMAID_O_YAN_PER_GRAM_GALLON) * litersToGallons(volume)
+);
+
+// Gravity once a third of the fermentable sugar is gone (measured against the expected FG)
+export const sugarBreakGravity = (og, fg = 1.000) => safeNum(og) - (safeNum(og) - safeNum(fg)) / 3;
@@ -0,0 +1,124 @@
+// Pins the Calculator's results so changes to the math show up as test failures
+import { describe, expect, it } from 'vitest';
+import {
+  abvToOg,
+  analyzeFermentation,
+  buildFermentationCurve,
+  calculateRecipe,
+  honeyNeeded,
+  predictFinalGravity,
+  predictOg,
+  sgToAbv,
+} from './brewMath';
+
+const wildflower = (amount) => ({ name: 'Wildflower', amount, sugarPercent: 80 });
+
+describe('target mode', () => {
+  it('finds the honey for 5 L at 12% ABV', () => {
+    const result = calculateRecipe({ mode: 'target', volume: 5, targetAbv: 12, honeys: [wildflower(1.5)] });
+    expect(result.og).toBe('1.091');
+    expect(result.honeyNeeded).toBe('1.57');
+    expect(result.fg).toBe('1.000');
+    expect(result.predictedAbv).toBe('12.0');
+    expect(result.sweetness).toBe('Dry');
+  });
+
+  it('needs less honey when fruit adds sugar', () => {
+    const fruits = [{ name: 'Blueberry', amount: 2, sugarPercent: 14 }];
+    const withFruit = honeyNeeded({ volume: 5, targetAbv: 12, fruits });
+    expect(withFruit.honeyKg.toFixed(2)).toBe('1.20');
+    expect(withFruit.fruitOg.toFixed(3)).toBe('1.021');
+    expect(withFruit.fruitOvershoot).toBe(false);
+  });
+
+  it('clamps the honey to zero when fruit alone passes the target', () => {
+    const result = honeyNeeded({ volume: 5, targetAbv: 2, fruits: [{ name: 'Grape', amount: 10, sugarPercent: 16 }] });
+    expect(result.honeyKg).toBe(0);
+    expect(result.fruitOvershoot).toBe(true);
+  });
+
+  it('solves for the primary honey variety', () => {
+    const result = calculateRecipe({ mode: 'target', volume: 5, targetAbv: 12, honeys: [{ name: 'Sugary', amount: 1, sugarPercent: 84 }, wildflower(1)] });
+    expect(result.honeyNeeded).toBe('1.49');
+  });
+
+  it("predicts the ABV the yeast's tolerance allows, not the target", () => {
+    const yeast = { name: 'Lalvin 71B', attenuation: 100, tolerance: 14 };
+    const result = calculateRecipe({ mode: 'target', volume: 5, targetAbv: 16, honeys: [wildflower(1)], yeast });
+    expect(result.og).toBe('1.122');
+    expect(result.predictedAbv).toBe('14.0');
+    expect(result.toleranceExceeded).toBe(true);
+  });
+});
+
+describe('ingredients mode', () => {
+  it('predicts OG and ABV for 1.5 kg honey and 2 kg fruit in 5 L', () => {
+    const result = calculateRecipe({
+      mode: 'ingredients',
+      volume: 5,
+      honeys: [wildflower(1.5)],
+      fruits: [{ name: 'Blueberry', amount: 2, sugarPercent: 14 }],
+    });
+    expect(result.og).toBe('1.109');
+    expect(result.abv).toBe('14.3');
+    expect(result.fg).toBe('1.000');
+  });
+
+  it('adds up several honey varieties', () => {
+    const result = calculateRecipe({ mode: 'ingredients', volume: 10, honeys: [wildflower(1.5), wildflower(2)] });
+    expect(result.og).toBe('1.102');
+    expect(result.abv).toBe('13.4');
+  });
+
+  it('still reads the single honeyAmount of older recipes', () => {
+    expect(predictOg({ volume: 10, honeyAmount: 3.5 })).toBeCloseTo(predictOg({ volume: 10, honeys: [wildflower(3.5)] }), 10);
+  });
+
+  it("stops at the yeast's alcohol tolerance", () => {
+    const yeast = { name: 'Lalvin 71B', attenuation: 100, tolerance: 14 };
+    const result = calculateRecipe({ mode: 'ingredients', volume: 5, honeys: [wildflower(2.5)], yeast });
+    expect(result.og).toBe('1.146');
+    expect(result.abv).toBe('14.0');
+    expect(result.fg).toBe('1.039');
+    expect(result.sweetness).toBe('Dessert');
+    expect(result.toleranceExceeded).toBe(true);
+  });
+});
+
+describe('gravity and ABV', () => {
+  it('converts between ABV and gravity', () => {
+    expect(sgToAbv(1.100, 1.000)).toBe('13.1');
+    expect(abvToOg(13.125)).toBeCloseTo(1.100, 6);
+  });
+
+  it('ferments to dry without a yeast', () => {
+    expect(predictFinalGravity({ og: 1.100, yeast: null })).toEqual({ fg: 1.000, toleranceExceeded: false });
+  });
+});
+
+describe('fermentation status', () => {
+  const startDate = new Date(2024, 0, 1);
+  const onDay = (day) => new Date(2024, 0, 1 + day, 12);
+  const curve = (readings, feeds = []) => buildFermentationCurve({
+    og: 1.100,
+    startDate,
+    readings: readings.map(([day, sg]) => ({ date: onDay(day), sg })),
+    feeds: feeds.map(([day, sgBefore, sgAfter]) => ({ date: onDay(day), sgBefore, sgAfter })),
+  });
+
+  it('flags readings that stopped dropping above the expected FG', () => {
+    const points = curve([[2, 1.060], [4, 1.030], [6, 1.030], [8, 1.029]]);
+    expect(analyzeFermentation(points).status).toBe('stalled');
+  });
+
+  it("doesn't count readings before a feed toward a stall", () => {
+    const points = curve([[2, 1.060], [4, 1.030], [6, 1.030], [8, 1.020]], [[6.5, 1.030, 1.020]]);
+    expect(analyzeFermentation(points).status).toBe('active');
+  });
+
+  it('waits for fresh readings after a feed before calling terminal gravity', () => {
+    const readings = [[10, 1.000], [11, 1.000], [18, 1.000]];
+    expect(analyzeFermentation(curve(readings)).status).toBe('stable');
+    expect(analyzeFermentation(curve(readings, [[12, 1.000, 1.000]])).status).toBe('active');
+  });
+});
@@ -0,0 +1,107 @@
+// --- Shared Cellars ---
+// A shared cellar holds recipes and batches for a group (a brewing club) alongside each member's own
+// cellar. Its record lists the members and pending invitations:
+//   { name, ownerId, members: { [uid]: { role, email } }, memberIds, invites: { [email]: role }, invitedEmails }
+// memberIds and invitedEmails mirror the map keys so backends can query them; the helpers below keep
+// their order, since firestore.rules checks members and invitees change them one entry at a time. The
+// helpers return the fields to pass to updateCellar. Like account.js, no React or Firebase imports here.
+
+// Each role can do everything the ones before it can
+export const CELLAR_ROLES = {
+  viewer: { label: 'Viewer', description: 'Sees the recipes and batches', canLog: false, canEdit: false },
+  brewer: { label: 'Brewer', description: 'Also records log entries on batches', canLog: true, canEdit: false },
+  admin: { label: 'Admin', description: 'Also edits recipes and batches and manages members', canLog: true, canEdit: true },
+};
+
+export const DEFAULT_INVITE_ROLE = 'brewer';
+
+const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+// What `uid` may do in `cellar`; everything is false for non-members
+export const getCellarAccess = (cellar, uid) => {
+  const role = cellar?.members?.[uid]?.role || null;
+  const config = CELLAR_ROLES[role];
+  return {
+    role,
+    canView: Boolean(config),
+    canLog: Boolean(config?.canLog),
+    canEdit: Boolean(config?.canEdit),
+    isOwner: Boolean(config) && cellar.ownerId === uid,
+  };
+};
+
+// The role `user` has been invited with, or null. Invitations go by email, so only a verified
+// address can see or answer one.
+export const getInvitation = (cellar, user) => (
+  (user?.email && user.emailVerified && cellar?.invites?.[normalizeEmail(user.email)]) || null
+);
+
+export const isCellarVisibleTo = (cellar, user) => Boolean(
+  user && (cellar.memberIds?.includes(user.uid) || getInvitation(cellar, user))
+);
+
+// The creator owns the cellar and is its first admin
+export const createCellarRecord = (name, user) => ({
+  name: name.trim(),
+  ownerId: user.uid,
+  members: { [user.uid]: { role: 'admin', email: user.email ? normalizeEmail(user.email) : null } },
+  memberIds: [user.uid],
+  invites: {},
+  invitedEmails: [],
+});
+
+const without = (map, key) => Object.fromEntries(Object.entries(map || {}).filter(([k]) => k !== key));
+const withKey = (list = [], key) => (list.includes(key) ? list : [...list, key]);
+
+const withMember = (cellar, uid, member) => ({
+  members: { ...cellar.members, [uid]: member },
+  memberIds: withKey(cellar.memberIds, uid),
+});
+const withoutMember = (cellar, uid) => ({
+  members: without(cellar.members, uid),
+  memberIds: (cellar.memberIds || []).filter(id => id !== uid),
+});
+const withInvite = (cellar, email, role) => ({
+  invites: { ...cellar.invites, [email]: role },
+  invitedEmails: withKey(cellar.invitedEmails, email),
+});
+const withoutInvite = (cellar, email) => ({
+  invites: without(cellar.invites, email),
+  invitedEmails: (cellar.invitedEmails || []).filter(address => address !== email),
+});
+
+// Returns a list of problems with inviting `email`
+export const validateInvite = (cellar, email) => {
+  const address = normalizeEmail(email);
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) return ['Enter a valid email address.'];
+  if (Object.values(cellar.members || {}).some(member => normalizeEmail(member.email) === address)) {
+    return [`${address} is already a member.`];
+  }
+  return [];
+};
+
+// Inviting an address again changes the role it's invited with
+export const inviteToCellar = (cellar, email, role = DEFAULT_INVITE_ROLE) => withInvite(cellar, normalizeEmail(email), role);
+
+// Also how an invited user declines
+export const cancelInvite = (cellar, email) => withoutInvite(cellar, normalizeEmail(email));
+
+// Makes the invited user a member with the role they were invited with
+export const acceptInvite = (cellar, user) => {
+  const email = normalizeEmail(user.email);
+  return {
+    ...withMember(cellar, user.uid, { role: cellar.invites[email], email }),
+    ...withoutInvite(cellar, email),
+  };
+};
+
+export const setMemberRole = (cellar, uid, role) => withMember(cellar, uid, { ...cellar.members[uid], role });
+
+// Also how a member leaves; the owner can't be removed
+export const removeMember = (cellar, uid) => withoutMember(cellar, uid);
+
+// Stored on log entries recorded in a shared cellar
+export const logAuthor = (user) => ({ uid: user.uid, name: user.email || 'Member' });
+
+// Recipes and batches read from a shared cellar carry its id, so writes go back to the same cellar
+export const tagWithCellar = (items, cellarId) => items.map(item => ({ ...item, cellarId }));
@@ -0,0 +1,48 @@
+// Pins the membership changes the cellars.js helpers make; firestore.rules expects exactly these
+import { describe, expect, it } from 'vitest';
+import { acceptInvite, cancelInvite, createCellarRecord, getInvitation, inviteToCellar, logAuthor, removeMember } from './cellars';
+
+const owner = { uid: 'owner', email: 'owner@example.com', emailVerified: true };
+const friend = { uid: 'friend', email: 'Friend@Example.com', emailVerified: true };
+
+const clubWithInvites = () => {
+  let club = createCellarRecord('Club', owner);
+  club = { ...club, ...inviteToCellar(club, 'a@example.com', 'viewer') };
+  club = { ...club, ...inviteToCellar(club, friend.email) };
+  return { ...club, ...inviteToCellar(club, 'b@example.com', 'admin') };
+};
+
+describe('cellar membership', () => {
+  it('only offers invitations to verified addresses', () => {
+    const club = clubWithInvites();
+    expect(getInvitation(club, friend)).toBe('brewer');
+    expect(getInvitation(club, { ...friend, emailVerified: false })).toBeNull();
+  });
+
+  it('accepting adds only the new member and removes only their invitation', () => {
+    const club = clubWithInvites();
+    const fields = acceptInvite(club, friend);
+    expect(fields.memberIds).toEqual(['owner', 'friend']);
+    expect(fields.members.friend).toEqual({ role: 'brewer', email: 'friend@example.com' });
+    expect(fields.invitedEmails).toEqual(['a@example.com', 'b@example.com']);
+    expect(Object.keys(fields.invites)).toEqual(['a@example.com', 'b@example.com']);
+  });
+
+  it('declining keeps the other invitations in order', () => {
+    expect(cancelInvite(clubWithInvites(), friend.email).invitedEmails).toEqual(['a@example.com', 'b@example.com']);
+  });
+
+  it('leaving removes only the member who leaves', () => {
+    let club = clubWithInvites();
+    club = { ...club, ...acceptInvite(club, friend) };
+    club = { ...club, ...acceptInvite(club, { uid: 'bee', email: 'b@example.com', emailVerified: true }) };
+
+    const fields = removeMember(club, 'friend');
+    expect(fields.memberIds).toEqual(['owner', 'bee']);
+    expect(Object.keys(fields.members)).toEqual(['owner', 'bee']);
+  });
+
+  it('attributes log entries to the signed-in member', () => {
+    expect(logAuthor(friend)).toEqual({ uid: 'friend', name: 'Friend@Example.com' });
+  });
+});
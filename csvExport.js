@@ -0,0 +1,144 @@
+// --- CSV Export ---
+// Spreadsheet exports of a batch's log and of the whole cellar. Like brewMath and batchLog, no React
+// or Firebase imports: callers pass start dates as JS Dates and labels for their own status keys.
+import {
+  apparentAttenuation,
+  daysBetween,
+  formatMass,
+  formatTemperature,
+  formatVolume,
+  getUnitSystem,
+  roundTo,
+  safeNum,
+  volumeToDisplay,
+  DEFAULT_UNIT_SYSTEM
+} from './brewMath';
+import {
+  getBatchProgress,
+  getStartingGravity,
+  sortLogsChronologically,
+  ADDITION_CATEGORIES,
+  LOG_ENTRY_TYPES
+} from './batchLog';
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Dates are written in the user's local time
+export const CSV_DATE_FORMATS = {
+  iso: { label: 'YYYY-MM-DD', format: (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}` },
+  isoTime: { label: 'YYYY-MM-DD HH:MM', format: (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}` },
+  us: { label: 'MM/DD/YYYY', format: (d) => `${pad(d.getMonth() + 1)}/${pad(d.getDate())}/${d.getFullYear()}` },
+  eu: { label: 'DD/MM/YYYY', format: (d) => `${pad(d.getDate())}/${pad(d.getMonth() + 1)}/${d.getFullYear()}` },
+};
+export const DEFAULT_CSV_DATE_FORMAT = 'iso';
+
+const formatDate = (date, dateFormat) => (
+  date ? (CSV_DATE_FORMATS[dateFormat] || CSV_DATE_FORMATS[DEFAULT_CSV_DATE_FORMAT]).format(date) : ''
+);
+
+// RFC 4180 quoting. Text that a spreadsheet would run as a formula (=, +, -, @) gets a leading
+// apostrophe; numbers such as -0.5 are left alone.
+export const escapeCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !isFinite(Number(text))) text = `'${text}`;
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// rows: arrays of values, header first. CRLF line endings as spreadsheets expect.
+export const toCsv = (rows) => rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+
+export const csvFileName = (name, exportedAt = new Date()) => {
+  const base = (name || '').trim().replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'export';
+  return `${base}-${formatDate(exportedAt, 'iso')}.csv`;
+};
+
+// --- Batch Log ---
+// One-line summary of what an entry recorded, in the user's units
+const describeEntry = (entry, units) => {
+  switch (entry.type) {
+    case 'reading': {
+      const parts = [entry.instrument === 'refractometer' ? `Refractometer ${entry.brix} °Bx` : 'Hydrometer'];
+      if (entry.rawSg && entry.rawSg !== entry.sg) parts.push(`read ${entry.rawSg}`);
+      if (entry.sampleTemp !== undefined) parts.push(`at ${formatTemperature(entry.sampleTemp, units)}`);
+      return parts.join(', ');
+    }
+    case 'feed':
+      return `${formatMass(entry.honeyAmount, units)} ${entry.honeyName || 'honey'}`;
+    case 'addition':
+      return `${entry.amount} ${entry.unit} ${entry.ingredient} (${ADDITION_CATEGORIES[entry.category]?.label || entry.category})`;
+    case 'racking':
+      return `${formatVolume(entry.volumeBefore, units)} → ${formatVolume(entry.volumeAfter, units)}`;
+    case 'clearing':
+      return [entry.agent, entry.amount && `${entry.amount} ${entry.unit}`].filter(Boolean).join(', ');
+    default:
+      return '';
+  }
+};
+
+export const BATCH_LOG_CSV_HEADER = ['Date', 'Days Since Start', 'Type', 'SG', 'ABV (%)', 'Attenuation (%)', 'Details', 'Note'];
+
+// Every log entry oldest first, after a Brew Day row holding the OG. SG, ABV and attenuation are
+// filled in for readings and honey feeds, using the batch's state as of that entry (ABV summed
+// across feed segments, attenuation from the current segment's start) like the batch card.
+export const batchLogCsv = (batch, { startDate, dateFormat = DEFAULT_CSV_DATE_FORMAT, units = DEFAULT_UNIT_SYSTEM }) => {
+  const logs = sortLogsChronologically(batch.logs);
+  const og = getStartingGravity(batch);
+
+  const rows = logs.map((entry, i) => {
+    const date = new Date(entry.date);
+    const hasGravity = entry.type === 'reading' || entry.type === 'feed';
+    let gravity = ['', '', ''];
+    if (hasGravity) {
+      const progress = getBatchProgress({ ...batch, logs: logs.slice(0, i + 1) });
+      const segment = progress.segments[progress.segments.length - 1];
+      gravity = [
+        progress.currentSg.toFixed(3),
+        progress.abv.toFixed(1),
+        apparentAttenuation(segment.startSg, progress.currentSg).toFixed(0),
+      ];
+    }
+    return [
+      formatDate(date, dateFormat),
+      roundTo(daysBetween(startDate, date), 1),
+      LOG_ENTRY_TYPES[entry.type]?.label || entry.type,
+      ...gravity,
+      describeEntry(entry, units),
+      entry.note || '',
+    ];
+  });
+
+  return toCsv([
+    BATCH_LOG_CSV_HEADER,
+    [formatDate(startDate, dateFormat), 0, 'Brew Day', og.toFixed(3), '0.0', '0', batch.measuredOg ? 'Measured OG' : 'Calculated OG', ''],
+    ...rows,
+  ]);
+};
+
+// --- Cellar Summary ---
+// startDateOf(batch) returns the batch's start as a Date; statusLabels maps status keys to names;
+// favorites resolve each batch's source recipe.
+export const batchSummaryCsv = (batches, { startDateOf, statusLabels = {}, favorites = [], dateFormat = DEFAULT_CSV_DATE_FORMAT, units = DEFAULT_UNIT_SYSTEM }) => {
+  const rows = batches.map(batch => {
+    const progress = getBatchProgress(batch);
+    const recipe = favorites.find(f => f.id === batch.originalRecipeId);
+    const sourceRecipe = recipe
+      ? `${recipe.name}${batch.originalRecipeVersion ? ` v${batch.originalRecipeVersion}` : ''}`
+      : '';
+    return [
+      batch.name,
+      statusLabels[batch.status] || batch.status,
+      formatDate(startDateOf(batch), dateFormat),
+      getStartingGravity(batch).toFixed(3),
+      progress.currentSg.toFixed(3),
+      safeNum(batch.bottling?.abv) > 0 ? safeNum(batch.bottling.abv).toFixed(1) : progress.abv.toFixed(1),
+      roundTo(volumeToDisplay(progress.currentVolume, units), 2),
+      sourceRecipe,
+    ];
+  });
+
+  return toCsv([
+    ['Name', 'Status', 'Start Date', 'OG', 'Current SG', 'ABV (%)', `Volume (${getUnitSystem(units).volume})`, 'Source Recipe'],
+    ...rows,
+  ]);
+};
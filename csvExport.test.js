@@ -0,0 +1,96 @@
+// Pins CSV quoting and the batch exports, which spreadsheets read back cell by cell
+import { describe, expect, it } from 'vitest';
+import { batchLogCsv, batchSummaryCsv, csvFileName, escapeCsvField, toCsv } from './csvExport';
+import { createLogEntry } from './batchLog';
+
+// Splits CSV text made by toCsv back into lines (quoted fields here hold no line breaks)
+const lines = (csv) => csv.split('\r\n').slice(0, -1);
+
+describe('escapeCsvField', () => {
+  it('leaves plain values alone', () => {
+    expect(escapeCsvField('Traditional')).toBe('Traditional');
+    expect(escapeCsvField(1.05)).toBe('1.05');
+    expect(escapeCsvField(null)).toBe('');
+    expect(escapeCsvField(undefined)).toBe('');
+  });
+
+  it('quotes commas, quotes, line breaks and surrounding spaces', () => {
+    expect(escapeCsvField('Honey, 2 kg')).toBe('"Honey, 2 kg"');
+    expect(escapeCsvField('The "good" yeast')).toBe('"The ""good"" yeast"');
+    expect(escapeCsvField('line one\nline two')).toBe('"line one\nline two"');
+    expect(escapeCsvField('a\r\nb')).toBe('"a\r\nb"');
+    expect(escapeCsvField(' padded ')).toBe('" padded "');
+  });
+
+  it('keeps text from running as a formula, but not negative numbers', () => {
+    expect(escapeCsvField('=SUM(A1:A2)')).toBe("'=SUM(A1:A2)");
+    expect(escapeCsvField('@cmd')).toBe("'@cmd");
+    expect(escapeCsvField('-0.5')).toBe('-0.5');
+    expect(escapeCsvField('+1, then')).toBe('"\'+1, then"');
+  });
+
+  it('joins rows with CRLF', () => {
+    expect(toCsv([['a', 'b,c'], [1, null]])).toBe('a,"b,c"\r\n1,\r\n');
+  });
+});
+
+describe('batchLogCsv', () => {
+  const startDate = new Date(2024, 2, 1, 9, 30);
+  const batch = {
+    volume: 5,
+    measuredOg: 1.100,
+    logs: [
+      createLogEntry('reading', { date: new Date(2024, 2, 8, 18, 5).toISOString(), sg: '1.050', note: 'Smells "great", bubbling' }),
+      createLogEntry('racking', { date: new Date(2024, 2, 4, 12).toISOString(), volumeBefore: 5, volumeAfter: 4.5 }),
+    ],
+  };
+
+  it('lists a brew day row and the entries oldest first', () => {
+    const [header, brewDay, racking, reading] = lines(batchLogCsv(batch, { startDate }));
+    expect(header).toBe('Date,Days Since Start,Type,SG,ABV (%),Attenuation (%),Details,Note');
+    expect(brewDay).toBe('2024-03-01,0,Brew Day,1.100,0.0,0,Measured OG,');
+    expect(racking).toBe('2024-03-04,3.1,Racking,,,,5 L → 4.5 L,');
+    expect(reading).toBe('2024-03-08,7.4,Gravity Reading,1.050,6.6,50,Hydrometer,"Smells ""great"", bubbling"');
+  });
+
+  it('writes dates in the chosen format', () => {
+    const column = (dateFormat) => lines(batchLogCsv(batch, { startDate, dateFormat })).slice(1).map(line => line.split(',')[0]);
+    expect(column('us')).toEqual(['03/01/2024', '03/04/2024', '03/08/2024']);
+    expect(column('eu')).toEqual(['01/03/2024', '04/03/2024', '08/03/2024']);
+    expect(column('isoTime')).toEqual(['2024-03-01 09:30', '2024-03-04 12:00', '2024-03-08 18:05']);
+    expect(column('unknown')).toEqual(['2024-03-01', '2024-03-04', '2024-03-08']);
+  });
+
+  it('shows volumes in the chosen units', () => {
+    expect(lines(batchLogCsv(batch, { startDate, units: 'us' }))[2]).toContain('1.32 gal → 1.19 gal');
+  });
+});
+
+describe('batchSummaryCsv', () => {
+  it('summarizes each batch with its source recipe version', () => {
+    const batches = [{
+      name: 'Cyser, Batch 2',
+      status: 'bottled',
+      volume: 5,
+      calculatedOg: '1.090',
+      originalRecipeId: 'r1',
+      originalRecipeVersion: 3,
+      bottling: { abv: '12.4' },
+      logs: [],
+    }];
+    const csv = batchSummaryCsv(batches, {
+      startDateOf: () => new Date(2024, 0, 15),
+      statusLabels: { bottled: 'Bottled' },
+      favorites: [{ id: 'r1', name: 'Cyser' }],
+    });
+    expect(lines(csv)).toEqual([
+      'Name,Status,Start Date,OG,Current SG,ABV (%),Volume (L),Source Recipe',
+      '"Cyser, Batch 2",Bottled,2024-01-15,1.090,1.090,12.4,5,Cyser v3',
+    ]);
+  });
+
+  it('names files after the batch and the export date', () => {
+    expect(csvFileName('Cyser: Batch #2', new Date(2024, 4, 6))).toBe('cyser-batch-2-2024-05-06.csv');
+    expect(csvFileName('  ', new Date(2024, 4, 6))).toBe('export-2024-05-06.csv');
+  });
+});
@@ -0,0 +1,205 @@
+// --- Firestore Storage ---
+// The Firestore backend for storage.js. Each user's cellar lives at artifacts/{appId}/users/{userId};
+// shared cellars (see cellars.js) at artifacts/{appId}/cellars/{cellarId}. Access rules: firestore.rules.
+import { initializeApp } from 'firebase/app';
+import {
+  getAuth,
+  signInAnonymously,
+  onAuthStateChanged,
+  signInWithCustomToken,
+  signInWithEmailAndPassword,
+  signInWithCredential,
+  signInWithPopup,
+  linkWithCredential,
+  linkWithPopup,
+  sendEmailVerification,
+  signOut,
+  connectAuthEmulator,
+  EmailAuthProvider,
+  GoogleAuthProvider
+} from 'firebase/auth';
+import {
+  connectFirestoreEmulator,
+  getFirestore,
+  collection,
+  query,
+  where,
+  addDoc,
+  getDocs,
+  onSnapshot,
+  deleteDoc,
+  doc,
+  updateDoc,
+  setDoc,
+  runTransaction,
+  serverTimestamp,
+  Timestamp,
+  setLogLevel
+} from 'firebase/firestore';
+import { applyListEdits } from './storage';
+
+const snapshotItems = (snapshot) => snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+
+// The parts of a Firebase user the app uses
+const toAccountUser = (user) => user && {
+  uid: user.uid,
+  isAnonymous: user.isAnonymous,
+  email: user.email,
+  emailVerified: user.emailVerified,
+  providers: user.providerData.map(p => p.providerId),
+};
+
+// Default local emulator ports (firebase emulators:start)
+export const EMULATOR_PORTS = { auth: 9099, firestore: 8080 };
+
+// `config` is the Firebase app config; `initialAuthToken` is an optional custom sign-in token.
+// `emulatorHost` (e.g. '127.0.0.1') points Auth and Firestore at the local emulators instead.
+export const createFirestoreStorage = ({ config, appId, initialAuthToken = null, emulatorHost = null }) => {
+  const app = initializeApp(config);
+  const auth = getAuth(app);
+  const db = getFirestore(app);
+  if (emulatorHost) {
+    connectAuthEmulator(auth, `http://${emulatorHost}:${EMULATOR_PORTS.auth}`, { disableWarnings: true });
+    connectFirestoreEmulator(db, emulatorHost, EMULATOR_PORTS.firestore);
+  }
+
+  // Setting log level to error to avoid excessive console output, but you can change this to 'debug'
+  // if you need to troubleshoot Firestore connection issues.
+  setLogLevel('error');
+
+  // A Store over the collections under `path` (a users/{userId} or cellars/{cellarId} document)
+  const storeAt = (...path) => {
+    const collectionRef = (name) => collection(db, 'artifacts', appId, ...path, name);
+    const docRef = (name, id) => doc(db, 'artifacts', appId, ...path, name, id);
+
+    return {
+      subscribe: (name, onChange, onError) => onSnapshot(collectionRef(name), (snapshot) => onChange(snapshotItems(snapshot)), onError),
+      subscribeDoc: (name, id, onChange, onError) => onSnapshot(
+        docRef(name, id),
+        (snapshot) => onChange(snapshot.exists() ? snapshot.data() : null),
+        onError
+      ),
+      list: async (name) => snapshotItems(await getDocs(collectionRef(name))),
+      create: async (name, data) => (await addDoc(collectionRef(name), data)).id,
+      set: (name, id, data, { merge = false } = {}) => setDoc(docRef(name, id), data, { merge }),
+      update: (name, id, data) => updateDoc(docRef(name, id), data),
+      // Re-reads the list in a transaction, so elements added by someone else meanwhile are kept
+      updateList: (name, id, field, edits, data = {}) => runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(docRef(name, id));
+        transaction.update(docRef(name, id), { ...data, [field]: applyListEdits(snapshot.get(field), edits) });
+      }),
+      remove: (name, id) => deleteDoc(docRef(name, id)),
+    };
+  };
+
+  // --- Shared Cellars ---
+  const cellarsRef = collection(db, 'artifacts', appId, 'cellars');
+
+  // Cellars the user is a member of plus those their email is invited to, as one list
+  const subscribeCellars = (user, onChange, onError) => {
+    const results = { member: [], invited: [] };
+    const report = () => {
+      const byId = new Map([...results.member, ...results.invited].map(record => [record.id, record]));
+      onChange([...byId.values()]);
+    };
+    const listen = (key, q) => onSnapshot(q, (snapshot) => {
+      results[key] = snapshotItems(snapshot);
+      report();
+    }, onError);
+
+    const unsubscribes = [listen('member', query(cellarsRef, where('memberIds', 'array-contains', user.uid)))];
+    // The rules only show invitations to verified addresses
+    if (user.email && user.emailVerified) {
+      unsubscribes.push(listen('invited', query(cellarsRef, where('invitedEmails', 'array-contains', user.email.toLowerCase()))));
+    }
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  };
+
+  // Firestore keeps subcollections when their parent is deleted, so the recipes and batches go first
+  const removeCellar = async (id) => {
+    const cellar = storeAt('cellars', id);
+    for (const name of ['favorites', 'batches']) {
+      await Promise.all((await cellar.list(name)).map(item => cellar.remove(name, item.id)));
+    }
+    await deleteDoc(doc(cellarsRef, id));
+  };
+
+  const signIn = async () => {
+    try {
+      if (initialAuthToken) {
+        await signInWithCustomToken(auth, initialAuthToken);
+        return;
+      }
+      // Keep a session restored from an earlier visit; signing in anonymously would replace a permanent account
+      await auth.authStateReady();
+      if (!auth.currentUser) await signInAnonymously(auth);
+    } catch (e) {
+      console.error("Auth failed:", e);
+      // Fallback to anonymous if custom token fails
+      await signInAnonymously(auth);
+    }
+  };
+
+  // --- Accounts ---
+  // provider 'password' uses { email, password }; 'google' opens a popup
+  const credentialFor = ({ provider, email, password }) => (
+    provider === 'password' ? EmailAuthProvider.credential(email, password) : null
+  );
+
+  // Attaches a permanent sign-in to the current anonymous user, keeping its uid and data.
+  // Fails with auth/credential-already-in-use or auth/email-already-in-use when it belongs to another account.
+  const linkAccount = async (options) => {
+    const result = options.provider === 'google'
+      ? await linkWithPopup(auth.currentUser, new GoogleAuthProvider())
+      : await linkWithCredential(auth.currentUser, credentialFor(options));
+    if (!result.user.emailVerified) {
+      sendEmailVerification(result.user).catch(e => console.error("Error sending verification email:", e));
+    }
+    return toAccountUser(result.user);
+  };
+
+  // Verification happens in the email's link, so the user and its token are fetched again afterwards
+  const refreshAccount = async () => {
+    await auth.currentUser.reload();
+    await auth.currentUser.getIdToken(true);
+    return toAccountUser(auth.currentUser);
+  };
+
+  // Switches to an existing account. `error` is a failed linkAccount's error, whose Google
+  // credential can be reused instead of asking again.
+  const signInToAccount = async ({ provider, email, password, error = null }) => {
+    if (provider === 'google') {
+      const credential = error && GoogleAuthProvider.credentialFromError(error);
+      const result = credential
+        ? await signInWithCredential(auth, credential)
+        : await signInWithPopup(auth, new GoogleAuthProvider());
+      return toAccountUser(result.user);
+    }
+    return toAccountUser((await signInWithEmailAndPassword(auth, email, password)).user);
+  };
+
+  // Signs out and starts a fresh anonymous session; the account's data stays with the account
+  const signOutOfAccount = async () => {
+    await signOut(auth);
+    await signInAnonymously(auth);
+  };
+
+  return {
+    name: 'firestore',
+    onAuthChange: (callback) => onAuthStateChanged(auth, (user) => callback(toAccountUser(user))),
+    signIn,
+    linkAccount,
+    signInToAccount,
+    signOut: signOutOfAccount,
+    sendVerificationEmail: () => sendEmailVerification(auth.currentUser),
+    refreshAccount,
+    forUser: (userId) => storeAt('users', userId),
+    subscribeCellars,
+    createCellar: async (record) => (await addDoc(cellarsRef, record)).id,
+    updateCellar: (id, data) => updateDoc(doc(cellarsRef, id), data),
+    removeCellar,
+    forCellar: (cellarId) => storeAt('cellars', cellarId),
+    timestamp: () => serverTimestamp(),
+    timestampFromDate: (date) => Timestamp.fromDate(date),
+  };
+};
@@ -0,0 +1,399 @@
+// --- Offline Storage ---
+// Wraps a remote backend (Firestore) so the app keeps working without a connection. Reads come from
+// a persistent local cache kept in step with the remote; writes land in the cache immediately and
+// are queued, then replayed in order once the remote is reachable. Implements the storage.js Backend
+// interface plus onSyncChange/syncNow; shared cellars are cached and queued the same way when the
+// remote has them. No React or Firebase imports here.
+import { createDocumentId, createMemoryStorage } from './storage';
+import { reviveTimestamps, serializeTimestamps } from './backup';
+
+// state: 'synced' (nothing queued), 'pending' (queued, about to sync), 'syncing', 'offline'
+// (queued until the connection returns) or 'error' (see `error`; queued changes are retried).
+// `failed` counts changes the server rejected; they're kept until retried or discarded.
+export const SYNC_STATES = {
+  synced: { label: 'Synced' },
+  pending: { label: 'Pending' },
+  syncing: { label: 'Syncing' },
+  offline: { label: 'Offline' },
+  error: { label: 'Sync error' },
+};
+
+// Remote errors that retrying right away can't fix; the change moves to the failed list instead
+const PERMANENT_ERROR_CODES = ['not-found', 'permission-denied', 'invalid-argument', 'failed-precondition'];
+
+export const RETRY_DELAY_MS = 30 * 1000;
+
+// How long a remote write may take. The browser can report being online while the server is out of
+// reach (a captive portal or a flaky link), and the write would otherwise never settle.
+export const REMOTE_TIMEOUT_MS = 15 * 1000;
+
+const withTimeout = (promise, ms) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => {
+    const error = new Error('The server took too long to respond.');
+    error.code = 'deadline-exceeded';
+    reject(error);
+  }, ms);
+  promise.then(
+    (value) => {
+      clearTimeout(timer);
+      resolve(value);
+    },
+    (error) => {
+      clearTimeout(timer);
+      reject(error);
+    }
+  );
+});
+
+const browserConnectivity = {
+  isOnline: () => typeof navigator === 'undefined' || navigator.onLine !== false,
+  onChange: (callback) => {
+    if (typeof window === 'undefined') return () => {};
+    window.addEventListener('online', callback);
+    window.addEventListener('offline', callback);
+    return () => {
+      window.removeEventListener('online', callback);
+      window.removeEventListener('offline', callback);
+    };
+  },
+};
+
+// `storage` persists { cache, queue, failed, user } as JSON under `key`; `connectivity` reports whether
+// the device is online and when that changes; `remoteTimeoutMs` bounds each remote write
+export const createOfflineStorage = (remote, { key = 'golden-drop-offline', storage = window.localStorage, connectivity = browserConnectivity, remoteTimeoutMs = REMOTE_TIMEOUT_MS } = {}) => {
+  let saved = {};
+  try {
+    saved = JSON.parse(storage.getItem(key)) || {};
+  } catch (e) {
+    console.error("Error reading offline cache:", e);
+  }
+
+  let cacheTree = saved.cache || {};
+  // Changes not yet written to the remote, oldest first:
+  // { id, userId, cellarId, op, collection, docId, data, merge, field }.
+  // userId is the user who made the change, and the cellar it's for unless cellarId names a shared one.
+  // `data` has its timestamps serialized (see backup.js) so the queue survives JSON; for updateList
+  // it is { edits, fields }.
+  let queue = saved.queue || [];
+  // Changes the remote rejected, as queued plus the `error` message
+  let failed = saved.failed || [];
+  // Last signed-in user, so a returning user can open their cellar before auth reaches the server
+  let lastUser = saved.user || null;
+
+  const persist = () => {
+    try {
+      storage.setItem(key, JSON.stringify({ cache: cacheTree, queue, failed, user: lastUser }));
+    } catch (e) {
+      console.error("Error writing offline cache:", e);
+    }
+  };
+
+  const cache = createMemoryStorage({
+    data: cacheTree,
+    onWrite: (tree) => {
+      cacheTree = tree;
+      persist();
+    },
+  });
+
+  // --- Ownership ---
+  // Changes only replay for the user who made them, once the remote has signed that user in, so a
+  // queue left by one account can't be written (and rejected) as another. Other users' changes wait
+  // in the queue until they sign back in. Changes queued without a userId belong to whoever is signed in.
+  let authUid = null; // Signed in on the remote
+  const currentUid = () => authUid ?? lastUser?.uid ?? null;
+  const isCurrent = (change) => !change.userId || currentUid() === null || change.userId === currentUid();
+  const isReplayable = (change) => authUid !== null && (!change.userId || change.userId === authUid);
+
+  // --- Sync Status ---
+  const counts = () => ({ pending: queue.filter(isCurrent).length, failed: failed.filter(isCurrent).length });
+  let status = { state: queue.length > 0 ? 'pending' : 'synced', ...counts(), error: null };
+  const statusListeners = new Set();
+  const setStatus = (changes) => {
+    status = { ...status, ...changes, ...counts() };
+    statusListeners.forEach(listener => listener(status));
+  };
+
+  // --- Replay ---
+  let flushing = null; // The replay in progress, so callers can wait for it
+  let flushAgain = false; // Asked for while replaying, e.g. the connection came back
+  let retryTimer = null;
+  // Applies each subscription's latest remote snapshot to the cache; run once the queue drains
+  const mirrors = new Set();
+
+  const applyToRemote = (change) => {
+    const target = change.cellarId ? remote.forCellar(change.cellarId) : remote.forUser(change.userId);
+    const data = change.data && reviveTimestamps(change.data, remote.timestampFromDate);
+    if (change.op === 'remove') return target.remove(change.collection, change.docId);
+    if (change.op === 'update') return target.update(change.collection, change.docId, data);
+    if (change.op === 'updateList') return target.updateList(change.collection, change.docId, change.field, data.edits, data.fields);
+    return target.set(change.collection, change.docId, data, { merge: change.merge });
+  };
+
+  const replay = async () => {
+    clearTimeout(retryTimer);
+    if (!queue.some(isReplayable)) {
+      if (status.state !== 'error') setStatus({ state: queue.some(isCurrent) ? 'pending' : 'synced' });
+      return;
+    }
+    if (!connectivity.isOnline()) {
+      setStatus({ state: 'offline' });
+      return;
+    }
+
+    setStatus({ state: 'syncing', error: null });
+    let failure = null;
+    let change;
+    while ((change = queue.find(isReplayable))) {
+      try {
+        // A write that times out is kept and replayed later; replaying one that did land is harmless
+        await withTimeout(Promise.resolve(applyToRemote(change)), remoteTimeoutMs);
+      } catch (e) {
+        failure = e;
+        if (!PERMANENT_ERROR_CODES.includes(e.code)) {
+          // Probably connectivity: keep the change and try again later
+          break;
+        }
+        console.error("Server rejected a change, keeping it as failed:", change, e);
+        failed = [...failed, { ...change, error: e.message || String(e) }];
+      }
+      queue = queue.filter(queued => queued.id !== change.id);
+      persist();
+      setStatus({});
+    }
+
+    if (failure) {
+      setStatus({ state: 'error', error: failure.message || String(failure) });
+      if (queue.some(isReplayable)) retryTimer = setTimeout(flush, RETRY_DELAY_MS);
+    } else {
+      setStatus({ state: 'synced' });
+      mirrors.forEach(mirror => mirror());
+    }
+  };
+
+  const flush = () => {
+    if (flushing) {
+      flushAgain = true;
+      return flushing;
+    }
+    flushing = (async () => {
+      try {
+        do {
+          flushAgain = false;
+          await replay();
+        } while (flushAgain);
+      } finally {
+        flushing = null;
+      }
+    })();
+    return flushing;
+  };
+
+  const enqueue = (change) => {
+    queue = [...queue, { id: createDocumentId(), userId: currentUid(), ...change, ...(change.data && { data: serializeTimestamps(change.data) }) }];
+    persist();
+    if (!flushing) setStatus({ state: 'pending' });
+    flush();
+  };
+
+  connectivity.onChange(() => flush());
+
+  const reportError = (onError) => (error) => {
+    setStatus({ state: 'error', error: error.message || String(error) });
+    if (onError) onError(error);
+  };
+
+  // --- Stores ---
+  // `scope` is { userId } for a user's own cellar or { cellarId } for a shared one
+  const storeFor = (scope) => {
+    const local = cache.forUser(scope.cellarId ? `cellar:${scope.cellarId}` : scope.userId);
+    const target = scope.cellarId ? remote.forCellar(scope.cellarId) : remote.forUser(scope.userId);
+    const inScope = (change) => (scope.cellarId ? change.cellarId === scope.cellarId : !change.cellarId && change.userId === scope.userId);
+    // The remote copy is only mirrored once this scope's queued changes to it have been written,
+    // so a snapshot from before a local edit can't undo that edit in the cache
+    const hasPending = (name) => queue.some(change => inScope(change) && change.collection === name);
+    const watchRemote = (name, subscribeRemote, apply) => {
+      let latest;
+      const mirror = () => {
+        if (latest !== undefined && !hasPending(name)) apply(latest);
+      };
+      mirrors.add(mirror);
+      const unsubscribe = subscribeRemote((data) => {
+        latest = data;
+        mirror();
+      });
+      return () => {
+        mirrors.delete(mirror);
+        unsubscribe();
+      };
+    };
+
+    return {
+      subscribe: (name, onChange, onError) => {
+        const unsubscribeLocal = local.subscribe(name, onChange);
+        const unsubscribeRemote = watchRemote(
+          name,
+          (onRemoteChange) => target.subscribe(name, onRemoteChange, reportError(onError)),
+          (items) => local.replaceAll(name, items)
+        );
+        return () => {
+          unsubscribeLocal();
+          unsubscribeRemote();
+        };
+      },
+      subscribeDoc: (name, id, onChange, onError) => {
+        const unsubscribeLocal = local.subscribeDoc(name, id, onChange);
+        const unsubscribeRemote = watchRemote(
+          name,
+          (onRemoteChange) => target.subscribeDoc(name, id, onRemoteChange, reportError(onError)),
+          (data) => (data ? local.set(name, id, data) : local.remove(name, id))
+        );
+        return () => {
+          unsubscribeLocal();
+          unsubscribeRemote();
+        };
+      },
+      // Straight from the remote when it's reachable, so callers see data not mirrored yet
+      list: async (name) => {
+        if (connectivity.isOnline() && !hasPending(name)) {
+          try {
+            const items = await target.list(name);
+            local.replaceAll(name, items);
+            return items;
+          } catch (e) {
+            console.error("Error listing from the server, using the offline copy:", e);
+          }
+        }
+        return local.list(name);
+      },
+      // New documents get their id here so the cache and the remote agree on it
+      create: async (name, data) => {
+        const id = createDocumentId();
+        await local.set(name, id, data);
+        enqueue({ ...scope, op: 'set', collection: name, docId: id, data, merge: false });
+        return id;
+      },
+      set: async (name, id, data, { merge = false } = {}) => {
+        await local.set(name, id, data, { merge });
+        enqueue({ ...scope, op: 'set', collection: name, docId: id, data, merge });
+      },
+      update: async (name, id, data) => {
+        await local.update(name, id, data);
+        enqueue({ ...scope, op: 'update', collection: name, docId: id, data });
+      },
+      updateList: async (name, id, field, edits, fields = {}) => {
+        await local.updateList(name, id, field, edits, fields);
+        enqueue({ ...scope, op: 'updateList', collection: name, docId: id, field, data: { edits, fields } });
+      },
+      remove: async (name, id) => {
+        await local.remove(name, id);
+        enqueue({ ...scope, op: 'remove', collection: name, docId: id });
+      },
+    };
+  };
+
+  // Replay anything left over from the last session once the remote says who is signed in
+  remote.onAuthChange((user) => {
+    authUid = user?.uid || null;
+    setStatus({});
+    flush();
+  });
+
+  const rememberUser = (user) => {
+    lastUser = user;
+    persist();
+    return user;
+  };
+
+  // Shared cellar records are read through the cache so member cellars still show offline; creating
+  // and changing them goes straight to the remote, like account changes
+  const cellarMethods = remote.forCellar ? {
+    subscribeCellars: (user, onChange, onError) => {
+      const local = cache.forUser(user.uid);
+      const unsubscribeLocal = local.subscribe('cellars', onChange);
+      const unsubscribeRemote = remote.subscribeCellars(user, (records) => local.replaceAll('cellars', records), reportError(onError));
+      return () => {
+        unsubscribeLocal();
+        unsubscribeRemote();
+      };
+    },
+    createCellar: (record) => remote.createCellar(record),
+    updateCellar: (id, data) => remote.updateCellar(id, data),
+    removeCellar: (id) => remote.removeCellar(id),
+    forCellar: (cellarId) => storeFor({ cellarId }),
+  } : {};
+
+  // Account changes go straight to the remote; they need a connection. Signing out waits for the
+  // account's queued changes, which could otherwise only be written once it signs in here again. The
+  // wait is bounded by remoteTimeoutMs, since the replay gives up on a write the server doesn't answer.
+  const accountMethods = remote.linkAccount ? {
+    linkAccount: async (options) => rememberUser(await remote.linkAccount(options)),
+    signInToAccount: async (options) => rememberUser(await remote.signInToAccount(options)),
+    sendVerificationEmail: () => remote.sendVerificationEmail(),
+    refreshAccount: async () => rememberUser(await remote.refreshAccount()),
+    signOut: async () => {
+      await flush();
+      if (queue.some(isCurrent)) {
+        const error = new Error('Changes are still waiting to sync.');
+        error.code = 'sync/pending-changes';
+        throw error;
+      }
+      rememberUser(null);
+      await remote.signOut();
+    },
+  } : {};
+
+  // --- Queued and Failed Changes ---
+  // The signed-in user's rejected changes can be exported, queued again (e.g. once they have access
+  // again) or discarded. The cache already shows the remote's copy.
+  const queueMethods = {
+    // For changes that can never be written, e.g. a guest's once its cellar is merged into an account
+    discardQueued: (userId) => {
+      queue = queue.filter(change => change.userId !== userId);
+      persist();
+      setStatus({});
+    },
+    failedChanges: () => failed.filter(isCurrent),
+    retryFailed: () => {
+      const retrying = failed.filter(isCurrent).map(({ error, ...change }) => change);
+      failed = failed.filter(change => !isCurrent(change));
+      queue = [...retrying, ...queue];
+      persist();
+      setStatus({ state: 'pending', error: null });
+      return flush();
+    },
+    discardFailed: () => {
+      failed = failed.filter(change => !isCurrent(change));
+      persist();
+      setStatus({ state: queue.some(isCurrent) ? 'pending' : 'synced', error: null });
+    },
+  };
+
+  return {
+    name: remote.name,
+    onAuthChange: (callback) => {
+      if (lastUser) callback(lastUser);
+      return remote.onAuthChange((user) => {
+        if (user) {
+          callback(rememberUser(user));
+        } else if (!lastUser) {
+          callback(null);
+        }
+      });
+    },
+    signIn: () => remote.signIn(),
+    ...accountMethods,
+    ...cellarMethods,
+    forUser: (userId) => storeFor({ userId }),
+    // Client time, since a server timestamp can't wait in the queue
+    timestamp: cache.timestamp,
+    timestampFromDate: cache.timestampFromDate,
+    onSyncChange: (callback) => {
+      statusListeners.add(callback);
+      callback(status);
+      return () => statusListeners.delete(callback);
+    },
+    syncNow: () => flush(),
+    ...queueMethods,
+  };
+};
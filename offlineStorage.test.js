@@ -0,0 +1,262 @@
+// Replays the offline queue against a memory remote that, like the Firestore rules, only lets the
+// signed-in user write their own cellar and the shared cellars they have access to
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createMemoryStorage } from './storage';
+import { createOfflineStorage } from './offlineStorage';
+import { planCellarMerge, readCellar } from './account';
+
+const createRemote = () => {
+  const backing = createMemoryStorage();
+  const authListeners = new Set();
+  let user = null;
+  let canWriteCellar = () => true;
+  let reachable = true;
+  const signInAs = (nextUser) => {
+    user = nextUser;
+    authListeners.forEach(callback => callback(user));
+    return user;
+  };
+  const canWrite = (scope) => (scope.cellarId ? user !== null && canWriteCellar(scope.cellarId) : user?.uid === scope.userId);
+
+  const guard = (scope, store) => {
+    const check = (write) => async (...args) => {
+      // Like Firestore behind a captive portal: the write never settles
+      if (!reachable) return new Promise(() => {});
+      if (!canWrite(scope)) {
+        const error = new Error('Missing or insufficient permissions.');
+        error.code = 'permission-denied';
+        throw error;
+      }
+      return write(...args);
+    };
+    return { ...store, set: check(store.set), update: check(store.update), updateList: check(store.updateList), remove: check(store.remove) };
+  };
+
+  return {
+    ...backing,
+    name: 'firestore',
+    onAuthChange: (callback) => {
+      authListeners.add(callback);
+      callback(user);
+      return () => authListeners.delete(callback);
+    },
+    signInAs,
+    linkAccount: async ({ email }) => signInAs({ ...user, isAnonymous: false, email }),
+    signInToAccount: async ({ email }) => signInAs({ uid: email.split('@')[0], isAnonymous: false, email }),
+    signOut: async () => {
+      signInAs({ uid: 'next-guest', isAnonymous: true, email: null });
+    },
+    forUser: (userId) => guard({ userId }, backing.forUser(userId)),
+    forCellar: (cellarId) => guard({ cellarId }, backing.forCellar(cellarId)),
+    setCellarAccess: (rule) => {
+      canWriteCellar = rule;
+    },
+    setReachable: (value) => {
+      reachable = value;
+    },
+    // Reads skip the rules so tests can look at what was written
+    contents: (userId, name) => backing.forUser(userId).list(name),
+    cellarContents: (cellarId, name) => backing.forCellar(cellarId).list(name),
+  };
+};
+
+const createConnectivity = (online) => {
+  const listeners = new Set();
+  return {
+    isOnline: () => online,
+    onChange: (callback) => {
+      listeners.add(callback);
+      return () => listeners.delete(callback);
+    },
+    set: (value) => {
+      online = value;
+      listeners.forEach(callback => callback());
+    },
+  };
+};
+
+const createStorageArea = () => {
+  const items = {};
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = value; },
+  };
+};
+
+const alice = { uid: 'alice', isAnonymous: false, email: 'alice@example.com' };
+const guest = { uid: 'guest', isAnonymous: true, email: null };
+
+describe('offline storage', () => {
+  let remote;
+  let connectivity;
+  let area;
+  const open = () => createOfflineStorage(remote, { storage: area, connectivity });
+
+  beforeEach(() => {
+    remote = createRemote();
+    connectivity = createConnectivity(false);
+    area = createStorageArea();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('queues changes offline and replays them once back online', async () => {
+    remote.signInAs(alice);
+    const storage = open();
+    const id = await storage.forUser('alice').create('batches', { name: 'Offline batch' });
+
+    const statuses = [];
+    storage.onSyncChange(status => statuses.push(status));
+    expect(statuses.at(-1)).toMatchObject({ state: 'offline', pending: 1, failed: 0 });
+
+    connectivity.set(true);
+    await vi.waitFor(() => expect(statuses.at(-1)).toMatchObject({ state: 'synced', pending: 0, failed: 0 }));
+    expect(await remote.contents('alice', 'batches')).toEqual([{ id, name: 'Offline batch' }]);
+  });
+
+  it("keeps a write the server doesn't answer and replays it later", async () => {
+    remote.signInAs(alice);
+    remote.setReachable(false);
+    connectivity.set(true);
+    const storage = createOfflineStorage(remote, { storage: area, connectivity, remoteTimeoutMs: 20 });
+    let status = null;
+    storage.onSyncChange(next => { status = next; });
+    const id = await storage.forUser('alice').create('batches', { name: 'Unanswered' });
+    await vi.waitFor(() => expect(status).toMatchObject({ state: 'error', pending: 1 }));
+
+    remote.setReachable(true);
+    await storage.syncNow();
+    expect(await remote.contents('alice', 'batches')).toEqual([{ id, name: 'Unanswered' }]);
+    expect(status).toMatchObject({ state: 'synced', pending: 0 });
+  });
+
+  it("keeps one user's queue out of another user's session", async () => {
+    remote.signInAs(alice);
+    const storage = open();
+    const id = await storage.forUser('alice').create('batches', { name: 'Saved as Alice' });
+
+    remote.signInAs(guest);
+    connectivity.set(true);
+    await storage.syncNow();
+    expect(await remote.contents('alice', 'batches')).toEqual([]);
+    expect(storage.failedChanges()).toEqual([]);
+
+    remote.signInAs(alice);
+    await vi.waitFor(async () => expect(await remote.contents('alice', 'batches')).toEqual([{ id, name: 'Saved as Alice' }]));
+  });
+
+  it('keeps log entries someone else added while this device was offline', async () => {
+    remote.signInAs(alice);
+    await remote.forCellar('club').set('batches', 'b1', { name: 'Club batch', logs: [{ id: 'a', sg: '1.100' }] });
+    const storage = open();
+    connectivity.set(true);
+    await storage.forCellar('club').list('batches');
+    connectivity.set(false);
+    await storage.forCellar('club').updateList('batches', 'b1', 'logs', [{ from: null, to: { id: 'mine', sg: '1.050' } }]);
+
+    await remote.forCellar('club').updateList('batches', 'b1', 'logs', [{ from: null, to: { id: 'theirs', sg: '1.060' } }]);
+    connectivity.set(true);
+    await vi.waitFor(async () => expect((await remote.cellarContents('club', 'batches'))[0].logs.map(entry => entry.id)).toEqual(['a', 'theirs', 'mine']));
+  });
+
+  it('keeps rejected changes, across restarts, until they are retried', async () => {
+    remote.signInAs(alice);
+    remote.setCellarAccess(() => false);
+    const storage = open();
+    const id = await storage.forCellar('club').create('batches', { name: 'Club batch' });
+
+    connectivity.set(true);
+    await vi.waitFor(() => expect(storage.failedChanges()).toHaveLength(1));
+    expect(storage.failedChanges()[0]).toMatchObject({ docId: id, error: 'Missing or insufficient permissions.' });
+
+    const reopened = open();
+    let status = null;
+    reopened.onSyncChange(next => { status = next; });
+    expect(status).toMatchObject({ pending: 0, failed: 1 });
+
+    remote.setCellarAccess(() => true);
+    await reopened.retryFailed();
+    expect(reopened.failedChanges()).toEqual([]);
+    expect(await remote.cellarContents('club', 'batches')).toEqual([{ id, name: 'Club batch' }]);
+    expect(status).toMatchObject({ state: 'synced', pending: 0, failed: 0 });
+  });
+
+  it('discards rejected changes on request', async () => {
+    remote.signInAs(alice);
+    remote.setCellarAccess(() => false);
+    const storage = open();
+    await storage.forCellar('club').create('batches', { name: 'Club batch' });
+    connectivity.set(true);
+    await vi.waitFor(() => expect(storage.failedChanges()).toHaveLength(1));
+
+    storage.discardFailed();
+    expect(storage.failedChanges()).toEqual([]);
+    expect(open().failedChanges()).toEqual([]);
+  });
+});
+
+describe('offline storage accounts', () => {
+  let remote;
+  let connectivity;
+  let storage;
+
+  beforeEach(() => {
+    remote = createRemote();
+    connectivity = createConnectivity(false);
+    storage = createOfflineStorage(remote, { storage: createStorageArea(), connectivity, remoteTimeoutMs: 20 });
+  });
+
+  it("won't sign out while the account has changes to sync", async () => {
+    remote.signInAs(alice);
+    const id = await storage.forUser('alice').create('batches', { name: 'Not synced yet' });
+
+    await expect(storage.signOut()).rejects.toMatchObject({ code: 'sync/pending-changes' });
+    const users = [];
+    remote.onAuthChange(user => users.push(user?.uid));
+    expect(users).toEqual(['alice']);
+
+    connectivity.set(true);
+    await storage.signOut();
+    expect(await remote.contents('alice', 'batches')).toEqual([{ id, name: 'Not synced yet' }]);
+    expect(users).toEqual(['alice', 'next-guest']);
+  });
+
+  it("won't hang signing out when the server can't be reached", async () => {
+    remote.signInAs(alice);
+    remote.setReachable(false);
+    connectivity.set(true);
+    const id = await storage.forUser('alice').create('batches', { name: 'Stuck' });
+
+    await expect(storage.signOut()).rejects.toMatchObject({ code: 'sync/pending-changes' });
+    let status = null;
+    storage.onSyncChange(next => { status = next; });
+    expect(status).toMatchObject({ state: 'error', pending: 1 });
+
+    remote.setReachable(true);
+    await storage.signOut();
+    expect(await remote.contents('alice', 'batches')).toEqual([{ id, name: 'Stuck' }]);
+  });
+
+  it("drops a guest's queue once its cellar is merged into an account", async () => {
+    remote.signInAs(guest);
+    const id = await storage.forUser('guest').create('batches', { name: 'Brewed as a guest' });
+    const guestCellar = await readCellar(storage.forUser('guest'));
+
+    // What the app does when a guest signs in to an existing account
+    const account = await storage.signInToAccount({ provider: 'password', email: 'alice@example.com', password: 'secret1' });
+    const accountStore = storage.forUser(account.uid);
+    const writes = planCellarMerge(guestCellar, await readCellar(accountStore));
+    for (const { id: docId, ...data } of writes.batches) await accountStore.set('batches', docId, data);
+    storage.discardQueued(guest.uid);
+
+    let status = null;
+    storage.onSyncChange(next => { status = next; });
+    connectivity.set(true);
+    await vi.waitFor(async () => expect(await remote.contents('alice', 'batches')).toEqual([{ id, name: 'Brewed as a guest' }]));
+    expect(await remote.contents('guest', 'batches')).toEqual([]);
+    expect(status).toMatchObject({ state: 'synced', pending: 0, failed: 0 });
+  });
+});
@@ -0,0 +1,377 @@
+// --- Recipe Exchange (BeerXML 1.0 / BeerJSON 1.0) ---
+// Converts saved favorites to and from the formats other brewing software uses. Like brewMath,
+// no React or Firebase imports; XML is parsed with the browser's DOMParser.
+import {
+  honeyPpg,
+  normalizeHoneys,
+  predictOg,
+  safeNum,
+  sgToAbv,
+  totalHoneyKg,
+  DEFAULT_ABV_FORMULA,
+  REFERENCE_HONEY_SUGAR,
+  SUCROSE_PPG
+} from './brewMath';
+
+// Fermentable yield is the sugar's extract relative to sucrose (% by weight). Fruit sugar % is
+// already sucrose-equivalent; honey is scaled from its PPG.
+export const honeySugarToYield = (sugarPercent) => (honeyPpg(sugarPercent) / SUCROSE_PPG) * 100;
+export const yieldToHoneySugar = (yieldPercent) => (safeNum(yieldPercent) / 100) * SUCROSE_PPG / honeyPpg(REFERENCE_HONEY_SUGAR) * REFERENCE_HONEY_SUGAR;
+
+const round = (value, digits = 3) => Math.round(safeNum(value) * 10 ** digits) / 10 ** digits;
+
+// Fermentables for export: [{ name, kind: 'honey' | 'fruit', amount (kg), yield (%) }]
+const recipeFermentables = (recipe) => [
+  ...normalizeHoneys(recipe).filter(h => safeNum(h.amount) > 0).map(h => ({
+    name: /honey/i.test(h.name || '') ? h.name : `${h.name || 'Wildflower'} Honey`,
+    kind: 'honey',
+    amount: safeNum(h.amount),
+    yield: honeySugarToYield(h.sugarPercent ?? REFERENCE_HONEY_SUGAR),
+  })),
+  ...(recipe.fruits || []).filter(f => safeNum(f.amount) > 0).map(f => ({
+    name: f.name,
+    kind: 'fruit',
+    amount: safeNum(f.amount),
+    yield: safeNum(f.sugarPercent),
+  })),
+];
+
+const recipeFg = (recipe) => safeNum(recipe.predictedFg) || 1.000;
+
+const recipeNotes = (recipe) => [
+  recipe.mode === 'target' && recipe.targetAbv ? `Target ABV: ${recipe.targetAbv}%` : null,
+  'Exported from Golden Drop',
+].filter(Boolean).join('\n');
+
+// --- BeerXML ---
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const xmlFields = (fields, indent) => Object.entries(fields)
+  .map(([tag, value]) => `${indent}<${tag}>${escapeXml(value)}</${tag}>`)
+  .join('\n');
+
+const beerXmlRecipe = (recipe) => {
+  const og = safeNum(recipe.calculatedOg);
+  const fg = recipeFg(recipe);
+  const fermentables = recipeFermentables(recipe).map(f => [
+    '      <FERMENTABLE>',
+    xmlFields({
+      NAME: f.name,
+      VERSION: 1,
+      TYPE: f.kind === 'honey' ? 'Sugar' : 'Adjunct',
+      AMOUNT: round(f.amount),
+      YIELD: round(f.yield, 1),
+      COLOR: f.kind === 'honey' ? 2 : 0,
+      ADD_AFTER_BOIL: 'FALSE',
+    }, '        '),
+    '      </FERMENTABLE>',
+  ].join('\n'));
+  const yeasts = recipe.yeast ? [
+    '      <YEAST>',
+    xmlFields({
+      NAME: recipe.yeast.name,
+      VERSION: 1,
+      TYPE: 'Wine',
+      FORM: 'Dry',
+      AMOUNT: 0.005,
+      AMOUNT_IS_WEIGHT: 'TRUE',
+      ATTENUATION: safeNum(recipe.yeast.attenuation),
+      ...(recipe.yeast.tempMin !== undefined && { MIN_TEMPERATURE: recipe.yeast.tempMin, MAX_TEMPERATURE: recipe.yeast.tempMax }),
+      NOTES: recipe.yeast.tolerance ? `Alcohol tolerance: ${recipe.yeast.tolerance}%` : '',
+    }, '        '),
+    '      </YEAST>',
+  ].join('\n') : null;
+
+  return [
+    '  <RECIPE>',
+    xmlFields({
+      NAME: recipe.name,
+      VERSION: 1,
+      TYPE: 'Extract',
+      BREWER: 'Golden Drop',
+      BATCH_SIZE: round(recipe.volume),
+      BOIL_SIZE: round(recipe.volume),
+      BOIL_TIME: 0,
+      EFFICIENCY: 100,
+    }, '    '),
+    '    <STYLE>',
+    xmlFields({
+      NAME: 'Mead', VERSION: 1, CATEGORY: 'Mead', CATEGORY_NUMBER: 'M', STYLE_LETTER: '', STYLE_GUIDE: 'BJCP', TYPE: 'Mead',
+      OG_MIN: 1.035, OG_MAX: 1.170, FG_MIN: 0.990, FG_MAX: 1.050, IBU_MIN: 0, IBU_MAX: 0, COLOR_MIN: 0, COLOR_MAX: 16,
+    }, '      '),
+    '    </STYLE>',
+    '    <HOPS></HOPS>',
+    '    <FERMENTABLES>',
+    ...fermentables,
+    '    </FERMENTABLES>',
+    '    <MISCS></MISCS>',
+    '    <YEASTS>',
+    ...(yeasts ? [yeasts] : []),
+    '    </YEASTS>',
+    '    <WATERS></WATERS>',
+    '    <MASH>',
+    xmlFields({ NAME: 'No Mash', VERSION: 1, GRAIN_TEMP: 20 }, '      '),
+    '      <MASH_STEPS></MASH_STEPS>',
+    '    </MASH>',
+    xmlFields({
+      OG: og.toFixed(3),
+      FG: fg.toFixed(3),
+      EST_OG: og.toFixed(3),
+      EST_FG: fg.toFixed(3),
+      EST_ABV: recipe.calculatedAbv ?? sgToAbv(og, fg, recipe.abvMethod),
+      NOTES: recipeNotes(recipe),
+    }, '    '),
+    '  </RECIPE>',
+  ].join('\n');
+};
+
+export const toBeerXml = (recipes) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<RECIPES>',
+  ...recipes.map(beerXmlRecipe),
+  '</RECIPES>',
+  '',
+].join('\n');
+
+// --- BeerJSON ---
+const beerJsonRecipe = (recipe) => {
+  const og = safeNum(recipe.calculatedOg);
+  const fg = recipeFg(recipe);
+  return {
+    name: recipe.name,
+    type: 'mead',
+    author: 'Golden Drop',
+    batch_size: { unit: 'l', value: round(recipe.volume) },
+    efficiency: { brewhouse: { unit: '%', value: 100 } },
+    original_gravity: { unit: 'sg', value: round(og) },
+    final_gravity: { unit: 'sg', value: round(fg) },
+    alcohol_by_volume: { unit: '%', value: safeNum(recipe.calculatedAbv ?? sgToAbv(og, fg, recipe.abvMethod)) },
+    notes: recipeNotes(recipe),
+    ingredients: {
+      fermentable_additions: recipeFermentables(recipe).map(f => ({
+        name: f.name,
+        type: f.kind,
+        yield: { fine_grind: { unit: '%', value: round(f.yield, 1) } },
+        color: { unit: 'SRM', value: f.kind === 'honey' ? 2 : 0 },
+        amount: { unit: 'kg', value: round(f.amount) },
+      })),
+      ...(recipe.yeast && {
+        culture_additions: [{
+          name: recipe.yeast.name,
+          type: 'wine',
+          form: 'dry',
+          attenuation: { unit: '%', value: safeNum(recipe.yeast.attenuation) },
+          ...(recipe.yeast.tolerance && { alcohol_tolerance: { unit: '%', value: safeNum(recipe.yeast.tolerance) } }),
+          ...(recipe.yeast.tempMin !== undefined && {
+            temperature_range: {
+              minimum: { unit: 'C', value: safeNum(recipe.yeast.tempMin) },
+              maximum: { unit: 'C', value: safeNum(recipe.yeast.tempMax) },
+            },
+          }),
+          amount: { unit: 'g', value: 5 },
+        }],
+      }),
+    },
+  };
+};
+
+export const toBeerJson = (recipes) => JSON.stringify({
+  beerjson: {
+    version: 1.0,
+    recipes: recipes.map(beerJsonRecipe),
+  },
+}, null, 2);
+
+export const exchangeFileName = (recipes, format) => {
+  const base = recipes.length === 1
+    ? recipes[0].name.trim().replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'recipe'
+    : 'golden-drop-recipes';
+  return format === 'beerxml' ? `${base}.xml` : `${base}.beer.json`;
+};
+
+// --- Import ---
+// Catalogs come from the app (FRUIT_DATA, HONEY_DATA, YEAST_DATA) so names can be matched.
+// Each parsed fermentable is { name, amount (kg), yield (%) | null, isHoney }.
+const matchByName = (catalog, name) => {
+  const key = (name || '').trim().toLowerCase();
+  return catalog.find(item => item.name.toLowerCase() === key)
+    || catalog.find(item => item.name !== 'Custom' && key.includes(item.name.toLowerCase()));
+};
+
+const toRecipe = ({ name, volume, og, fg, abv, fermentables, yeast, notes }, catalogs) => {
+  const honeys = [];
+  const fruits = [];
+  fermentables.forEach(f => {
+    // Known varieties use our sugar figures; anything else takes its sugar % from the file's yield
+    if (f.isHoney || /honey/i.test(f.name)) {
+      const shortName = f.name.replace(/\s*honey\s*/i, ' ').trim();
+      const variety = matchByName(catalogs.honeys, shortName);
+      const known = variety && variety.name !== 'Custom';
+      honeys.push({
+        id: Date.now() + Math.random(),
+        name: known ? variety.name : shortName || 'Honey',
+        amount: f.amount,
+        sugarPercent: known ? variety.sugar : round(f.yield !== null ? yieldToHoneySugar(f.yield) : REFERENCE_HONEY_SUGAR, 1),
+        moisturePercent: known ? variety.moisture : 17,
+      });
+      return;
+    }
+    const fruit = matchByName(catalogs.fruits, f.name);
+    fruits.push({
+      id: Date.now() + Math.random(),
+      name: fruit && fruit.name !== 'Custom' ? fruit.name : f.name,
+      amount: f.amount,
+      sugarPercent: fruit && fruit.name !== 'Custom' ? fruit.sugar : round(f.yield ?? 0, 1),
+    });
+  });
+
+  const matchedYeast = yeast && matchByName(catalogs.yeasts, yeast.name);
+  const recipeYeast = yeast
+    ? (matchedYeast && matchedYeast.name !== 'Custom' ? matchedYeast : {
+        name: yeast.name,
+        tolerance: yeast.tolerance ?? 14,
+        attenuation: yeast.attenuation ?? 100,
+        tempMin: yeast.tempMin ?? 15,
+        tempMax: yeast.tempMax ?? 25,
+        nutrientNeeds: 'medium',
+      })
+    : null;
+
+  const calculatedOg = og || predictOg({ volume, honeys, fruits });
+  const predictedFg = fg || 1.000;
+  const targetAbv = parseFloat((notes || '').match(/Target ABV:\s*([\d.]+)/)?.[1]);
+
+  return {
+    name: name || 'Imported Recipe',
+    mode: 'ingredients',
+    volume,
+    targetAbv: targetAbv || safeNum(abv) || 0,
+    honeys: honeys.length > 0 ? honeys : [{ id: Date.now() + Math.random(), name: 'Wildflower', amount: 0, sugarPercent: REFERENCE_HONEY_SUGAR }],
+    honeyAmount: totalHoneyKg(honeys),
+    fruits,
+    calculatedOg: safeNum(calculatedOg).toFixed(3),
+    calculatedAbv: abv ? safeNum(abv).toFixed(1) : sgToAbv(calculatedOg, predictedFg, DEFAULT_ABV_FORMULA),
+    yeast: recipeYeast,
+    predictedFg: safeNum(predictedFg).toFixed(3),
+    abvMethod: DEFAULT_ABV_FORMULA,
+  };
+};
+
+// Direct children only, so a RECIPE's NAME isn't confused with its STYLE's NAME
+const childText = (element, tag) => {
+  const child = Array.from(element.children).find(c => c.tagName.toUpperCase() === tag);
+  return child ? child.textContent.trim() : '';
+};
+const childNumber = (element, tag) => {
+  const text = childText(element, tag);
+  return text === '' || isNaN(parseFloat(text)) ? null : parseFloat(text);
+};
+const childList = (element, listTag, itemTag) => {
+  const list = Array.from(element.children).find(c => c.tagName.toUpperCase() === listTag);
+  return list ? Array.from(list.children).filter(c => c.tagName.toUpperCase() === itemTag) : [];
+};
+
+export const parseBeerXml = (text, catalogs) => {
+  const xml = new DOMParser().parseFromString(text, 'application/xml');
+  if (xml.getElementsByTagName('parsererror').length > 0) throw new Error('The file is not valid XML.');
+  const recipes = Array.from(xml.getElementsByTagName('RECIPE'));
+  if (recipes.length === 0) throw new Error('No BeerXML recipes found in the file.');
+
+  return recipes.map(recipe => {
+    const yeastElement = childList(recipe, 'YEASTS', 'YEAST')[0];
+    const toleranceNote = yeastElement && childText(yeastElement, 'NOTES').match(/tolerance:\s*([\d.]+)/i);
+    return toRecipe({
+      name: childText(recipe, 'NAME'),
+      volume: childNumber(recipe, 'BATCH_SIZE') || 0,
+      og: childNumber(recipe, 'OG') || childNumber(recipe, 'EST_OG'),
+      fg: childNumber(recipe, 'FG') || childNumber(recipe, 'EST_FG'),
+      abv: childNumber(recipe, 'EST_ABV') || childNumber(recipe, 'ABV'),
+      notes: childText(recipe, 'NOTES'),
+      fermentables: childList(recipe, 'FERMENTABLES', 'FERMENTABLE').map(f => ({
+        name: childText(f, 'NAME'),
+        amount: childNumber(f, 'AMOUNT') || 0,
+        yield: childNumber(f, 'YIELD'),
+        isHoney: /honey/i.test(childText(f, 'NAME')),
+      })),
+      yeast: yeastElement ? {
+        name: childText(yeastElement, 'NAME'),
+        attenuation: childNumber(yeastElement, 'ATTENUATION'),
+        tempMin: childNumber(yeastElement, 'MIN_TEMPERATURE'),
+        tempMax: childNumber(yeastElement, 'MAX_TEMPERATURE'),
+        tolerance: toleranceNote ? parseFloat(toleranceNote[1]) : null,
+      } : null,
+    }, catalogs);
+  });
+};
+
+// --- BeerJSON units ---
+const VOLUME_TO_LITERS = { ml: 0.001, l: 1, gal: 3.78541, qt: 0.946353, pt: 0.473176, floz: 0.0295735, 'ifloz': 0.0284131, igal: 4.54609 };
+const MASS_TO_KG = { mg: 1e-6, g: 0.001, kg: 1, lb: 0.453592, oz: 0.0283495 };
+
+const volumeLiters = (v) => (v ? safeNum(v.value) * (VOLUME_TO_LITERS[v.unit] ?? 1) : 0);
+const massKg = (m) => (m ? safeNum(m.value) * (MASS_TO_KG[m.unit] ?? 1) : 0);
+const temperatureC = (t) => (t ? (t.unit === 'F' ? (safeNum(t.value) - 32) * 5 / 9 : safeNum(t.value)) : null);
+const gravitySg = (g) => {
+  if (!g) return null;
+  if (g.unit === 'plato' || g.unit === 'brix') {
+    const p = safeNum(g.value);
+    return 1 + p / (258.6 - (p / 258.2) * 227.1);
+  }
+  return safeNum(g.value) || null;
+};
+// Yield as % sucrose-equivalent, from a fine-grind % or a potential gravity (1.046 = 100%)
+const yieldPercent = (y) => {
+  if (!y) return null;
+  if (y.fine_grind) return safeNum(y.fine_grind.value);
+  if (y.coarse_grind) return safeNum(y.coarse_grind.value);
+  if (y.potential) return ((gravitySg(y.potential) - 1) * 1000 / SUCROSE_PPG) * 100;
+  return null;
+};
+
+export const parseBeerJson = (text, catalogs) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    throw new Error('The file is not valid JSON.');
+  }
+  const recipes = parsed?.beerjson?.recipes;
+  if (!Array.isArray(recipes) || recipes.length === 0) throw new Error('No BeerJSON recipes found in the file.');
+
+  return recipes.map(recipe => {
+    const culture = recipe.ingredients?.culture_additions?.[0];
+    return toRecipe({
+      name: recipe.name,
+      volume: volumeLiters(recipe.batch_size),
+      og: gravitySg(recipe.original_gravity),
+      fg: gravitySg(recipe.final_gravity),
+      abv: recipe.alcohol_by_volume ? safeNum(recipe.alcohol_by_volume.value) : null,
+      notes: recipe.notes,
+      fermentables: (recipe.ingredients?.fermentable_additions || []).map(f => ({
+        name: f.name,
+        amount: massKg(f.amount),
+        yield: yieldPercent(f.yield),
+        isHoney: f.type === 'honey',
+      })),
+      yeast: culture ? {
+        name: culture.name,
+        attenuation: culture.attenuation ? safeNum(culture.attenuation.value) : null,
+        tolerance: culture.alcohol_tolerance ? safeNum(culture.alcohol_tolerance.value) : null,
+        tempMin: temperatureC(culture.temperature_range?.minimum),
+        tempMax: temperatureC(culture.temperature_range?.maximum),
+      } : null,
+    }, catalogs);
+  });
+};
+
+// Picks the parser from the file contents. Leading whitespace or a byte order mark would make the
+// XML declaration invalid, so it's dropped first.
+export const parseRecipeFile = (text, catalogs) => {
+  const trimmed = text.trim();
+  return trimmed.startsWith('<') ? parseBeerXml(trimmed, catalogs) : parseBeerJson(trimmed, catalogs);
+};
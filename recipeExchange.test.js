@@ -0,0 +1,145 @@
+// @vitest-environment jsdom
+// Round-trips favorites through BeerXML and BeerJSON; BeerXML import needs the browser's DOMParser
+import { describe, expect, it } from 'vitest';
+import {
+  exchangeFileName,
+  honeySugarToYield,
+  parseBeerJson,
+  parseBeerXml,
+  parseRecipeFile,
+  toBeerJson,
+  toBeerXml,
+  yieldToHoneySugar,
+} from './recipeExchange';
+
+// Trimmed-down versions of the app's catalogs
+const catalogs = {
+  honeys: [
+    { name: 'Wildflower', sugar: 80, moisture: 17.2 },
+    { name: 'Orange Blossom', sugar: 81, moisture: 17 },
+    { name: 'Custom', sugar: 80, moisture: 17 },
+  ],
+  fruits: [{ name: 'Blueberry', sugar: 12 }, { name: 'Custom', sugar: 10 }],
+  yeasts: [{ name: 'Lalvin 71B', tolerance: 14, attenuation: 100, tempMin: 15, tempMax: 30, nutrientNeeds: 'medium' }],
+};
+
+const melomel = {
+  name: 'Blueberry Melomel',
+  mode: 'target',
+  volume: 5,
+  targetAbv: 12,
+  honeys: [
+    { id: 1, name: 'Orange Blossom', amount: 1.2, sugarPercent: 81 },
+    { id: 2, name: 'Heather', amount: 0.3, sugarPercent: 77 },
+  ],
+  honeyAmount: 1.5,
+  fruits: [{ id: 3, name: 'Blueberry', amount: 2, sugarPercent: 12 }],
+  calculatedOg: '1.107',
+  calculatedAbv: '12.0',
+  yeast: { name: 'Lalvin 71B', tolerance: 14, attenuation: 100, tempMin: 15, tempMax: 30, nutrientNeeds: 'medium' },
+  predictedFg: '1.016',
+  abvMethod: 'standard',
+};
+
+// What survives a round trip: ids are new and everything comes back in ingredients mode
+const comparable = (recipe) => ({
+  ...recipe,
+  honeys: recipe.honeys.map(({ id, ...honey }) => honey),
+  fruits: recipe.fruits.map(({ id, ...fruit }) => fruit),
+});
+
+const expectMelomel = (recipe) => {
+  expect(comparable(recipe)).toMatchObject({
+    name: 'Blueberry Melomel',
+    mode: 'ingredients',
+    volume: 5,
+    targetAbv: 12,
+    honeys: [
+      { name: 'Orange Blossom', amount: 1.2, sugarPercent: 81, moisturePercent: 17 },
+      { name: 'Heather', amount: 0.3, sugarPercent: 77 },
+    ],
+    honeyAmount: 1.5,
+    fruits: [{ name: 'Blueberry', amount: 2, sugarPercent: 12 }],
+    calculatedOg: '1.107',
+    calculatedAbv: '12.0',
+    yeast: catalogs.yeasts[0],
+    predictedFg: '1.016',
+  });
+};
+
+describe('BeerXML', () => {
+  it('round-trips a melomel', () => {
+    const xml = toBeerXml([melomel]);
+    expect(xml).toContain('<NAME>Orange Blossom Honey</NAME>');
+    const [recipe] = parseBeerXml(xml, catalogs);
+    expectMelomel(recipe);
+  });
+
+  it('escapes names', () => {
+    const [recipe] = parseBeerXml(toBeerXml([{ ...melomel, name: 'Tom & Jerry\'s <Mead>' }]), catalogs);
+    expect(recipe.name).toBe('Tom & Jerry\'s <Mead>');
+  });
+
+  it('rejects files that are not BeerXML recipes', () => {
+    expect(() => parseBeerXml('<RECIPES><RECIPE>', catalogs)).toThrow('The file is not valid XML.');
+    expect(() => parseBeerXml('<RECIPES></RECIPES>', catalogs)).toThrow('No BeerXML recipes found in the file.');
+  });
+});
+
+describe('BeerJSON', () => {
+  it('round-trips a melomel', () => {
+    const [recipe] = parseBeerJson(toBeerJson([melomel]), catalogs);
+    expectMelomel(recipe);
+  });
+
+  it('converts units from other software', () => {
+    const file = JSON.stringify({
+      beerjson: {
+        version: 1,
+        recipes: [{
+          name: 'Imported',
+          batch_size: { unit: 'gal', value: 5 },
+          original_gravity: { unit: 'plato', value: 25 },
+          ingredients: {
+            fermentable_additions: [
+              { name: 'Buckwheat', type: 'honey', amount: { unit: 'lb', value: 15 }, yield: { potential: { unit: 'sg', value: 1.035 } } },
+            ],
+            culture_additions: [{
+              name: 'House Strain',
+              attenuation: { unit: '%', value: 90 },
+              temperature_range: { minimum: { unit: 'F', value: 59 }, maximum: { unit: 'F', value: 77 } },
+            }],
+          },
+        }],
+      },
+    });
+    const [recipe] = parseBeerJson(file, catalogs);
+    expect(recipe.volume).toBeCloseTo(18.927, 3);
+    expect(recipe.honeys[0]).toMatchObject({ name: 'Buckwheat', moisturePercent: 17 });
+    expect(recipe.honeys[0].amount).toBeCloseTo(6.804, 3);
+    expect(recipe.honeys[0].sugarPercent).toBeCloseTo(80, 0);
+    expect(recipe.calculatedOg).toBe('1.106');
+    expect(recipe.yeast).toMatchObject({ name: 'House Strain', attenuation: 90, tolerance: 14, tempMin: 15, tempMax: 25 });
+  });
+
+  it('rejects files that are not BeerJSON recipes', () => {
+    expect(() => parseBeerJson('{not json', catalogs)).toThrow('The file is not valid JSON.');
+    expect(() => parseBeerJson('{"beerjson":{"recipes":[]}}', catalogs)).toThrow('No BeerJSON recipes found in the file.');
+  });
+});
+
+describe('recipe files', () => {
+  it('picks the parser from the contents, ignoring a byte order mark', () => {
+    expect(parseRecipeFile(`\uFEFF\n${toBeerXml([melomel])}`, catalogs)[0].name).toBe('Blueberry Melomel');
+    expect(parseRecipeFile(toBeerJson([melomel]), catalogs)[0].name).toBe('Blueberry Melomel');
+  });
+
+  it('converts honey sugar to a fermentable yield and back', () => {
+    expect(yieldToHoneySugar(honeySugarToYield(77))).toBeCloseTo(77, 6);
+  });
+
+  it('names files after a single recipe', () => {
+    expect(exchangeFileName([melomel], 'beerxml')).toBe('blueberry-melomel.xml');
+    expect(exchangeFileName([melomel, melomel], 'beerjson')).toBe('golden-drop-recipes.beer.json');
+  });
+});
@@ -0,0 +1,135 @@
+// --- Recipe Version History ---
+// A favorite's document holds its latest version; earlier versions are kept in its `versions` array.
+// Like brewMath and batchLog, no React or Firebase imports here.
+import { normalizeHoneys, safeNum, sgToAbv, totalHoneyKg, DEFAULT_ABV_FORMULA } from './brewMath';
+import { additionWeightKg, getBatchProgress, getReadings, ADDITION_CATEGORIES } from './batchLog';
+
+// Fields that make up a version (volume in liters, honey and fruit amounts in kg)
+export const RECIPE_VERSION_FIELDS = [
+  'name', 'mode', 'volume', 'targetAbv', 'honeys', 'honeyAmount', 'fruits',
+  'calculatedOg', 'calculatedAbv', 'yeast', 'predictedFg', 'abvMethod',
+];
+
+// Favorites saved before versioning are version 1
+export const getRecipeVersion = (recipe) => recipe.version || 1;
+
+// Snapshot of a recipe's current version for its `versions` array; savedAt is an ISO string
+export const createRecipeSnapshot = (recipe, savedAt) => {
+  const snapshot = { version: getRecipeVersion(recipe), savedAt };
+  RECIPE_VERSION_FIELDS.forEach(field => {
+    if (recipe[field] !== undefined) snapshot[field] = recipe[field];
+  });
+  return snapshot;
+};
+
+// Every version oldest first, with the current document as the last entry
+export const getRecipeVersions = (recipe, currentSavedAt) => [
+  ...(recipe.versions || []),
+  createRecipeSnapshot(recipe, currentSavedAt),
+];
+
+const sameNumber = (a, b) => Math.abs(safeNum(a) - safeNum(b)) < 1e-6;
+
+// A recipe's honeys. Older single-honey recipes have one unnamed honey, which the Calculator saves as
+// 'Honey', so re-saving one unchanged isn't a new version.
+const namedHoneys = (recipe) => normalizeHoneys(recipe).map(h => ({ ...h, name: h.name || 'Honey' }));
+
+// Changes to named ingredients: added, removed, or a different amount
+const diffIngredients = (before = [], after = []) => {
+  const changes = [];
+  const key = (item) => (item.name || '').trim().toLowerCase();
+  after.forEach(item => {
+    const previous = before.find(b => key(b) === key(item));
+    if (!previous) changes.push({ name: item.name, before: null, after: safeNum(item.amount) });
+    else if (!sameNumber(previous.amount, item.amount)) changes.push({ name: item.name, before: safeNum(previous.amount), after: safeNum(item.amount) });
+  });
+  before.forEach(item => {
+    if (!after.some(a => key(a) === key(item))) changes.push({ name: item.name, before: safeNum(item.amount), after: null });
+  });
+  return changes;
+};
+
+// What changed between two versions. Returns [{ field, before, after }]; for 'honeys' and 'fruits'
+// before/after are null and `items` lists the per-ingredient changes (amounts in kg, null when absent).
+export const diffRecipes = (before, after) => {
+  const changes = [];
+
+  if (!sameNumber(before.volume, after.volume)) changes.push({ field: 'volume', before: before.volume, after: after.volume });
+  if (before.mode !== after.mode) changes.push({ field: 'mode', before: before.mode, after: after.mode });
+  if ((after.mode === 'target' || before.mode === 'target') && !sameNumber(before.targetAbv, after.targetAbv)) {
+    changes.push({ field: 'targetAbv', before: before.targetAbv, after: after.targetAbv });
+  }
+
+  const honeyItems = diffIngredients(namedHoneys(before), namedHoneys(after));
+  if (honeyItems.length > 0) changes.push({ field: 'honeys', before: null, after: null, items: honeyItems });
+
+  const fruitItems = diffIngredients(before.fruits, after.fruits);
+  if (fruitItems.length > 0) changes.push({ field: 'fruits', before: null, after: null, items: fruitItems });
+
+  if ((before.yeast?.name || null) !== (after.yeast?.name || null)) {
+    changes.push({ field: 'yeast', before: before.yeast?.name || null, after: after.yeast?.name || null });
+  }
+  if (before.calculatedOg !== after.calculatedOg) changes.push({ field: 'calculatedOg', before: before.calculatedOg, after: after.calculatedOg });
+  if (before.name !== after.name) changes.push({ field: 'name', before: before.name, after: after.name });
+
+  return changes;
+};
+
+// --- Planned vs Actual ---
+// Adds `amountKg` of a named ingredient to a list, merging with an existing entry of the same name
+const addIngredient = (list, { name, amountKg, sugarPercent }) => {
+  const existing = list.find(item => (item.name || '').trim().toLowerCase() === name.trim().toLowerCase());
+  if (existing) {
+    return list.map(item => (item === existing ? { ...item, amount: safeNum(item.amount) + amountKg } : item));
+  }
+  return [...list, { id: Date.now() + Math.random(), name, amount: amountKg, sugarPercent: safeNum(sugarPercent) }];
+};
+
+// Ingredients that went into the batch: what was planned plus honey feeds and weighed sugar-bearing
+// additions from the log. `added` lists just the log additions (kg) for display.
+export const getActualIngredients = (batch) => {
+  let honeys = namedHoneys(batch);
+  let fruits = batch.fruits || [];
+  const added = [];
+
+  (batch.logs || []).forEach(entry => {
+    if (entry.type === 'feed' && safeNum(entry.honeyAmount) > 0) {
+      const item = { name: entry.honeyName || 'Honey', amountKg: safeNum(entry.honeyAmount), sugarPercent: entry.sugarPercent };
+      honeys = addIngredient(honeys, item);
+      added.push({ ...item, kind: 'honey' });
+    }
+    if (entry.type === 'addition' && ADDITION_CATEGORIES[entry.category]?.sugar && safeNum(entry.sugarPercent) > 0) {
+      const amountKg = additionWeightKg(entry);
+      if (amountKg > 0) {
+        const item = { name: entry.ingredient, amountKg, sugarPercent: entry.sugarPercent };
+        fruits = addIngredient(fruits, item);
+        added.push({ ...item, kind: 'fruit' });
+      }
+    }
+  });
+
+  return { honeys, fruits, added };
+};
+
+// The batch's measured results, shaped like the Calculator's recipe data so they can be saved as
+// the source recipe's next version (ingredients mode, since the amounts are now known)
+export const actualRecipeFields = (batch) => {
+  const progress = getBatchProgress(batch);
+  const { honeys, fruits } = getActualIngredients(batch);
+  // Bottled FG, else the latest reading, else the planned FG (nothing measured yet)
+  const hasReadings = getReadings(batch.logs).length > 0;
+  const finalGravity = batch.bottling?.finalGravity || (hasReadings ? progress.currentSg.toFixed(3) : batch.predictedFg || '1.000');
+
+  return {
+    mode: 'ingredients',
+    volume: safeNum(batch.volume),
+    honeys,
+    honeyAmount: totalHoneyKg(honeys),
+    fruits,
+    calculatedOg: progress.effectiveOg.toFixed(3),
+    calculatedAbv: batch.bottling?.abv || (hasReadings ? progress.abv.toFixed(1) : sgToAbv(progress.effectiveOg, finalGravity, batch.abvMethod)),
+    predictedFg: finalGravity,
+    yeast: batch.yeast || null,
+    abvMethod: batch.abvMethod || DEFAULT_ABV_FORMULA,
+  };
+};
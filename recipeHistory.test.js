@@ -0,0 +1,97 @@
+// Pins what counts as a recipe change, since an empty diff means no new version is saved
+import { describe, expect, it } from 'vitest';
+import { actualRecipeFields, createRecipeSnapshot, diffRecipes, getRecipeVersions } from './recipeHistory';
+import { createLogEntry } from './batchLog';
+
+const wildflower = (amount) => ({ id: 1, name: 'Wildflower', amount, sugarPercent: 80 });
+
+const recipe = {
+  id: 'recipe-1',
+  name: 'Traditional',
+  mode: 'ingredients',
+  volume: 5,
+  targetAbv: 12,
+  honeys: [wildflower(1.5)],
+  honeyAmount: 1.5,
+  fruits: [],
+  calculatedOg: '1.088',
+  calculatedAbv: '11.6',
+  yeast: { name: 'Lalvin 71B', attenuation: 100, tolerance: 14 },
+  predictedFg: '1.000',
+  abvMethod: 'standard',
+};
+
+describe('diffRecipes', () => {
+  it('finds no changes between identical versions', () => {
+    expect(diffRecipes(recipe, { ...recipe })).toEqual([]);
+  });
+
+  it('ignores floating point noise and a target ABV that ingredients mode never uses', () => {
+    expect(diffRecipes(recipe, { ...recipe, volume: 5.0000001, targetAbv: 14 })).toEqual([]);
+  });
+
+  it('reports changed fields with their before and after values', () => {
+    const changes = diffRecipes(recipe, { ...recipe, volume: 10, name: 'Big Traditional', calculatedOg: '1.044', yeast: null });
+    expect(changes).toEqual([
+      { field: 'volume', before: 5, after: 10 },
+      { field: 'yeast', before: 'Lalvin 71B', after: null },
+      { field: 'calculatedOg', before: '1.088', after: '1.044' },
+      { field: 'name', before: 'Traditional', after: 'Big Traditional' },
+    ]);
+  });
+
+  it('lists honeys added, removed and changed by name', () => {
+    const before = { ...recipe, honeys: [wildflower(1.5), { id: 2, name: 'Clover', amount: 0.5, sugarPercent: 79 }] };
+    const after = { ...recipe, honeys: [wildflower(2), { id: 3, name: 'Orange Blossom', amount: 0.3, sugarPercent: 80 }] };
+    expect(diffRecipes(before, after)).toEqual([{
+      field: 'honeys',
+      before: null,
+      after: null,
+      items: [
+        { name: 'Wildflower', before: 1.5, after: 2 },
+        { name: 'Orange Blossom', before: null, after: 0.3 },
+        { name: 'Clover', before: 0.5, after: null },
+      ],
+    }]);
+  });
+
+  it('compares a pre-multi-honey recipe by its single honey amount', () => {
+    const older = { ...recipe, honeys: undefined, honeyAmount: 1.5 };
+    const newer = { ...recipe, honeys: [{ id: 1, name: 'Honey', amount: 1.5, sugarPercent: 80 }] };
+    expect(diffRecipes(older, newer)).toEqual([]);
+  });
+});
+
+describe('versions', () => {
+  it('snapshots only the version fields', () => {
+    const snapshot = createRecipeSnapshot({ ...recipe, version: 2, versions: [{ version: 1 }] }, '2024-03-01T00:00:00.000Z');
+    expect(snapshot).toMatchObject({ version: 2, savedAt: '2024-03-01T00:00:00.000Z', name: 'Traditional', volume: 5 });
+    expect(snapshot).not.toHaveProperty('id');
+    expect(snapshot).not.toHaveProperty('versions');
+  });
+
+  it('lists older versions before the current one, counting an unversioned favorite as version 1', () => {
+    const versions = getRecipeVersions({ ...recipe, version: 2, versions: [createRecipeSnapshot(recipe, 'then')] }, 'now');
+    expect(versions.map(version => [version.version, version.savedAt])).toEqual([[1, 'then'], [2, 'now']]);
+  });
+});
+
+describe('actualRecipeFields', () => {
+  it('adds honey feeds to the planned honey and takes the OG and ABV from the log', () => {
+    const batch = {
+      ...recipe,
+      startDate: '2024-01-01T00:00:00.000Z',
+      logs: [
+        createLogEntry('feed', { date: '2024-01-10T12:00:00.000Z', honeyName: 'Wildflower', honeyAmount: 0.5, sugarPercent: 80, sgBefore: '1.020', sgAfter: '1.040' }),
+        createLogEntry('reading', { date: '2024-02-01T12:00:00.000Z', sg: '1.000' }),
+      ],
+    };
+    const actual = actualRecipeFields(batch);
+    expect(actual.mode).toBe('ingredients');
+    expect(actual.honeys).toEqual([{ ...wildflower(2) }]);
+    expect(actual.honeyAmount).toBe(2);
+    expect(actual.calculatedOg).toBe('1.108');
+    expect(actual.predictedFg).toBe('1.000');
+    expect(diffRecipes(recipe, { ...recipe, ...actual }).map(change => change.field)).toEqual(['honeys', 'calculatedOg']);
+  });
+});
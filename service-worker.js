@@ -0,0 +1,43 @@
+// --- Service Worker ---
+// Caches the app shell so Golden Drop opens without a connection. Pages, scripts, styles, fonts and
+// images are fetched network-first with the cache as the fallback. Data requests (Firestore, auth)
+// pass straight through; offline data is handled by offlineStorage.js instead.
+const CACHE_NAME = 'golden-drop-v1';
+const APP_SHELL = ['./', './manifest.webmanifest', './icon.svg'];
+const CACHED_DESTINATIONS = ['document', 'script', 'style', 'font', 'image', 'manifest'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop caches from earlier versions
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || !CACHED_DESTINATIONS.includes(request.destination)) return;
+
+  event.respondWith(
+    fetch(request)
+      .then(response => {
+        if (response.ok || response.type === 'opaque') {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+        }
+        return response;
+      })
+      .catch(() => caches.match(request).then(cached => (
+        cached || (request.mode === 'navigate' ? caches.match('./') : Response.error())
+      )))
+  );
+});
@@ -0,0 +1,223 @@
+// --- Storage ---
+// The app reads and writes through a storage backend instead of calling Firestore directly, so it
+// can run against Firestore, the browser's localStorage, or memory (tests). Like brewMath, no React
+// or Firebase imports here; the Firestore backend lives in firestoreStorage.js.
+//
+// Backend:
+//   name                          'firestore' | 'local' | 'memory'
+//   onAuthChange(callback)        calls back with { uid, isAnonymous, email, emailVerified } or null; returns an unsubscribe
+//   signIn()                      starts sign-in (local backends have a single built-in user)
+//   forUser(userId)               the Store holding that user's cellar
+//   timestamp()                   value to store for "now" (a server timestamp on Firestore)
+//   timestampFromDate(date)       a stored timestamp for a JS Date, e.g. when restoring a backup
+//   onSyncChange(callback)        optional, for backends that sync in the background (offlineStorage.js);
+//                                 calls back with { state, pending, failed, error } and returns an unsubscribe
+//   syncNow()                     optional, retries pending changes right away
+//   failedChanges()               optional, the signed-in user's changes the server rejected
+//   retryFailed()                 optional, queues those changes again
+//   discardFailed()               optional, gives up on them
+//   discardQueued(userId)         optional, drops the changes still waiting to sync for `userId`
+//   linkAccount(options)          optional, for backends with accounts (firestoreStorage.js): gives the
+//                                 anonymous user a permanent sign-in; options { provider, email, password }
+//   signInToAccount(options)      optional, switches to an existing account (see account.js for merging)
+//   signOut()                     optional, leaves the account for a fresh anonymous session; fails with
+//                                 code 'sync/pending-changes' while the account has changes to sync
+//   sendVerificationEmail()       optional, emails a link confirming the account's address (invitations
+//                                 to shared cellars need a verified address)
+//   refreshAccount()              optional, the signed-in user again, e.g. once the address is verified
+//   subscribeCellars(user, onChange, onError)
+//                                 optional, for backends with shared cellars (see cellars.js): onChange
+//                                 receives [{ id, ...record }] the user belongs to or is invited to
+//   createCellar(record)          Promise of the new shared cellar's id
+//   updateCellar(id, data)        shallow-merge into a shared cellar's record
+//   removeCellar(id)              deletes a shared cellar with its recipes and batches
+//   forCellar(cellarId)           the Store holding a shared cellar ('favorites' and 'batches')
+//
+// Store (collections are 'favorites', 'batches', 'honeyVarieties' and 'settings'):
+//   subscribe(collection, onChange, onError)          onChange([{ id, ...data }]); returns an unsubscribe
+//   subscribeDoc(collection, id, onChange, onError)   onChange(data or null); returns an unsubscribe
+//   list(collection)                                  Promise of [{ id, ...data }]
+//   create(collection, data)                          Promise of the new document's id
+//   set(collection, id, data, { merge })              create or replace (or shallow-merge) a document
+//   update(collection, id, data)                      shallow-merge into an existing document
+//   updateList(collection, id, field, edits, data)    changes single elements of an array field, keeping
+//                                                     the others as stored (see applyListEdits); `data`,
+//                                                     if given, is shallow-merged in the same write
+//   remove(collection, id)
+
+import { isCellarVisibleTo } from './cellars';
+
+export const STORAGE_BACKENDS = {
+  firestore: { label: 'Cloud (Firebase)' },
+  local: { label: 'This device only' },
+  memory: { label: 'Temporary (not saved)' },
+};
+
+// Uses the requested backend when it's available, otherwise Firestore when the host provides a
+// Firebase config and this device's storage when it doesn't
+export const resolveStorageBackend = (requested, { hasFirebase }) => {
+  if (STORAGE_BACKENDS[requested] && (requested !== 'firestore' || hasFirebase)) return requested;
+  return hasFirebase ? 'firestore' : 'local';
+};
+
+export const LOCAL_USER = { uid: 'local', isAnonymous: true };
+
+// Firestore-shaped timestamps so safeGetDate and backups treat both backends alike
+const toTimestamp = (date) => {
+  const ms = date.getTime();
+  return { seconds: Math.floor(ms / 1000), nanoseconds: (ms % 1000) * 1e6 };
+};
+
+// Where the memory backend keeps shared cellar records; each cellar's documents go under `cellar:{id}`
+const CELLARS_KEY = 'cellars';
+const cellarKey = (cellarId) => `cellar:${cellarId}`;
+
+export const createDocumentId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+
+// --- List Edits ---
+// Edits to an array field, e.g. a batch's log, that leave the other elements alone so people adding
+// to the same list at once don't overwrite each other. Each edit { from, to } replaces the element
+// matching `from` with `to`; a null `from` adds `to` (replacing an element with the same id, so
+// replaying an edit is harmless) and a null `to` removes `from`. Elements match by id, or by value
+// when they have none.
+const sortedKeys = (key, value) => (value && typeof value === 'object' && !Array.isArray(value)
+  ? Object.fromEntries(Object.entries(value).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)))
+  : value);
+const isSameListItem = (item, target) => (target.id !== undefined
+  ? item?.id === target.id
+  : JSON.stringify(item, sortedKeys) === JSON.stringify(target, sortedKeys));
+
+export const applyListEdits = (list = [], edits = []) => edits.reduce((items, { from = null, to = null }) => {
+  const target = from ?? to;
+  if (!target) return items;
+  const index = items.findIndex(item => isSameListItem(item, target));
+  if (index === -1) return to ? [...items, to] : items;
+  return to ? items.map((item, i) => (i === index ? to : item)) : items.filter((item, i) => i !== index);
+}, list);
+
+// Documents are stored as JSON, so no caller keeps a live reference into the store
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// `data` is { [userId]: { [collection]: { [id]: document } } }; onWrite receives it after every change
+export const createMemoryStorage = ({ data = {}, onWrite = null } = {}) => {
+  let tree = clone(data);
+  const listeners = new Set(); // { userId, collection, notify }
+
+  const docsOf = (userId, name) => tree[userId]?.[name] || {};
+  const itemsOf = (userId, name) => Object.entries(docsOf(userId, name)).map(([id, doc]) => ({ id, ...clone(doc) }));
+
+  const writeCollection = (userId, name, docs) => {
+    tree = { ...tree, [userId]: { ...tree[userId], [name]: docs } };
+    if (onWrite) onWrite(tree);
+    listeners.forEach(listener => {
+      if (listener.userId === userId && listener.collection === name) listener.notify();
+    });
+  };
+
+  // value null deletes the document
+  const write = (userId, name, id, value) => {
+    const docs = { ...docsOf(userId, name) };
+    if (value === null) delete docs[id];
+    else docs[id] = clone(value);
+    writeCollection(userId, name, docs);
+  };
+
+  // Drops everything stored under userId, telling each of its listeners
+  const removeTree = (userId) => {
+    const { [userId]: removed, ...rest } = tree;
+    tree = rest;
+    if (onWrite) onWrite(tree);
+    listeners.forEach(listener => {
+      if (listener.userId === userId) listener.notify();
+    });
+  };
+
+  const listen = (userId, name, notify) => {
+    const listener = { userId, collection: name, notify };
+    listeners.add(listener);
+    notify();
+    return () => listeners.delete(listener);
+  };
+
+  const forUser = (userId) => ({
+    subscribe: (name, onChange) => listen(userId, name, () => onChange(itemsOf(userId, name))),
+    subscribeDoc: (name, id, onChange) => listen(userId, name, () => {
+      const doc = docsOf(userId, name)[id];
+      onChange(doc ? clone(doc) : null);
+    }),
+    list: async (name) => itemsOf(userId, name),
+    create: async (name, value) => {
+      const id = createDocumentId();
+      write(userId, name, id, value);
+      return id;
+    },
+    set: async (name, id, value, { merge = false } = {}) => {
+      const existing = docsOf(userId, name)[id];
+      write(userId, name, id, merge && existing ? { ...existing, ...value } : value);
+    },
+    update: async (name, id, value) => {
+      const existing = docsOf(userId, name)[id];
+      if (!existing) throw new Error(`No document to update at ${name}/${id}`);
+      write(userId, name, id, { ...existing, ...value });
+    },
+    updateList: async (name, id, field, edits, data = {}) => {
+      const existing = docsOf(userId, name)[id];
+      if (!existing) throw new Error(`No document to update at ${name}/${id}`);
+      write(userId, name, id, { ...existing, ...data, [field]: applyListEdits(existing[field], clone(edits)) });
+    },
+    remove: async (name, id) => write(userId, name, id, null),
+    // Not part of the Store interface: swaps in a whole collection at once (used by the offline cache)
+    replaceAll: (name, items) => {
+      const docs = Object.fromEntries(items.map(({ id, ...doc }) => [id, clone(doc)]));
+      writeCollection(userId, name, docs);
+    },
+  });
+
+  const cellarRecords = forUser(CELLARS_KEY);
+
+  return {
+    name: 'memory',
+    onAuthChange: (callback) => {
+      callback(LOCAL_USER);
+      return () => {};
+    },
+    signIn: async () => LOCAL_USER,
+    forUser,
+    subscribeCellars: (user, onChange) => cellarRecords.subscribe('cellars', (records) => (
+      onChange(records.filter(record => isCellarVisibleTo(record, user)))
+    )),
+    createCellar: (record) => cellarRecords.create('cellars', record),
+    updateCellar: (id, data) => cellarRecords.update('cellars', id, data),
+    removeCellar: async (id) => {
+      removeTree(cellarKey(id));
+      await cellarRecords.remove('cellars', id);
+    },
+    forCellar: (cellarId) => forUser(cellarKey(cellarId)),
+    timestamp: () => toTimestamp(new Date()),
+    timestampFromDate: toTimestamp,
+  };
+};
+
+// The whole cellar is kept as one JSON value under `key`
+export const createLocalStorage = ({ key = 'golden-drop', storage = window.localStorage } = {}) => {
+  let data = {};
+  try {
+    data = JSON.parse(storage.getItem(key)) || {};
+  } catch (e) {
+    console.error("Error reading local storage:", e);
+  }
+
+  return {
+    ...createMemoryStorage({
+      data,
+      onWrite: (tree) => {
+        try {
+          storage.setItem(key, JSON.stringify(tree));
+        } catch (e) {
+          console.error("Error writing local storage:", e);
+        }
+      },
+    }),
+    name: 'local',
+  };
+};
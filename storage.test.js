@@ -0,0 +1,159 @@
+// Pins the memory and local backends against the Store interface described in storage.js
+import { describe, expect, it, vi } from 'vitest';
+import { LOCAL_USER, applyListEdits, createLocalStorage, createMemoryStorage, resolveStorageBackend } from './storage';
+import { createCellarRecord, inviteToCellar } from './cellars';
+
+// Stands in for window.localStorage
+const createStorageArea = (items = {}) => ({
+  items,
+  getItem: (key) => (key in items ? items[key] : null),
+  setItem: (key, value) => { items[key] = value; },
+});
+
+describe('memory store', () => {
+  it('creates, lists, updates and removes documents', async () => {
+    const store = createMemoryStorage().forUser('local');
+    const id = await store.create('batches', { name: 'Traditional', volume: 5 });
+    expect(await store.list('batches')).toEqual([{ id, name: 'Traditional', volume: 5 }]);
+
+    await store.update('batches', id, { volume: 4.5 });
+    expect(await store.list('batches')).toEqual([{ id, name: 'Traditional', volume: 4.5 }]);
+
+    await store.remove('batches', id);
+    expect(await store.list('batches')).toEqual([]);
+  });
+
+  it('replaces documents unless asked to merge', async () => {
+    const store = createMemoryStorage().forUser('local');
+    await store.set('settings', 'preferences', { units: 'metric', stableWindowDays: 7 });
+    await store.set('settings', 'preferences', { units: 'us' }, { merge: true });
+    expect(await store.list('settings')).toEqual([{ id: 'preferences', units: 'us', stableWindowDays: 7 }]);
+
+    await store.set('settings', 'preferences', { units: 'metric' });
+    expect(await store.list('settings')).toEqual([{ id: 'preferences', units: 'metric' }]);
+  });
+
+  it("won't update a document that doesn't exist", async () => {
+    const store = createMemoryStorage().forUser('local');
+    await expect(store.update('batches', 'missing', { volume: 1 })).rejects.toThrow('batches/missing');
+  });
+
+  it('keeps each user apart and hands out copies', async () => {
+    const storage = createMemoryStorage();
+    const id = await storage.forUser('a').create('favorites', { name: 'Melomel', honeys: [{ amount: 1 }] });
+    expect(await storage.forUser('b').list('favorites')).toEqual([]);
+
+    const [recipe] = await storage.forUser('a').list('favorites');
+    recipe.honeys[0].amount = 9;
+    expect((await storage.forUser('a').list('favorites'))[0]).toEqual({ id, name: 'Melomel', honeys: [{ amount: 1 }] });
+  });
+
+  it('notifies subscribers now and after each change', async () => {
+    const store = createMemoryStorage().forUser('local');
+    const seen = [];
+    const unsubscribe = store.subscribe('batches', (items) => seen.push(items.map(item => item.name)));
+    const id = await store.create('batches', { name: 'Cyser' });
+
+    const docs = [];
+    store.subscribeDoc('batches', id, (doc) => docs.push(doc));
+    unsubscribe();
+    await store.update('batches', id, { name: 'Cyser #2' });
+
+    expect(seen).toEqual([[], ['Cyser']]);
+    expect(docs).toEqual([{ name: 'Cyser' }, { name: 'Cyser #2' }]);
+  });
+
+  it('edits single list elements, keeping the others', async () => {
+    const store = createMemoryStorage().forUser('local');
+    const id = await store.create('batches', { name: 'Cyser', logs: [{ id: 'a', sg: '1.100' }, { id: 'b', sg: '1.060' }] });
+
+    await store.updateList('batches', id, 'logs', [
+      { from: null, to: { id: 'c', sg: '1.020' } },
+      { from: { id: 'a', sg: '1.100' }, to: { id: 'a', sg: '1.098' } },
+      { from: { id: 'b', sg: '1.060' }, to: null },
+    ]);
+    expect(await store.list('batches')).toEqual([{ id, name: 'Cyser', logs: [{ id: 'a', sg: '1.098' }, { id: 'c', sg: '1.020' }] }]);
+  });
+
+  it('signs everyone in as the built-in local user', async () => {
+    const storage = createMemoryStorage();
+    const users = [];
+    storage.onAuthChange(user => users.push(user));
+    expect(users).toEqual([LOCAL_USER]);
+    expect(await storage.signIn()).toBe(LOCAL_USER);
+  });
+});
+
+describe('memory shared cellars', () => {
+  const owner = { uid: 'owner', email: 'owner@example.com' };
+  const friend = { uid: 'friend', email: 'friend@example.com', emailVerified: true };
+
+  it('shows a cellar to its members and verified invitees only', async () => {
+    const storage = createMemoryStorage();
+    const id = await storage.createCellar(createCellarRecord('Club', owner));
+    const visibleTo = (user) => {
+      let names = null;
+      storage.subscribeCellars(user, (records) => { names = records.map(record => record.name); })();
+      return names;
+    };
+    expect(visibleTo(owner)).toEqual(['Club']);
+    expect(visibleTo(friend)).toEqual([]);
+
+    await storage.updateCellar(id, inviteToCellar({ invites: {} }, friend.email, 'viewer'));
+    expect(visibleTo(friend)).toEqual(['Club']);
+    expect(visibleTo({ ...friend, uid: 'impostor', emailVerified: false })).toEqual([]);
+  });
+
+  it('removes a cellar with its batches, telling their listeners', async () => {
+    const storage = createMemoryStorage();
+    const id = await storage.createCellar(createCellarRecord('Club', owner));
+    await storage.forCellar(id).create('batches', { name: 'Shared' });
+    const seen = [];
+    storage.forCellar(id).subscribe('batches', (items) => seen.push(items.map(item => item.name)));
+
+    await storage.removeCellar(id);
+    expect(await storage.forCellar(id).list('batches')).toEqual([]);
+    expect(seen).toEqual([['Shared'], []]);
+  });
+});
+
+describe('applyListEdits', () => {
+  it('matches elements without an id by value', () => {
+    const list = [{ sg: '1.100', date: '2024-01-01' }, { sg: '1.050', date: '2024-01-08' }];
+    const edits = [{ from: { date: '2024-01-08', sg: '1.050' }, to: { id: 'x', sg: '1.050', date: '2024-01-08' } }];
+    expect(applyListEdits(list, edits)).toEqual([list[0], { id: 'x', sg: '1.050', date: '2024-01-08' }]);
+  });
+
+  it("doesn't add an element twice when an edit is replayed", () => {
+    const edits = [{ from: null, to: { id: 'a', sg: '1.100' } }];
+    expect(applyListEdits(applyListEdits([], edits), edits)).toEqual([{ id: 'a', sg: '1.100' }]);
+  });
+});
+
+describe('local storage', () => {
+  it('saves every change and reads it back', async () => {
+    const area = createStorageArea();
+    const id = await createLocalStorage({ key: 'test', storage: area }).forUser('local').create('batches', { name: 'Bochet' });
+    expect(JSON.parse(area.items.test)).toEqual({ local: { batches: { [id]: { name: 'Bochet' } } } });
+
+    const reopened = createLocalStorage({ key: 'test', storage: area });
+    expect(reopened.name).toBe('local');
+    expect(await reopened.forUser('local').list('batches')).toEqual([{ id, name: 'Bochet' }]);
+  });
+
+  it('starts empty when the saved value is unreadable', async () => {
+    const area = createStorageArea({ test: '{not json' });
+    const logged = vi.spyOn(console, 'error').mockImplementation(() => {});
+    expect(await createLocalStorage({ key: 'test', storage: area }).forUser('local').list('batches')).toEqual([]);
+    expect(logged).toHaveBeenCalled();
+    logged.mockRestore();
+  });
+});
+
+describe('resolveStorageBackend', () => {
+  it('falls back when Firebase is unavailable', () => {
+    expect(resolveStorageBackend('memory', { hasFirebase: true })).toBe('memory');
+    expect(resolveStorageBackend('firestore', { hasFirebase: false })).toBe('local');
+    expect(resolveStorageBackend(null, { hasFirebase: true })).toBe('firestore');
+  });
+});